@@ -0,0 +1,117 @@
+/**
+ * Accessibility Evidence
+ * WCAG 2.1 success criteria cited by the accessibility rules, and the review summary
+ * section that backs up the PR template's Accessibility checkbox
+ */
+
+const { COMMENT_TYPES } = require('./comment-types');
+const { parseSections } = require('./pr-template');
+
+// Success criteria the rules cite, with their "Understanding WCAG 2.1" page
+const WCAG_CRITERIA = {
+    '1.1.1': { name: 'Non-text Content', level: 'A', slug: 'non-text-content' },
+    '1.3.1': { name: 'Info and Relationships', level: 'A', slug: 'info-and-relationships' },
+    '1.4.1': { name: 'Use of Color', level: 'A', slug: 'use-of-color' },
+    '2.1.1': { name: 'Keyboard', level: 'A', slug: 'keyboard' },
+    '2.4.3': { name: 'Focus Order', level: 'A', slug: 'focus-order' },
+    '3.2.1': { name: 'On Focus', level: 'A', slug: 'on-focus' },
+    '3.3.2': { name: 'Labels or Instructions', level: 'A', slug: 'labels-or-instructions' },
+    '4.1.2': { name: 'Name, Role, Value', level: 'A', slug: 'name-role-value' }
+};
+
+// Checkbox of the PR template that claims accessibility work
+const ACCESSIBILITY_CHECKBOX = /\baccessibility\b/i;
+
+// Elements that are focusable and keyboard operable without any ARIA
+const INTERACTIVE_ELEMENTS = new Set(['button', 'input', 'select', 'textarea', 'summary', 'option']);
+
+// Roles that tell assistive technology an element can be operated
+const INTERACTIVE_ROLES = new Set([
+    'button', 'checkbox', 'combobox', 'gridcell', 'link', 'listbox', 'menuitem', 'menuitemcheckbox',
+    'menuitemradio', 'option', 'radio', 'scrollbar', 'searchbox', 'slider', 'spinbutton', 'switch',
+    'tab', 'textbox', 'treeitem'
+]);
+
+/**
+ * Check whether an element is interactive on its own, without ARIA or script
+ * @param {Object} element - `{ name, attributes }` from findTags or getJsxElement
+ * @returns {boolean} - True for form controls, buttons and links with an href
+ */
+function isNativelyInteractive(element) {
+    return INTERACTIVE_ELEMENTS.has(element.name) ||
+        ((element.name === 'a' || element.name === 'area') && element.attributes.has('href'));
+}
+
+/**
+ * Check whether an element declares an interactive role
+ * @param {Object} element - `{ name, attributes }` from findTags or getJsxElement
+ * @returns {boolean} - True for roles such as button or link; a role only known at runtime counts
+ */
+function hasInteractiveRole(element) {
+    if (!element.attributes.has('role')) {
+        return false;
+    }
+    const role = element.attributes.get('role');
+    return typeof role !== 'string' ||
+        role.toLowerCase().split(/\s+/).some(name => INTERACTIVE_ROLES.has(name));
+}
+
+/**
+ * Cite success criteria in a comment
+ * @param {string[]} ids - Success criterion numbers, e.g. ['2.1.1']
+ * @returns {string} - Markdown citation with links to the Understanding pages
+ */
+function citeWcag(ids) {
+    return `WCAG 2.1 ${ids.map(id => {
+        const criterion = WCAG_CRITERIA[id];
+        return `[SC ${id} ${criterion.name}](https://www.w3.org/WAI/WCAG21/Understanding/${criterion.slug}.html) (Level ${criterion.level})`;
+    }).join(', ')}`;
+}
+
+/**
+ * Build the accessibility section of the review summary
+ * Counts findings per success criterion, and says whether they back up the PR's
+ * Accessibility checkbox
+ * @param {Object[]} findings - Findings that will be posted
+ * @param {string} body - PR description
+ * @returns {string} - Markdown section, or an empty string when there is nothing to report
+ */
+function formatAccessibilitySummary(findings, body) {
+    const accessibilityFindings = findings.filter(finding => finding.severity === COMMENT_TYPES.ACCESSIBILITY);
+    const checkbox = parseSections(body)
+        .flatMap(section => section.checkboxes)
+        .find(item => ACCESSIBILITY_CHECKBOX.test(item.label));
+    const claimed = Boolean(checkbox && checkbox.checked);
+    if (accessibilityFindings.length === 0 && !claimed) {
+        return '';
+    }
+
+    let output = `### Accessibility\n`;
+    if (accessibilityFindings.length === 0) {
+        output += `✅ The description checks Accessibility, and no WCAG issues were found in the added lines.\n`;
+        return output;
+    }
+
+    output += claimed
+        ? `⚠️ The description checks Accessibility, but the added lines have ${accessibilityFindings.length} WCAG issue${accessibilityFindings.length > 1 ? 's' : ''}:\n\n`
+        : `The added lines have ${accessibilityFindings.length} WCAG issue${accessibilityFindings.length > 1 ? 's' : ''}:\n\n`;
+
+    const counts = new Map();
+    accessibilityFindings.forEach(finding => {
+        (finding.wcag || []).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+    });
+    output += `| Success criterion | Findings |\n|---|---|\n`;
+    Array.from(counts.keys()).sort().forEach(id => {
+        const criterion = WCAG_CRITERIA[id];
+        output += `| ${id} ${criterion ? `${criterion.name} (${criterion.level})` : ''} | ${counts.get(id)} |\n`;
+    });
+    return output;
+}
+
+module.exports = {
+    WCAG_CRITERIA,
+    citeWcag,
+    isNativelyInteractive,
+    hasInteractiveRole,
+    formatAccessibilitySummary
+};
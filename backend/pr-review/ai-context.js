@@ -0,0 +1,359 @@
+/**
+ * AI Review Context
+ * Assembles what an AI reviewer gets to see: the changed hunks with their enclosing
+ * functions, the PR title and description, and the repository's review settings.
+ * Everything is ranked and trimmed to a token budget and split into batches that each
+ * fit one model request, without calling any model
+ */
+
+const { FUNCTION_TYPES, isParsable, parseSource, walk } = require('./ast-analysis');
+const { parseSections } = require('./pr-template');
+const { isTestFile, isSourceFile } = require('./test-coverage');
+
+// Rough size of a token for code and English text; close enough for budgeting
+const CHARS_PER_TOKEN = 4;
+
+// Files never worth a model's attention
+const SKIPPED_FILES = /(^|\/)(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|npm-shrinkwrap\.json)$|\.(min\.(js|css)|map|snap)$/;
+
+// Share of a batch the PR title, description and review settings may take up
+const HEADER_SHARE = 0.25;
+
+const HTML_COMMENT = /<!--[\s\S]*?-->/g;
+
+/**
+ * Estimate how many tokens a text takes up
+ * @param {string} text - Text
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Find the name of a function node
+ * @param {Object} node - Function node
+ * @param {Object[]} ancestors - Nodes enclosing it, outermost first
+ * @returns {string} - Function name, or "(anonymous)"
+ */
+function functionName(node, ancestors) {
+    if (node.id && node.id.name) {
+        return node.id.name;
+    }
+    if (node.key && (node.key.name || node.key.value)) {
+        return String(node.key.name || node.key.value);
+    }
+    const parent = ancestors[ancestors.length - 1];
+    if (parent && parent.type === 'VariableDeclarator' && parent.id.name) {
+        return parent.id.name;
+    }
+    if (parent && (parent.type === 'ObjectProperty' || parent.type === 'ClassProperty') && parent.key.name) {
+        return parent.key.name;
+    }
+    return '(anonymous)';
+}
+
+/**
+ * Find the innermost function around a range of lines
+ * @param {Object} ast - Babel AST of the head file
+ * @param {string[]} sourceLines - Lines of the head file
+ * @param {number} startLine - First line of the range
+ * @param {number} endLine - Last line of the range
+ * @returns {Object|null} - `{ name, startLine, endLine, lines }` with `lines` as `{ line, content }`,
+ *   or null when the range isn't inside a function
+ */
+function findEnclosingFunction(ast, sourceLines, startLine, endLine) {
+    let enclosing = null;
+    walk(ast, (node, ancestors) => {
+        if (!FUNCTION_TYPES.has(node.type) || !node.loc ||
+            node.loc.start.line > startLine || node.loc.end.line < endLine) {
+            return;
+        }
+        // Functions are visited outside in, so the last match is the innermost one
+        enclosing = { node, ancestors };
+    });
+    if (!enclosing) {
+        return null;
+    }
+
+    const { node, ancestors } = enclosing;
+    const first = node.loc.start.line;
+    const last = node.loc.end.line;
+    return {
+        name: functionName(node, ancestors),
+        startLine: first,
+        endLine: last,
+        lines: sourceLines.slice(first - 1, last).map((content, index) => ({ line: first + index, content }))
+    };
+}
+
+/**
+ * Drop the parts of a PR description that carry no information
+ * Template instructions (HTML comments) are removed, and so are sections left empty or
+ * exactly as the template had them
+ * @param {string} body - PR description
+ * @param {string|null} templateText - PR template, if the repository has one
+ * @returns {Object[]} - Sections as `{ title, text }`
+ */
+function describePullRequest(body, templateText) {
+    const untouched = new Map((templateText ? parseSections(templateText.replace(HTML_COMMENT, '')) : [])
+        .map(section => [section.title.trim().toLowerCase(), section.text.trim()]));
+
+    return parseSections((body || '').replace(HTML_COMMENT, ''))
+        .map(section => ({ title: section.title, text: section.text.trim() }))
+        .filter(section => section.text && untouched.get(section.title.trim().toLowerCase()) !== section.text);
+}
+
+/**
+ * Summarize the review config for the model, so it follows the same house rules as the reviewer
+ * @param {Object} config - Review config
+ * @returns {string[]} - One sentence per setting that differs from a plain review
+ */
+function describeReviewConfig(config) {
+    const settings = [];
+    const rules = Object.entries(config.rules || {});
+    const disabled = rules.filter(([, setting]) => setting.enabled === false).map(([id]) => id);
+    const overridden = rules.filter(([, setting]) => setting.enabled !== false && setting.severity);
+
+    if (disabled.length > 0) {
+        settings.push(`The team turned off these checks, so don't report the same problems: ${disabled.join(', ')}.`);
+    }
+    if (overridden.length > 0) {
+        settings.push(`The team reports these checks with their own severity: ${overridden.map(([id, setting]) => `${id} as ${setting.severity}`).join(', ')}.`);
+    }
+    if (config.verdict && config.verdict.requestChanges.length > 0) {
+        settings.push(`Findings with severity ${config.verdict.requestChanges.join(' or ')} block the PR, so only use them for real problems.`);
+    }
+    return settings;
+}
+
+/**
+ * Render a hunk for the prompt, with new-file line numbers and +/- markers
+ * @param {Object} hunk - Request hunk
+ * @returns {string} - Hunk text, preceded by its enclosing function when there is one
+ */
+function renderHunk(hunk) {
+    let text = '';
+    if (hunk.enclosingFunction) {
+        const fn = hunk.enclosingFunction;
+        text += `\nFunction ${fn.name} in ${hunk.path} (lines ${fn.startLine}-${fn.endLine}, as of the PR head):\n`;
+        fn.lines.forEach(sourceLine => {
+            text += `${String(sourceLine.line).padStart(5)}  ${sourceLine.content}\n`;
+        });
+    }
+    text += `\nFile: ${hunk.path}\n@@${hunk.section ? ` ${hunk.section}` : ''}\n`;
+    hunk.lines.forEach(diffLine => {
+        const marker = diffLine.type === 'add' ? '+' : diffLine.type === 'del' ? '-' : ' ';
+        text += `${String(diffLine.line || '').padStart(5)} ${marker}${diffLine.content}\n`;
+    });
+    return text;
+}
+
+/**
+ * Render the part of the prompt every batch shares
+ * @param {Object} request - Provider request
+ * @returns {string} - PR title, description and review settings
+ */
+function renderHeader(request) {
+    let text = `PR title: ${request.pullRequest.title}\n\nPR description:\n`;
+    text += request.pullRequest.sections.length > 0
+        ? request.pullRequest.sections.map(section => (section.title ? `## ${section.title}\n${section.text}` : section.text)).join('\n\n')
+        : '(none)';
+    text += '\n';
+    if (request.reviewSettings.length > 0) {
+        text += `\nRepository review settings:\n${request.reviewSettings.map(setting => `- ${setting}`).join('\n')}\n`;
+    }
+    return text;
+}
+
+/**
+ * Render a provider request as the user message of a chat
+ * @param {Object} request - Provider request
+ * @returns {string} - Prompt text
+ */
+function renderPrompt(request) {
+    return renderHeader(request) + request.hunks.map(renderHunk).join('');
+}
+
+/**
+ * Shorten the description until the shared header fits its share of a batch
+ * Later sections go first; the last one kept is cut off mid-text if needed
+ * @param {Object} header - `{ pullRequest, reviewSettings }`
+ * @param {number} maxTokens - Tokens the header may take up
+ * @returns {Object} - Header that fits
+ */
+function trimHeader(header, maxTokens) {
+    const sections = [...header.pullRequest.sections];
+    const build = () => ({ ...header, pullRequest: { ...header.pullRequest, sections: [...sections] } });
+
+    while (sections.length > 0 && estimateTokens(renderHeader(build())) > maxTokens) {
+        const overflow = (estimateTokens(renderHeader(build())) - maxTokens) * CHARS_PER_TOKEN;
+        const last = sections[sections.length - 1];
+        if (last.text.length > overflow + 20) {
+            sections[sections.length - 1] = { ...last, text: `${last.text.slice(0, last.text.length - overflow - 20)} [...]` };
+        } else {
+            sections.pop();
+        }
+    }
+    return build();
+}
+
+/**
+ * Rank a file by how much a review of its changes is worth
+ * @param {string} filePath - File path
+ * @param {Object} testsConfig - `tests` section of the review config
+ * @returns {number} - 2 for production code, 0 for tests and 1 for anything else
+ */
+function rankFile(filePath, testsConfig) {
+    if (isTestFile(filePath, testsConfig)) {
+        return 0;
+    }
+    return isSourceFile(filePath, testsConfig) ? 2 : 1;
+}
+
+/**
+ * Cut a hunk that is too big for a batch into consecutive pieces that fit
+ * @param {Object} hunk - Request hunk
+ * @param {number} maxTokens - Tokens a piece may take up
+ * @returns {Object[]} - Pieces with their own line ranges
+ */
+function splitHunk(hunk, maxTokens) {
+    const pieces = [];
+    const headerLength = renderHunk({ ...hunk, lines: [], enclosingFunction: null }).length;
+    let lines = [];
+    let length = headerLength;
+    const close = () => {
+        const numbered = lines.filter(diffLine => diffLine.line !== null);
+        // Pieces holding only removed lines have nothing to review
+        if (lines.some(diffLine => diffLine.type === 'add')) {
+            pieces.push({
+                path: hunk.path,
+                section: hunk.section,
+                startLine: numbered[0].line,
+                endLine: numbered[numbered.length - 1].line,
+                lines,
+                enclosingFunction: null
+            });
+        }
+        lines = [];
+        length = headerLength;
+    };
+
+    hunk.lines.forEach(diffLine => {
+        // Same layout as renderHunk: padded line number, marker, content and a line break
+        const lineLength = Math.max(String(diffLine.line || '').length, 5) + diffLine.content.length + 3;
+        if (lines.length > 0 && Math.ceil((length + lineLength) / CHARS_PER_TOKEN) > maxTokens) {
+            close();
+        }
+        lines.push(diffLine);
+        length += lineLength;
+    });
+    if (lines.length > 0) {
+        close();
+    }
+    return pieces;
+}
+
+/**
+ * Build the batches of an AI review
+ * @param {Object} params - Review input
+ * @param {Object} params.pullRequest - `{ title, body }` of the PR
+ * @param {Object[]} params.files - Files as `{ path, hunks, source }`, with hunks from the diff
+ *   parser and the head version of the file (null when unknown)
+ * @param {string|null} [params.templateText] - The repository's PR template
+ * @param {Object} params.config - Review config
+ * @returns {{ batches: Object[], omitted: Object[], tokens: number }} - Provider requests, hunks
+ *   left out as `{ path, startLine, endLine, reason }`, and the estimated tokens of all batches
+ */
+function buildAiContext({ pullRequest, files, templateText = null, config }) {
+    const batchTokens = config.ai.batchTokens;
+    const header = trimHeader({
+        pullRequest: {
+            title: pullRequest.title || '',
+            sections: describePullRequest(pullRequest.body, templateText)
+        },
+        reviewSettings: describeReviewConfig(config)
+    }, Math.floor(batchTokens * HEADER_SHARE));
+    const headerTokens = estimateTokens(renderHeader({ ...header, hunks: [] }));
+    const room = batchTokens - headerTokens;
+
+    const omitted = [];
+    const candidates = [];
+    files.forEach(file => {
+        const hunks = file.hunks.filter(hunk => hunk.lines.some(diffLine => diffLine.type === 'add'));
+        if (hunks.length === 0) {
+            return;
+        }
+        if (SKIPPED_FILES.test(file.path)) {
+            hunks.forEach(hunk => omitted.push({ path: file.path, startLine: hunk.newStart, endLine: hunk.newStart + Math.max(hunk.newLines - 1, 0), reason: 'generated file' }));
+            return;
+        }
+
+        const ast = file.source && isParsable(file.path) ? parseSource(file.path, file.source) : null;
+        const sourceLines = file.source ? file.source.split(/\r?\n/) : [];
+        hunks.forEach(rawHunk => {
+            const hunk = {
+                path: file.path,
+                section: rawHunk.section || '',
+                startLine: rawHunk.newStart,
+                endLine: rawHunk.newStart + Math.max(rawHunk.newLines - 1, 0),
+                lines: rawHunk.lines.map(diffLine => ({ type: diffLine.type, content: diffLine.content, line: diffLine.newLine })),
+                enclosingFunction: null
+            };
+
+            const addedLines = hunk.lines.filter(diffLine => diffLine.type === 'add').map(diffLine => diffLine.line);
+            const fn = ast ? findEnclosingFunction(ast, sourceLines, addedLines[0], addedLines[addedLines.length - 1]) : null;
+            // A function the hunk already shows in full adds nothing
+            if (fn && (fn.startLine < hunk.startLine || fn.endLine > hunk.endLine)) {
+                hunk.enclosingFunction = fn;
+            }
+
+            const pieces = estimateTokens(renderHunk({ ...hunk, enclosingFunction: null })) > room
+                ? splitHunk(hunk, room)
+                : [hunk];
+            pieces.forEach((piece, index) => candidates.push({ hunk: piece, rank: rankFile(file.path, config.tests), piece: index }));
+        });
+    });
+
+    // Production code before other files and tests, and the start of every hunk before the rest
+    // of a split one, so a single huge file can't crowd out the others; ties keep their diff order
+    candidates.sort((a, b) => b.rank - a.rank || a.piece - b.piece);
+
+    const batches = [];
+    let total = 0;
+    candidates.forEach(({ hunk }) => {
+        const withFunction = estimateTokens(renderHunk(hunk));
+        const withoutFunction = hunk.enclosingFunction ? estimateTokens(renderHunk({ ...hunk, enclosingFunction: null })) : withFunction;
+
+        // Prefer keeping the enclosing function; drop it before dropping the hunk
+        for (const [tokens, keepFunction] of [[withFunction, true], [withoutFunction, false]]) {
+            const batch = batches.find(candidate => candidate.tokens + tokens <= batchTokens);
+            const cost = batch ? tokens : headerTokens + tokens;
+            if ((batch || headerTokens + tokens <= batchTokens) && total + cost <= config.ai.maxTokens) {
+                const target = batch || { ...header, hunks: [], tokens: headerTokens };
+                if (!batch) {
+                    batches.push(target);
+                }
+                target.hunks.push(keepFunction ? hunk : { ...hunk, enclosingFunction: null });
+                target.tokens += tokens;
+                total += cost;
+                return;
+            }
+        }
+        omitted.push({ path: hunk.path, startLine: hunk.startLine, endLine: hunk.endLine, reason: 'token budget' });
+    });
+
+    // Within a batch, hunks read best in file order
+    batches.forEach(batch => batch.hunks.sort((a, b) => a.path.localeCompare(b.path) || a.startLine - b.startLine));
+
+    return { batches, omitted, tokens: total };
+}
+
+module.exports = {
+    estimateTokens,
+    findEnclosingFunction,
+    describePullRequest,
+    describeReviewConfig,
+    renderPrompt,
+    buildAiContext
+};
@@ -0,0 +1,115 @@
+/**
+ * OpenAI-Compatible AI Provider
+ * Reviews hunks with any server that implements the OpenAI chat completions API
+ * (OpenAI, Azure OpenAI, vLLM, Ollama, LM Studio, ...)
+ */
+
+// Load WINDLENS_AI_* settings from .env
+require('dotenv').config({ quiet: true });
+
+const { renderPrompt } = require('../ai-context');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_TIMEOUT_MS = 60000;
+
+const SYSTEM_PROMPT = [
+    'You are a senior engineer reviewing a pull request.',
+    'You get the PR title and description, the repository\'s review settings and one or more diff hunks,',
+    'some with the function around them as it reads after the change. Each hunk line starts with its',
+    'line number in the new file (blank for removed lines) and "+" for added, "-" for removed or " " for unchanged lines.',
+    'Only comment on problems in added lines: bugs, security issues, performance problems, accessibility',
+    'issues and clear maintainability concerns. Do not comment on style a linter would catch, and do not',
+    'praise the code. When nothing needs a comment, return no findings.',
+    'Answer with JSON only, in this shape:',
+    '{"findings": [{"path": "file path", "startLine": 12, "endLine": 14,',
+    '"severity": "SECURITY|WARNING|PERFORMANCE|ACCESSIBILITY|BEST_PRACTICE|NITPICK",',
+    '"issue": "one-sentence problem statement", "context": "why it matters",',
+    '"suggestion": "what to do about it", "replacement": "optional code replacing lines startLine..endLine"}]}'
+].join(' ');
+
+/**
+ * Read the findings out of a model answer
+ * @param {string} content - Message content returned by the model
+ * @returns {Object[]} - Findings as returned by the model
+ */
+function parseAnswer(content) {
+    // Some models wrap JSON in a markdown fence even when asked not to
+    const json = String(content || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+    let answer;
+    try {
+        answer = JSON.parse(json);
+    } catch (error) {
+        throw new Error(`Model answer is not valid JSON: ${error.message}`);
+    }
+    const findings = Array.isArray(answer) ? answer : answer && answer.findings;
+    if (!Array.isArray(findings)) {
+        throw new Error('Model answer has no "findings" list');
+    }
+    return findings;
+}
+
+/**
+ * Create the provider
+ * @param {Object} [options] - Provider options; each falls back to an environment variable
+ * @param {string} [options.baseUrl] - API root, from WINDLENS_AI_BASE_URL (defaults to OpenAI)
+ * @param {string} [options.apiKey] - API key, from WINDLENS_AI_API_KEY or OPENAI_API_KEY
+ * @param {string} [options.model] - Model name, from WINDLENS_AI_MODEL
+ * @param {number} [options.timeoutMs] - Request timeout, from WINDLENS_AI_TIMEOUT_MS
+ * @returns {Object} - Provider
+ */
+function create(options = {}) {
+    const baseUrl = (options.baseUrl || process.env.WINDLENS_AI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const apiKey = options.apiKey || process.env.WINDLENS_AI_API_KEY || process.env.OPENAI_API_KEY;
+    const model = options.model || process.env.WINDLENS_AI_MODEL;
+    const timeoutMs = options.timeoutMs || parseInt(process.env.WINDLENS_AI_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+    if (!model) {
+        throw new Error('WINDLENS_AI_MODEL is not set. Add the model name to .env to use the openai-compatible provider');
+    }
+
+    return {
+        name: 'openai-compatible',
+
+        /**
+         * Review the hunks of a request
+         * @param {Object} request - Provider request
+         * @returns {Promise<Object[]>} - Findings as returned by the model
+         */
+        async review(request) {
+            const headers = { 'Content-Type': 'application/json' };
+            // Local servers usually run without a key
+            if (apiKey) {
+                headers.Authorization = `Bearer ${apiKey}`;
+            }
+
+            const response = await fetch(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model,
+                    temperature: 0,
+                    response_format: { type: 'json_object' },
+                    messages: [
+                        { role: 'system', content: SYSTEM_PROMPT },
+                        { role: 'user', content: renderPrompt(request) }
+                    ]
+                }),
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+            if (!response.ok) {
+                const text = await response.text();
+                throw new Error(`${baseUrl} answered ${response.status} ${response.statusText}: ${text.slice(0, 200)}`);
+            }
+
+            const data = await response.json();
+            const choice = data.choices && data.choices[0];
+            return parseAnswer(choice && choice.message ? choice.message.content : '');
+        }
+    };
+}
+
+module.exports = {
+    SYSTEM_PROMPT,
+    parseAnswer,
+    create
+};
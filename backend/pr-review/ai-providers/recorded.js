@@ -0,0 +1,75 @@
+/**
+ * Recorded AI Provider
+ * Replays model answers saved in a JSON file, so a review that used a real model can be
+ * repeated offline with exactly the same findings. With a live provider to record with,
+ * requests that have no saved answer are sent to it and its answers are added to the file
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Load WINDLENS_AI_* settings from .env
+require('dotenv').config({ quiet: true });
+
+/**
+ * Compute the key a request is saved under
+ * @param {Object} request - Provider request
+ * @returns {string} - Hex digest of the request
+ */
+function recordingKey(request) {
+    return crypto.createHash('sha1').update(JSON.stringify(request)).digest('hex');
+}
+
+/**
+ * Create the provider
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.recordings] - Recordings file, from WINDLENS_AI_RECORDINGS
+ * @param {string} [options.recordWith] - Provider that answers unrecorded requests, from WINDLENS_AI_RECORD_WITH
+ * @returns {Object} - Provider
+ */
+function create(options = {}) {
+    const file = options.recordings || process.env.WINDLENS_AI_RECORDINGS;
+    const recordWith = options.recordWith || process.env.WINDLENS_AI_RECORD_WITH;
+    if (!file) {
+        throw new Error('WINDLENS_AI_RECORDINGS is not set. Point it at the recordings file to use the recorded provider');
+    }
+
+    if (recordWith === 'recorded') {
+        throw new Error('The recorded provider cannot record with itself; set WINDLENS_AI_RECORD_WITH to a live provider');
+    }
+
+    const recordings = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    // Loaded here rather than at the top, because ai-reviewer loads this module
+    const delegate = recordWith ? require('../ai-reviewer').loadAiProvider(recordWith, options) : null;
+
+    return {
+        name: 'recorded',
+
+        /**
+         * Review the hunks of a request
+         * @param {Object} request - Provider request
+         * @returns {Promise<Object[]>} - Recorded findings
+         */
+        async review(request) {
+            const key = recordingKey(request);
+            const location = request.hunks.map(hunk => `${hunk.path}:${hunk.startLine}`).join(', ');
+            if (recordings[key]) {
+                return recordings[key].findings;
+            }
+            if (!delegate) {
+                console.log(`No recorded answer for ${location}`);
+                return [];
+            }
+
+            const findings = await delegate.review(request);
+            recordings[key] = { hunks: location, findings };
+            fs.writeFileSync(file, `${JSON.stringify(recordings, null, 2)}\n`);
+            return findings;
+        }
+    };
+}
+
+module.exports = {
+    recordingKey,
+    create
+};
@@ -0,0 +1,59 @@
+/**
+ * Stub AI Provider
+ * A deterministic stand-in for a model, for running the AI review pipeline offline.
+ * It answers with findings from a couple of fixed checks, so the same diff always gets
+ * the same findings
+ */
+
+// `==` or `!=` that isn't part of `===`/`!==`; `== null` is a common, deliberate idiom
+const LOOSE_EQUALITY = /[^=!<>]([=!]=)(?!=)(?!\s*(?:null|undefined)\b)/;
+const EMPTY_CATCH = /\bcatch\s*(\([^)]*\))?\s*\{\s*\}/;
+
+/**
+ * Create the provider
+ * @returns {Object} - Provider
+ */
+function create() {
+    return {
+        name: 'stub',
+
+        /**
+         * Review the hunks of a request
+         * @param {Object} request - Provider request
+         * @returns {Promise<Object[]>} - Findings
+         */
+        async review(request) {
+            const findings = [];
+            request.hunks.forEach(hunk => {
+                hunk.lines.filter(diffLine => diffLine.type === 'add').forEach(diffLine => {
+                    const looseEquality = LOOSE_EQUALITY.exec(diffLine.content);
+                    if (looseEquality) {
+                        const operatorIndex = looseEquality.index + 1;
+                        findings.push({
+                            path: hunk.path,
+                            startLine: diffLine.line,
+                            severity: 'WARNING',
+                            issue: `Loose equality \`${looseEquality[1]}\` converts types before comparing`,
+                            context: 'Type coercion makes comparisons like `0 == \'\'` true, which hides bugs.',
+                            suggestion: `Use \`${looseEquality[1]}=\` to compare without coercion.`,
+                            replacement: `${diffLine.content.slice(0, operatorIndex)}${looseEquality[1]}=${diffLine.content.slice(operatorIndex + 2)}`
+                        });
+                    }
+                    if (EMPTY_CATCH.test(diffLine.content)) {
+                        findings.push({
+                            path: hunk.path,
+                            startLine: diffLine.line,
+                            severity: 'WARNING',
+                            issue: 'Empty catch block swallows the error',
+                            context: 'Failures caught here disappear without a trace, which makes them hard to diagnose.',
+                            suggestion: 'Log or rethrow the error, or add a comment explaining why it is safe to ignore.'
+                        });
+                    }
+                });
+            });
+            return findings;
+        }
+    };
+}
+
+module.exports = { create };
@@ -0,0 +1,147 @@
+/**
+ * AI Reviewer
+ * Loads a model provider, sends it the PR's changed hunks and turns the structured
+ * findings it returns into regular review findings
+ *
+ * A provider is an object with a `name` and an async `review(request)` method. Requests come
+ * from buildAiContext in ai-context.js and hold `pullRequest` (`{ title, sections }`),
+ * `reviewSettings` (sentences describing the review config) and one or more hunks as `{ path,
+ * section, startLine, endLine, lines, enclosingFunction }`, where `lines` are `{ type, content,
+ * line }` with RIGHT-side line numbers (null for removed lines) and `enclosingFunction`, when
+ * known, is `{ name, startLine, endLine, lines }`. renderPrompt turns a request into prompt text.
+ * `review` resolves to findings as `{ path, startLine, endLine, severity, issue,
+ * context, suggestion, replacement }`; only `path`, `startLine` and `issue` are required.
+ * A provider module exports `create(options)`, which returns the provider.
+ */
+
+const path = require('path');
+
+const { COMMENT_TYPES } = require('./comment-types');
+const { createFinding } = require('./findings');
+
+// Providers that ship with the reviewer, by name
+const BUILT_IN_PROVIDERS = {
+    'openai-compatible': path.join(__dirname, 'ai-providers', 'openai-compatible.js'),
+    stub: path.join(__dirname, 'ai-providers', 'stub.js'),
+    recorded: path.join(__dirname, 'ai-providers', 'recorded.js')
+};
+
+// Rule id that AI findings are reported under
+const AI_RULE_ID = 'ai-review';
+
+/**
+ * Load a provider by name
+ * Names of built-in providers are looked up first; anything else is resolved as an
+ * npm-style package or module path from the working directory
+ * @param {string} name - Provider name, package name or path
+ * @param {Object} [options] - Options passed to the provider's `create`
+ * @returns {Object} - Provider
+ */
+function loadAiProvider(name, options = {}) {
+    const modulePath = BUILT_IN_PROVIDERS[name] ||
+        require.resolve(name, { paths: [process.cwd(), __dirname] });
+    const exported = require(modulePath);
+    if (!exported || typeof exported.create !== 'function') {
+        throw new Error(`Invalid AI provider "${name}": the module must export a create(options) function`);
+    }
+
+    const provider = exported.create(options);
+    if (!provider || typeof provider.review !== 'function') {
+        throw new Error(`Invalid AI provider "${name}": create() must return an object with a review(request) method`);
+    }
+    return { name, ...provider };
+}
+
+/**
+ * Map a severity from a provider to a comment type
+ * Providers may use any case, e.g. "warning" or "Best_Practice"
+ * @param {string} [severity] - Severity reported by the provider
+ * @returns {string} - One of COMMENT_TYPES; BEST_PRACTICE when unknown
+ */
+function normalizeSeverity(severity) {
+    const name = String(severity || '').toUpperCase().replace(/[\s-]+/g, '_');
+    return COMMENT_TYPES[name] || COMMENT_TYPES.BEST_PRACTICE;
+}
+
+/**
+ * Check a provider finding against the request it answers and turn it into a review finding
+ * Models get line numbers wrong, so a finding is only kept when its range covers a line
+ * the PR adds; the comment is anchored on the last added line of the range
+ * @param {Object} raw - Finding returned by the provider
+ * @param {Object} request - Request the provider answered
+ * @returns {Object|null} - Review finding, or null if the finding doesn't fit the diff
+ */
+function toAiFinding(raw, request) {
+    if (!raw || typeof raw.issue !== 'string' || !raw.issue.trim()) {
+        return null;
+    }
+    const startLine = parseInt(raw.startLine, 10);
+    const endLine = raw.endLine !== undefined && raw.endLine !== null ? parseInt(raw.endLine, 10) : startLine;
+    if (!Number.isInteger(startLine) || !Number.isInteger(endLine) || endLine < startLine) {
+        return null;
+    }
+
+    const addedLines = request.hunks
+        .filter(hunk => hunk.path === raw.path)
+        .flatMap(hunk => hunk.lines)
+        .filter(diffLine => diffLine.type === 'add' && diffLine.line >= startLine && diffLine.line <= endLine);
+    if (addedLines.length === 0) {
+        return null;
+    }
+    const anchor = addedLines[addedLines.length - 1];
+
+    const comment = {
+        issue: raw.issue.trim(),
+        context: raw.context || undefined,
+        suggestion: raw.suggestion || undefined
+    };
+    if (typeof raw.replacement === 'string') {
+        // Checked against the diff by attachSuggestions before it becomes a suggestion block
+        comment.fix = { startLine, endLine, lines: raw.replacement === '' ? [] : raw.replacement.replace(/\n$/, '').split('\n') };
+    }
+
+    return createFinding({
+        ruleId: AI_RULE_ID,
+        severity: normalizeSeverity(raw.severity),
+        path: raw.path,
+        line: anchor.line,
+        message: comment.issue,
+        comment,
+        snippet: anchor.content
+    });
+}
+
+/**
+ * Review a PR with a provider
+ * Batches are sent one at a time. A batch that fails is logged and skipped, so one bad
+ * response doesn't lose the rest of the review
+ * @param {Object} provider - Provider from loadAiProvider
+ * @param {Object[]} batches - Provider requests from buildAiContext
+ * @returns {Promise<Object[]>} - Review findings
+ */
+async function reviewWithAi(provider, batches) {
+    const findings = [];
+    for (const [index, request] of batches.entries()) {
+        try {
+            const results = await provider.review(request);
+            (Array.isArray(results) ? results : []).forEach(raw => {
+                const finding = toAiFinding(raw, request);
+                if (finding) {
+                    findings.push(finding);
+                }
+            });
+        } catch (error) {
+            console.log(`AI review of batch ${index + 1} of ${batches.length} failed: ${error.message}`);
+        }
+    }
+
+    console.log(`AI reviewer (${provider.name}) reported ${findings.length} findings`);
+    return findings;
+}
+
+module.exports = {
+    AI_RULE_ID,
+    loadAiProvider,
+    toAiFinding,
+    reviewWithAi
+};
@@ -0,0 +1,285 @@
+/**
+ * AST Analysis
+ * Parses JavaScript/TypeScript sources with @babel/parser and walks them for rules
+ * that match syntax nodes instead of raw line text
+ */
+
+const { parse } = require('@babel/parser');
+
+// Parser plugins per file extension
+const PARSER_PLUGINS = {
+    '.js': ['jsx'],
+    '.jsx': ['jsx'],
+    '.mjs': ['jsx'],
+    '.cjs': ['jsx'],
+    '.ts': ['typescript'],
+    '.tsx': ['typescript', 'jsx']
+};
+
+// Node properties that hold positions or comments rather than child nodes
+const SKIPPED_KEYS = new Set([
+    'loc', 'start', 'end', 'range', 'extra',
+    'leadingComments', 'trailingComments', 'innerComments'
+]);
+
+const LOOP_TYPES = new Set([
+    'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'
+]);
+
+// Array methods whose callback runs once per element
+const ITERATION_METHODS = new Set([
+    'forEach', 'map', 'filter', 'reduce', 'reduceRight', 'some', 'every', 'find', 'findIndex', 'flatMap'
+]);
+
+const FUNCTION_TYPES = new Set([
+    'FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'ClassMethod'
+]);
+
+/**
+ * Get the file extension the parser understands for a path
+ * @param {string} filePath - File path
+ * @returns {string|null} - Extension, or null if the file can't be parsed
+ */
+function parsableExtension(filePath) {
+    const match = /\.[^./]+$/.exec(filePath);
+    return match && PARSER_PLUGINS[match[0]] ? match[0] : null;
+}
+
+/**
+ * Check whether a file can be analyzed with AST rules
+ * @param {string} filePath - File path
+ * @returns {boolean} - True for .js, .jsx, .mjs, .cjs, .ts and .tsx files
+ */
+function isParsable(filePath) {
+    return parsableExtension(filePath) !== null;
+}
+
+/**
+ * Parse a source file
+ * @param {string} filePath - File path, used to pick the parser plugins
+ * @param {string} source - File contents
+ * @returns {Object|null} - Babel File node, or null if the file can't be parsed
+ */
+function parseSource(filePath, source) {
+    const extension = parsableExtension(filePath);
+    if (!extension) {
+        return null;
+    }
+
+    try {
+        return parse(source, {
+            sourceType: 'unambiguous',
+            plugins: PARSER_PLUGINS[extension],
+            errorRecovery: true,
+            allowReturnOutsideFunction: true,
+            allowAwaitOutsideFunction: true
+        });
+    } catch (error) {
+        console.log(`Could not parse ${filePath}, falling back to line rules: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Check whether a file parses without any syntax error
+ * @param {string} filePath - File path, used to pick the parser plugins
+ * @param {string} source - File contents
+ * @returns {boolean} - True if the source parses cleanly, or if the file type can't be parsed
+ */
+function parsesCleanly(filePath, source) {
+    const extension = parsableExtension(filePath);
+    if (!extension) {
+        return true;
+    }
+
+    try {
+        parse(source, {
+            sourceType: 'unambiguous',
+            plugins: PARSER_PLUGINS[extension],
+            allowReturnOutsideFunction: true,
+            allowAwaitOutsideFunction: true
+        });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Visit every node of an AST depth-first, then every comment
+ * @param {Object} ast - Babel File node (or any node)
+ * @param {Function} enter - Called with each node and its ancestors (nearest last)
+ */
+function walk(ast, enter) {
+    const visit = (node, ancestors) => {
+        enter(node, ancestors);
+        const childAncestors = [...ancestors, node];
+
+        Object.keys(node).forEach(key => {
+            if (SKIPPED_KEYS.has(key) || (key === 'comments' && node.type === 'File')) {
+                return;
+            }
+            const value = node[key];
+            if (Array.isArray(value)) {
+                value.forEach(child => {
+                    if (child && typeof child.type === 'string') {
+                        visit(child, childAncestors);
+                    }
+                });
+            } else if (value && typeof value.type === 'string') {
+                visit(value, childAncestors);
+            }
+        });
+    };
+
+    visit(ast, []);
+    (ast.comments || []).forEach(comment => enter(comment, []));
+}
+
+/**
+ * Check whether a node is a call to a method or a global function
+ * @param {Object} node - AST node
+ * @param {string|null} objectName - Identifier the method is called on, or null for any object
+ * @param {string[]} names - Method (or function) names
+ * @returns {boolean} - True for e.g. `document.querySelector(...)` or `confirm(...)`
+ */
+function isCallTo(node, objectName, names) {
+    if (node.type !== 'CallExpression' && node.type !== 'OptionalCallExpression') {
+        return false;
+    }
+    const callee = node.callee;
+    if (callee.type === 'Identifier') {
+        return objectName === null && names.includes(callee.name);
+    }
+    if (callee.type !== 'MemberExpression' && callee.type !== 'OptionalMemberExpression') {
+        return false;
+    }
+
+    const property = callee.computed
+        ? (callee.property.type === 'StringLiteral' ? callee.property.value : null)
+        : callee.property.name;
+    if (!names.includes(property)) {
+        return false;
+    }
+    return objectName === null ||
+        (callee.object.type === 'Identifier' && callee.object.name === objectName);
+}
+
+/**
+ * Check whether a node runs once per iteration of a loop
+ * Looks through enclosing functions only when they are callbacks of array iteration methods
+ * @param {Object[]} ancestors - Ancestors of the node, nearest last
+ * @returns {boolean} - True if the node sits in a loop body
+ */
+function isInsideLoop(ancestors) {
+    for (let index = ancestors.length - 1; index >= 0; index--) {
+        const ancestor = ancestors[index];
+        if (LOOP_TYPES.has(ancestor.type)) {
+            return true;
+        }
+        if (FUNCTION_TYPES.has(ancestor.type)) {
+            const parent = ancestors[index - 1];
+            return Boolean(parent && parent.arguments && parent.arguments.includes(ancestor) &&
+                parent.callee.type !== 'Identifier' &&
+                isCallTo(parent, null, Array.from(ITERATION_METHODS)));
+        }
+    }
+    return false;
+}
+
+/**
+ * Get the static value of a JSX attribute
+ * @param {Object} attribute - JSXAttribute node
+ * @returns {*} - String, number or boolean value; true for a bare attribute; undefined when
+ *   the value is only known at runtime
+ */
+function getJsxAttributeValue(attribute) {
+    if (!attribute.value) {
+        return true;
+    }
+    if (attribute.value.type === 'StringLiteral') {
+        return attribute.value.value;
+    }
+    const expression = attribute.value.type === 'JSXExpressionContainer' ? attribute.value.expression : null;
+    if (expression && ['StringLiteral', 'NumericLiteral', 'BooleanLiteral'].includes(expression.type)) {
+        return expression.value;
+    }
+    if (expression && expression.type === 'UnaryExpression' && expression.operator === '-' &&
+        expression.argument.type === 'NumericLiteral') {
+        return -expression.argument.value;
+    }
+    return undefined;
+}
+
+/**
+ * Describe a JSX element the way HTML rules see a tag
+ * Attribute names are lowercased (onClick -> onclick) and React's htmlFor and className
+ * are renamed to for and class
+ * @param {Object} node - JSXOpeningElement node
+ * @returns {Object|null} - `{ name, attributes, hasSpread }`, or null for components such as
+ *   `<Button>` whose rendered element is unknown
+ */
+function getJsxElement(node) {
+    if (node.name.type !== 'JSXIdentifier' || !/^[a-z]/.test(node.name.name)) {
+        return null;
+    }
+
+    const attributes = new Map();
+    node.attributes
+        .filter(attribute => attribute.type === 'JSXAttribute' && attribute.name.type === 'JSXIdentifier')
+        .forEach(attribute => {
+            const name = { htmlFor: 'for', className: 'class' }[attribute.name.name] || attribute.name.name.toLowerCase();
+            attributes.set(name, getJsxAttributeValue(attribute));
+        });
+
+    return {
+        name: node.name.name,
+        attributes,
+        hasSpread: node.attributes.some(attribute => attribute.type === 'JSXSpreadAttribute')
+    };
+}
+
+/**
+ * Run the AST visitors of some rules over a parsed file
+ * Only nodes that start on one of the given lines are reported. A visitor reports a node by
+ * returning `true`, or an object of details for the rule's comment
+ * @param {Object[]} rules - Rules with `visitors`
+ * @param {Object} ast - Babel File node
+ * @param {Set<number>} lines - Line numbers to report on (e.g. the lines a PR adds)
+ * @returns {Object[]} - Matches as `{ rule, line, details }`, at most one per rule and line
+ */
+function runVisitors(rules, ast, lines) {
+    const matches = [];
+    const seen = new Set();
+
+    walk(ast, (node, ancestors) => {
+        const line = node.loc && node.loc.start.line;
+        if (!lines.has(line)) {
+            return;
+        }
+        rules.forEach(rule => {
+            const visitor = rule.visitors[node.type];
+            const key = `${rule.id}:${line}`;
+            const result = visitor && !seen.has(key) ? visitor(node, { ancestors, ast }) : false;
+            if (result) {
+                seen.add(key);
+                matches.push({ rule, line, details: typeof result === 'object' ? result : undefined });
+            }
+        });
+    });
+
+    return matches;
+}
+
+module.exports = {
+    FUNCTION_TYPES,
+    isParsable,
+    parseSource,
+    parsesCleanly,
+    walk,
+    isCallTo,
+    isInsideLoop,
+    getJsxAttributeValue,
+    getJsxElement,
+    runVisitors
+};
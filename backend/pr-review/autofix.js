@@ -0,0 +1,182 @@
+/**
+ * Autofix
+ * Applies the fixes of rules marked safe to autofix to the PR head and pushes them as a
+ * single commit, either onto the PR branch or onto a new branch with a stacked PR
+ */
+
+const { getOctokit } = require('./github-client');
+const { parsesCleanly } = require('./ast-analysis');
+
+const AUTOFIX_MODES = ['commit', 'pr'];
+
+/**
+ * Pick the findings whose fixes can be applied without a human looking at them
+ * @param {Object[]} findings - Findings from attachSuggestions
+ * @param {Object} ruleRegistry - Rule registry, to look up which rules are marked `autofix`
+ * @returns {Object[]} - Findings with a checked replacement from an autofix rule
+ */
+function selectAutofixes(findings, ruleRegistry) {
+    return findings.filter(finding => {
+        const rule = ruleRegistry.get(finding.ruleId);
+        return rule && rule.autofix === true && finding.comment && Array.isArray(finding.comment.replacement);
+    });
+}
+
+/**
+ * Apply the fixes for one file
+ * Fixes are applied bottom up so line numbers stay valid; a fix overlapping one already
+ * applied is skipped
+ * @param {string} filePath - File path
+ * @param {string} source - Head version of the file
+ * @param {Object[]} findings - Findings with replacements for this file
+ * @returns {{ content: string, applied: Object[], skipped: Object[] }} - Fixed file text, and
+ *   the findings that were and weren't applied
+ */
+function applyFixes(filePath, source, findings) {
+    const newline = source.includes('\r\n') ? '\r\n' : '\n';
+    let lines = source.split(/\r?\n/);
+    const applied = [];
+    const skipped = [];
+    let lowestStart = Infinity;
+
+    [...findings]
+        .sort((a, b) => b.line - a.line)
+        .forEach(finding => {
+            const startLine = finding.startLine || finding.line;
+            if (finding.line >= lowestStart) {
+                skipped.push(finding);
+                return;
+            }
+            lines = [...lines.slice(0, startLine - 1), ...finding.comment.replacement, ...lines.slice(finding.line)];
+            lowestStart = startLine;
+            applied.push(finding);
+        });
+
+    const content = lines.join(newline);
+    // Each fix was checked on its own; make sure they still parse together
+    if (applied.length > 1 && parsesCleanly(filePath, source) && !parsesCleanly(filePath, content)) {
+        return { content: source, applied: [], skipped: [...skipped, ...applied] };
+    }
+    return { content, applied, skipped };
+}
+
+/**
+ * Apply the fixes of every file that has some
+ * A file whose head version can't be read is skipped, since its fixes can't be applied
+ * @param {Object[]} fixable - Findings from selectAutofixes
+ * @param {Function} getSource - Async function returning the head version of a path, or null
+ * @returns {Promise<{ files: Object[], applied: Object[] }>} - `{ path, content }` of every fixed
+ *   file, and the findings that were fixed
+ */
+async function collectFixes(fixable, getSource) {
+    const files = [];
+    const applied = [];
+    for (const filePath of new Set(fixable.map(finding => finding.path))) {
+        const fileFindings = fixable.filter(finding => finding.path === filePath);
+        const source = await getSource(filePath);
+        if (source === null || source === undefined) {
+            console.log(`Skipping ${fileFindings.length} fixes in ${filePath}: its head version could not be read`);
+            continue;
+        }
+
+        const result = applyFixes(filePath, source, fileFindings);
+        if (result.skipped.length > 0) {
+            console.log(`Skipping ${result.skipped.length} overlapping or conflicting fixes in ${filePath}`);
+        }
+        if (result.applied.length > 0) {
+            files.push({ path: filePath, content: result.content });
+            applied.push(...result.applied);
+        }
+    }
+    return { files, applied };
+}
+
+/**
+ * Create a commit with new contents for some files on top of a parent commit
+ * Uses the Git database API, so all files land in one commit (the contents API would make
+ * one commit per file)
+ * @param {Object} octokit - Octokit client
+ * @param {Object} params - Commit parameters
+ * @param {string} params.owner - Owner of the repository holding the branch
+ * @param {string} params.repo - Name of the repository holding the branch
+ * @param {string} params.parentSha - Commit the fixes were computed against
+ * @param {Object[]} params.files - `{ path, content }` of every changed file
+ * @param {string} params.message - Commit message
+ * @returns {Promise<string>} - SHA of the new commit
+ */
+async function createFixCommit(octokit, { owner, repo, parentSha, files, message }) {
+    const { data: parent } = await octokit.rest.git.getCommit({ owner, repo, commit_sha: parentSha });
+    // Keep file modes, e.g. of executable scripts
+    const { data: baseTree } = await octokit.rest.git.getTree({ owner, repo, tree_sha: parent.tree.sha, recursive: 'true' });
+    const modes = new Map(baseTree.tree.map(entry => [entry.path, entry.mode]));
+
+    const { data: tree } = await octokit.rest.git.createTree({
+        owner,
+        repo,
+        base_tree: parent.tree.sha,
+        tree: files.map(file => ({
+            path: file.path,
+            mode: modes.get(file.path) || '100644',
+            type: 'blob',
+            content: file.content
+        }))
+    });
+    const { data: commit } = await octokit.rest.git.createCommit({
+        owner,
+        repo,
+        message,
+        tree: tree.sha,
+        parents: [parentSha]
+    });
+    return commit.sha;
+}
+
+/**
+ * Push fixed files as one commit, onto the PR branch or onto a new branch with a stacked PR
+ * Pushing onto the PR branch is a fast-forward from the reviewed head, so it fails instead
+ * of overwriting commits pushed since the review started
+ * @param {Object} pr - Pull request from get_pull_request
+ * @param {Object[]} files - `{ path, content }` of every fixed file
+ * @param {Object} options - Push options
+ * @param {string} options.mode - `commit` to push onto the PR branch, `pr` to open a stacked PR
+ * @param {number} options.fixCount - Number of fixed findings, for the commit message
+ * @returns {Promise<Object>} - `{ sha, url }` of the commit, or of the stacked PR
+ */
+async function pushAutofix(pr, files, { mode, fixCount }) {
+    if (!AUTOFIX_MODES.includes(mode)) {
+        throw new Error(`Unknown autofix mode "${mode}"; expected ${AUTOFIX_MODES.join(' or ')}`);
+    }
+    const octokit = await getOctokit();
+    const [owner, repo] = pr.head.repo.full_name.split('/');
+    const message = `Apply ${fixCount} WindLens autofix${fixCount > 1 ? 'es' : ''}\n\n` +
+        `Automatic fixes for review findings on #${pr.number}:\n` +
+        files.map(file => `- ${file.path}`).join('\n');
+    const sha = await createFixCommit(octokit, { owner, repo, parentSha: pr.head.sha, files, message });
+
+    if (mode === 'commit') {
+        await octokit.rest.git.updateRef({ owner, repo, ref: `heads/${pr.head.ref}`, sha, force: false });
+        return { sha, url: `https://github.com/${owner}/${repo}/commit/${sha}` };
+    }
+
+    const branch = `windlens/autofix-${pr.number}-${pr.head.sha.slice(0, 7)}`;
+    await octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha });
+    const { data: stacked } = await octokit.rest.pulls.create({
+        owner,
+        repo,
+        head: branch,
+        base: pr.head.ref,
+        title: `WindLens autofixes for #${pr.number}`,
+        body: `Applies ${fixCount} automatic fix${fixCount > 1 ? 'es' : ''} from the WindLens review of #${pr.number}. ` +
+            `Merge this PR into \`${pr.head.ref}\` to take them.\n\n` +
+            files.map(file => `- \`${file.path}\``).join('\n')
+    });
+    return { sha, url: stacked.html_url };
+}
+
+module.exports = {
+    AUTOFIX_MODES,
+    selectAutofixes,
+    applyFixes,
+    collectFixes,
+    pushAutofix
+};
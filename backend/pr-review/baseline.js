@@ -0,0 +1,154 @@
+/**
+ * Findings Baseline
+ * Records the findings a repository already has so the reviewer only reports new ones;
+ * findings are matched by content, so they survive unrelated edits that shift lines
+ */
+
+const crypto = require('crypto');
+
+const { DEFAULT_CONFIG, decodeFileContents } = require('./review-config');
+
+// Baseline file looked up at the root of the reviewed repository unless the config names another
+const BASELINE_FILE_NAME = DEFAULT_CONFIG.baseline;
+
+const BASELINE_VERSION = 1;
+
+/**
+ * Compute the content fingerprint of a finding
+ * @param {Object} finding - Review finding with a `snippet`
+ * @returns {string|null} - Hex fingerprint of the rule, path and line text, or null for
+ *   findings not tied to a line of source
+ */
+function contentFingerprint(finding) {
+    if (finding.snippet === null || finding.snippet === undefined) {
+        return null;
+    }
+    // Indentation and spacing changes don't make a finding new
+    const normalized = finding.snippet.trim().replace(/\s+/g, ' ');
+    return crypto.createHash('sha1')
+        .update(`${finding.ruleId}|${finding.path}|${normalized}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+/**
+ * Build a baseline from the findings of a full scan
+ * @param {Object[]} findings - Findings of every file in the repository
+ * @param {Object} [meta] - Extra information to record
+ * @param {string} [meta.ref] - Commit or branch the scan ran on
+ * @returns {Object} - Baseline file contents
+ */
+function createBaseline(findings, meta = {}) {
+    const entries = new Map();
+
+    findings.forEach(finding => {
+        const fingerprint = contentFingerprint(finding);
+        if (!fingerprint) {
+            return;
+        }
+        if (!entries.has(fingerprint)) {
+            entries.set(fingerprint, { fingerprint, ruleId: finding.ruleId, path: finding.path, count: 0 });
+        }
+        entries.get(fingerprint).count++;
+    });
+
+    return {
+        version: BASELINE_VERSION,
+        generatedAt: new Date().toISOString(),
+        ref: meta.ref || null,
+        findings: Array.from(entries.values())
+            .sort((a, b) => a.path.localeCompare(b.path) || a.ruleId.localeCompare(b.ruleId))
+    };
+}
+
+/**
+ * Parse and validate the text of a baseline file
+ * @param {string} text - File contents
+ * @param {string} [fileName] - File name (used in error messages)
+ * @returns {Object} - Baseline
+ */
+function parseBaseline(text, fileName = BASELINE_FILE_NAME) {
+    let baseline;
+    try {
+        baseline = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Failed to parse ${fileName}: ${error.message}`);
+    }
+    if (!baseline || baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.findings)) {
+        throw new Error(`Invalid ${fileName}: expected a version ${BASELINE_VERSION} baseline with a "findings" list`);
+    }
+    return baseline;
+}
+
+/**
+ * Split findings into new ones and ones already recorded in the baseline
+ * Each baseline entry absorbs at most `count` findings, so adding another copy of a
+ * baselined line is still reported
+ * @param {Object[]} findings - Review findings
+ * @param {Object|null} baseline - Baseline, or null if the repository has none
+ * @returns {{ fresh: Object[], baselined: Object[] }} - New and baselined findings
+ */
+function filterBaselined(findings, baseline) {
+    if (!baseline) {
+        return { fresh: findings, baselined: [] };
+    }
+
+    const remaining = new Map();
+    baseline.findings.forEach(entry => {
+        remaining.set(entry.fingerprint, (remaining.get(entry.fingerprint) || 0) + entry.count);
+    });
+
+    const fresh = [];
+    const baselined = [];
+    findings.forEach(finding => {
+        const fingerprint = contentFingerprint(finding);
+        if (fingerprint && remaining.get(fingerprint) > 0) {
+            remaining.set(fingerprint, remaining.get(fingerprint) - 1);
+            baselined.push(finding);
+        } else {
+            fresh.push(finding);
+        }
+    });
+
+    return { fresh, baselined };
+}
+
+/**
+ * Load the baseline of a repository
+ * @param {Function} getFileContents - MCP get_file_contents function
+ * @param {Object} params - Lookup parameters
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {string} params.ref - Git ref or SHA to read the baseline from
+ * @param {string} [params.path] - Baseline file path
+ * @returns {Promise<Object|null>} - Baseline, or null if the repository has none
+ */
+async function loadBaseline(getFileContents, { owner, repo, ref, path = BASELINE_FILE_NAME }) {
+    if (!getFileContents) {
+        return null;
+    }
+
+    let response;
+    try {
+        response = await getFileContents({ owner, repo, path, ref });
+    } catch (error) {
+        return null;
+    }
+
+    const text = decodeFileContents(response);
+    if (text === null) {
+        return null;
+    }
+    const baseline = parseBaseline(text, path);
+    console.log(`Using findings baseline from ${path} (${baseline.findings.length} entries)`);
+    return baseline;
+}
+
+module.exports = {
+    BASELINE_FILE_NAME,
+    contentFingerprint,
+    createBaseline,
+    parseBaseline,
+    filterBaselined,
+    loadBaseline
+};
@@ -0,0 +1,96 @@
+/**
+ * Comment De-duplication
+ * Matches new findings against the review comments already on a PR, so re-running
+ * the reviewer doesn't post the same comment twice
+ */
+
+const { fingerprintFinding } = require('./findings');
+const { formatFindingBody } = require('./comment-formatter');
+
+// Hidden marker appended to every finding comment, e.g.
+// <!-- windlens:finding=0123456789abcdef rule=console-log -->; comments posted before the rule
+// id was recorded have only the fingerprint
+const FINGERPRINT_MARKER = /<!-- windlens:finding=([0-9a-f]{16})(?: rule=([^\s>]+))? -->/;
+
+/**
+ * Render the full comment body for a finding, including its fingerprint marker
+ * @param {Object} finding - Review finding
+ * @returns {string} - Comment body to post
+ */
+function formatFindingComment(finding) {
+    return `${formatFindingBody(finding).trim()}\n\n<!-- windlens:finding=${fingerprintFinding(finding)} rule=${finding.ruleId} -->`;
+}
+
+/**
+ * Read the fingerprint marker from a comment body
+ * @param {string} body - Comment body
+ * @returns {string|null} - Fingerprint, or null if the comment wasn't posted by WindLens
+ */
+function extractFingerprint(body) {
+    const match = FINGERPRINT_MARKER.exec(body || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Read the rule id from the marker of a comment body
+ * @param {string} body - Comment body
+ * @returns {string|null} - Id of the rule that posted the comment, or null if unknown
+ */
+function extractRuleId(body) {
+    const match = FINGERPRINT_MARKER.exec(body || '');
+    return match && match[2] ? match[2] : null;
+}
+
+/**
+ * Split findings into ones to post, ones whose existing comment needs new text,
+ * and ones that are already on the PR unchanged
+ * @param {Object[]} findings - Review findings
+ * @param {Object[]} existingComments - Review comments from get_pull_request_comments
+ * @returns {{ toPost: Object[], toUpdate: Object[], unchanged: Object[] }} - Reconciled findings;
+ *   `toUpdate` entries carry the finding, the existing comment and the new body
+ */
+function reconcileFindings(findings, existingComments) {
+    const existingByFingerprint = new Map();
+    (existingComments || []).forEach(comment => {
+        const fingerprint = extractFingerprint(comment.body);
+        if (fingerprint && !existingByFingerprint.has(fingerprint)) {
+            existingByFingerprint.set(fingerprint, comment);
+        }
+    });
+
+    const toPost = [];
+    const toUpdate = [];
+    const unchanged = [];
+    const seen = new Set();
+
+    findings.forEach(finding => {
+        const fingerprint = fingerprintFinding(finding);
+        // Two findings with the same fingerprint in one run would post the same comment twice
+        if (seen.has(fingerprint)) {
+            return;
+        }
+        seen.add(fingerprint);
+
+        const existing = existingByFingerprint.get(fingerprint);
+        if (!existing) {
+            toPost.push(finding);
+            return;
+        }
+
+        const body = formatFindingComment(finding);
+        if (existing.body.trim() !== body.trim()) {
+            toUpdate.push({ finding, comment: existing, body });
+        } else {
+            unchanged.push(finding);
+        }
+    });
+
+    return { toPost, toUpdate, unchanged };
+}
+
+module.exports = {
+    formatFindingComment,
+    extractFingerprint,
+    extractRuleId,
+    reconcileFindings
+};
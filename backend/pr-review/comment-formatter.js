@@ -0,0 +1,72 @@
+/**
+ * Review Comment Formatter
+ * Renders review findings as markdown comments with GitHub suggestion blocks
+ */
+
+const { formatSuggestionBlock } = require('./suggestions');
+
+/**
+ * Format a review comment in the standard Issue / Context / Suggestion template - SonarQube style
+ * @param {Object} fields - Comment fields
+ * @param {string} fields.issue - Clear statement of the problem
+ * @param {string} [fields.context] - Why this matters
+ * @param {string} [fields.suggestion] - What to do about it
+ * @param {string[]} [fields.codeExamples] - Example code, shown when there is no suggestion block
+ * @param {string} [fields.codeLanguage] - Language of the example code (defaults to javascript)
+ * @param {string[]} [fields.replacement] - Checked replacement for the commented lines, from attachSuggestions
+ * @param {string[]} [fields.actionItems] - Follow-up items
+ * @param {string} [fields.tldr] - One-line summary
+ * @returns {string} - Markdown comment body
+ */
+function formatComment({ issue, context, suggestion, codeExamples, codeLanguage, replacement, actionItems, tldr }) {
+    // Start with a clean, consistent template format
+    let comment = `**Issue:** ${issue || 'Code Improvement Opportunity'}\n\n`;
+    
+    // Add context if provided - keep it concise
+    if (context) {
+        comment += `**Context:** ${context}\n\n`;
+    }
+    
+    // Add suggestion if provided - focus on the "why" not just the "what"
+    if (suggestion) {
+        comment += `**Suggestion:** ${suggestion}\n\n`;
+    }
+    
+    // A GitHub suggestion block replacing exactly the commented lines, so it can be committed as-is
+    if (replacement) {
+        comment += `${formatSuggestionBlock(replacement)}\n\n`;
+        comment += `*You can commit this suggestion directly by clicking the commit button above.*\n\n`;
+    }
+    
+    // Add code examples if provided - but only if they add value beyond the suggestion
+    if (codeExamples && codeExamples.length > 0 && !replacement) {
+        comment += `**Example:**\n\n`;
+        comment += `\`\`\`${codeLanguage || 'javascript'}\n${codeExamples[0]}\n\`\`\`\n\n`;
+    }
+    
+    // Add action items if provided - keep them actionable and specific
+    if (actionItems && actionItems.length > 0) {
+        comment += `**Next Steps:**\n`;
+        actionItems.forEach(item => {
+            comment += `- ${item}\n`;
+        });
+        comment += '\n';
+    }
+    
+    return comment;
+}
+
+/**
+ * Render the comment body for a finding
+ * Findings with comment fields use the full template, others post their message as-is
+ * @param {Object} finding - Review finding
+ * @returns {string} - Markdown comment body
+ */
+function formatFindingBody(finding) {
+    return finding.comment ? formatComment(finding.comment) : finding.message;
+}
+
+module.exports = {
+    formatComment,
+    formatFindingBody
+};
@@ -0,0 +1,15 @@
+/**
+ * Review Comment Types
+ * Severity levels used to classify review comments and findings
+ */
+
+const COMMENT_TYPES = {
+    SECURITY: 'SECURITY',
+    WARNING: 'WARNING',
+    PERFORMANCE: 'PERFORMANCE',
+    ACCESSIBILITY: 'ACCESSIBILITY',
+    BEST_PRACTICE: 'BEST_PRACTICE',
+    NITPICK: 'NITPICK'
+};
+
+module.exports = { COMMENT_TYPES };
@@ -0,0 +1,298 @@
+/**
+ * Coverage Report Ingestion
+ * Reads LCOV and Cobertura coverage reports and measures how much of the code a PR adds
+ * is covered by tests, so the review can act as a patch-coverage gate
+ */
+
+const fs = require('fs');
+
+const { COMMENT_TYPES } = require('./comment-types');
+const { createFinding } = require('./findings');
+
+const UNCOVERED_BRANCH_RULE_ID = 'uncovered-branch';
+
+const XML_ATTRIBUTE = /([\w-]+)="([^"]*)"/g;
+
+/**
+ * Normalize a path from a coverage report for comparison with repository paths
+ * @param {string} filePath - Path as written in the report
+ * @returns {string} - Path with forward slashes and no leading "./"
+ */
+function normalizePath(filePath) {
+    return filePath.trim().replace(/\\/g, '/').replace(/^\.\//, '');
+}
+
+/**
+ * Get (or create) the coverage entry of a file
+ * @param {Map} report - Coverage by path
+ * @param {string} filePath - File path
+ * @returns {{ lines: Map<number, number>, branches: Map<number, Object> }} - Hits per line and
+ *   `{ covered, total }` branches per line
+ */
+function fileEntry(report, filePath) {
+    const normalized = normalizePath(filePath);
+    if (!report.has(normalized)) {
+        report.set(normalized, { lines: new Map(), branches: new Map() });
+    }
+    return report.get(normalized);
+}
+
+/**
+ * Parse an LCOV tracefile (lcov.info)
+ * @param {string} text - Report contents
+ * @returns {Map<string, Object>} - Coverage by path
+ */
+function parseLcov(text) {
+    const report = new Map();
+    let current = null;
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        const separator = line.indexOf(':');
+        const key = separator === -1 ? line : line.slice(0, separator);
+        const values = separator === -1 ? [] : line.slice(separator + 1).split(',');
+
+        if (key === 'SF') {
+            current = fileEntry(report, values.join(','));
+        } else if (key === 'end_of_record') {
+            current = null;
+        } else if (current && key === 'DA') {
+            const lineNumber = parseInt(values[0], 10);
+            current.lines.set(lineNumber, (current.lines.get(lineNumber) || 0) + parseInt(values[1], 10));
+        } else if (current && key === 'BRDA') {
+            // BRDA:<line>,<block>,<branch>,<taken>; "-" means the branch was never reached
+            const lineNumber = parseInt(values[0], 10);
+            const branch = current.branches.get(lineNumber) || { covered: 0, total: 0 };
+            branch.total++;
+            if (values[3] !== '-' && parseInt(values[3], 10) > 0) {
+                branch.covered++;
+            }
+            current.branches.set(lineNumber, branch);
+        }
+    });
+
+    return report;
+}
+
+/**
+ * Read the attributes of an XML start tag
+ * @param {string} tag - Tag source, e.g. `<line number="3" hits="0"/>`
+ * @returns {Object} - Attribute values by name
+ */
+function parseAttributes(tag) {
+    const attributes = {};
+    for (const match of tag.matchAll(XML_ATTRIBUTE)) {
+        attributes[match[1]] = match[2];
+    }
+    return attributes;
+}
+
+/**
+ * Parse a Cobertura XML report (coverage.xml)
+ * @param {string} text - Report contents
+ * @returns {Map<string, Object>} - Coverage by path
+ */
+function parseCobertura(text) {
+    const report = new Map();
+    // Class filenames are relative to the first <source> root, when the report names one
+    const sourceMatch = /<source>([^<]*)<\/source>/.exec(text);
+    const sourceRoot = sourceMatch ? normalizePath(sourceMatch[1]).replace(/\/$/, '') : '';
+
+    // Each <class> lists its lines once in <lines> and again under <methods>; both agree
+    for (const classMatch of text.matchAll(/<class\b([^>]*)>([\s\S]*?)<\/class>/g)) {
+        const { filename } = parseAttributes(classMatch[1]);
+        if (!filename) {
+            continue;
+        }
+        const entry = fileEntry(report, sourceRoot && !filename.startsWith('/') ? `${sourceRoot}/${filename}` : filename);
+
+        for (const lineMatch of classMatch[2].matchAll(/<line\b[^>]*>/g)) {
+            const attributes = parseAttributes(lineMatch[0]);
+            const lineNumber = parseInt(attributes.number, 10);
+            entry.lines.set(lineNumber, Math.max(entry.lines.get(lineNumber) || 0, parseInt(attributes.hits, 10) || 0));
+
+            // condition-coverage="50% (1/2)"
+            const condition = /\((\d+)\/(\d+)\)/.exec(attributes['condition-coverage'] || '');
+            if (attributes.branch === 'true' && condition) {
+                entry.branches.set(lineNumber, { covered: parseInt(condition[1], 10), total: parseInt(condition[2], 10) });
+            }
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Parse a coverage report in either supported format
+ * @param {string} text - Report contents
+ * @returns {Map<string, Object>} - Coverage by path
+ */
+function parseCoverageReport(text) {
+    if (/<coverage\b/.test(text)) {
+        return parseCobertura(text);
+    }
+    if (/^SF:/m.test(text)) {
+        return parseLcov(text);
+    }
+    throw new Error('Unrecognized coverage report; expected LCOV (lcov.info) or Cobertura XML');
+}
+
+/**
+ * Load a coverage report from a local path or a URL (e.g. a CI artifact)
+ * @param {string} location - File path, or http(s) URL serving the raw report
+ * @returns {Promise<Map<string, Object>>} - Coverage by path
+ */
+async function loadCoverageReport(location) {
+    let text;
+    if (/^https?:\/\//.test(location)) {
+        const response = await fetch(location);
+        if (!response.ok) {
+            throw new Error(`Could not download ${location}: ${response.status} ${response.statusText}`);
+        }
+        text = await response.text();
+    } else {
+        text = fs.readFileSync(location, 'utf8');
+    }
+    return parseCoverageReport(text);
+}
+
+/**
+ * Find the coverage of a repository file
+ * Reports often use absolute paths from the CI machine, so a report path also matches when it
+ * ends in the file's whole repository-relative path. A file matched by more than one report
+ * path, e.g. by a vendored copy under another directory, is left out rather than guessed
+ * @param {Map<string, Object>} report - Coverage by path
+ * @param {string} filePath - Repository-relative path
+ * @returns {Object|null} - Coverage entry of the file
+ */
+function findFileCoverage(report, filePath) {
+    if (report.has(filePath)) {
+        return report.get(filePath);
+    }
+    const matches = Array.from(report.keys()).filter(reportPath => reportPath.endsWith(`/${filePath}`));
+    if (matches.length > 1) {
+        console.log(`Coverage report has ${matches.length} entries for ${filePath}; leaving it out`);
+    }
+    return matches.length === 1 ? report.get(matches[0]) : null;
+}
+
+/**
+ * Measure the coverage of the lines a PR adds
+ * Added lines the report doesn't instrument (comments, blank lines) are left out
+ * @param {Map<string, Object>} report - Coverage by path
+ * @param {Map<string, number[]>} addedLinesByPath - Added line numbers per file
+ * @returns {Object[]} - Per file `{ path, covered, total, uncoveredLines, uncoveredBranches }`;
+ *   `uncoveredBranches` holds `{ line, covered, total }`
+ */
+function computePatchCoverage(report, addedLinesByPath) {
+    const results = [];
+
+    addedLinesByPath.forEach((lineNumbers, filePath) => {
+        const entry = findFileCoverage(report, filePath);
+        if (!entry) {
+            return;
+        }
+        const instrumented = lineNumbers.filter(line => entry.lines.has(line));
+        if (instrumented.length === 0) {
+            return;
+        }
+
+        const uncoveredLines = instrumented.filter(line => entry.lines.get(line) === 0);
+        results.push({
+            path: filePath,
+            covered: instrumented.length - uncoveredLines.length,
+            total: instrumented.length,
+            uncoveredLines,
+            uncoveredBranches: lineNumbers
+                .filter(line => entry.branches.has(line))
+                .map(line => ({ line, ...entry.branches.get(line) }))
+                .filter(branch => branch.covered < branch.total)
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Sum up patch coverage over all files
+ * @param {Object[]} results - Results from computePatchCoverage
+ * @returns {{ covered: number, total: number, percent: number|null }} - Totals; percent is null
+ *   when no added line is instrumented
+ */
+function totalPatchCoverage(results) {
+    const covered = results.reduce((sum, result) => sum + result.covered, 0);
+    const total = results.reduce((sum, result) => sum + result.total, 0);
+    return { covered, total, percent: total > 0 ? (covered / total) * 100 : null };
+}
+
+/**
+ * Collapse line numbers into ranges
+ * @param {number[]} lines - Sorted line numbers
+ * @returns {string} - e.g. "12-14, 20"
+ */
+function formatLineRanges(lines) {
+    const ranges = [];
+    lines.forEach(line => {
+        const last = ranges[ranges.length - 1];
+        if (last && line === last[1] + 1) {
+            last[1] = line;
+        } else {
+            ranges.push([line, line]);
+        }
+    });
+    return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(', ');
+}
+
+/**
+ * Render patch coverage as a markdown table for the review summary
+ * @param {Object[]} results - Results from computePatchCoverage
+ * @param {number} [minimum] - Required patch coverage in percent, if any
+ * @returns {string} - Markdown section
+ */
+function formatCoverageSummary(results, minimum = 0) {
+    let output = `### Patch Coverage\n`;
+    const { covered, total, percent } = totalPatchCoverage(results);
+    if (percent === null) {
+        return `${output}The coverage report doesn't cover any of the lines this PR adds.\n`;
+    }
+
+    output += `| File | Covered lines | Coverage | Uncovered lines |\n|---|---|---|---|\n`;
+    results.forEach(result => {
+        output += `| \`${result.path}\` | ${result.covered}/${result.total} | ${((result.covered / result.total) * 100).toFixed(1)}% | ${formatLineRanges(result.uncoveredLines) || '-'} |\n`;
+    });
+    output += `| **Total** | **${covered}/${total}** | **${percent.toFixed(1)}%** | |\n`;
+
+    if (minimum > 0) {
+        output += percent >= minimum
+            ? `\n✅ Patch coverage meets the required ${minimum}%.\n`
+            : `\n❌ Patch coverage is below the required ${minimum}%.\n`;
+    }
+    return output;
+}
+
+/**
+ * Create inline findings for added lines with branches the tests never take
+ * @param {Object[]} results - Results from computePatchCoverage
+ * @returns {Object[]} - One finding per line with uncovered branches
+ */
+function createCoverageFindings(results) {
+    return results.flatMap(result => result.uncoveredBranches.map(branch => createFinding({
+        ruleId: UNCOVERED_BRANCH_RULE_ID,
+        severity: COMMENT_TYPES.BEST_PRACTICE,
+        path: result.path,
+        line: branch.line,
+        message: `Only ${branch.covered} of ${branch.total} branches on this line are covered by tests. Please add tests for the missing cases.`
+    })));
+}
+
+module.exports = {
+    UNCOVERED_BRANCH_RULE_ID,
+    parseLcov,
+    parseCobertura,
+    parseCoverageReport,
+    loadCoverageReport,
+    computePatchCoverage,
+    totalPatchCoverage,
+    formatCoverageSummary,
+    createCoverageFindings
+};
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Baseline Snapshot Tool
+ * Scans every file of a local checkout with the review rules and writes the findings
+ * to a baseline file, so the reviewer only reports findings added after the snapshot
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { execSync } = require('child_process');
+
+const { loadRules, runRules } = require('./rule-engine');
+const { CONFIG_FILE_NAMES, normalizeConfig, parseReviewConfig, applyReviewConfig, isPathIncluded } = require('./review-config');
+const { BASELINE_FILE_NAME, createBaseline } = require('./baseline');
+const { parseSource } = require('./ast-analysis');
+
+// Directories never worth scanning
+const SKIPPED_DIRECTORIES = ['.git', 'node_modules'];
+
+// Get command line arguments
+const { values: flags, positionals: args } = parseArgs({
+    args: process.argv.slice(2),
+    allowPositionals: true,
+    options: {
+        output: { type: 'string' }
+    }
+});
+
+if (args.length < 1) {
+    console.log('Usage: node create-baseline.js <repo-dir> [--output <file>]');
+    console.log('Example: node create-baseline.js ../personal-finance-simulator');
+    console.log('  --output <file>  Where to write the baseline (defaults to the baseline path of the repo config)');
+    process.exit(1);
+}
+
+/**
+ * Load the review config of a local checkout
+ * @param {string} repoDir - Repository root
+ * @returns {Object} - Normalized review config
+ */
+function loadLocalConfig(repoDir) {
+    const fileName = CONFIG_FILE_NAMES.find(name => fs.existsSync(path.join(repoDir, name)));
+    if (!fileName) {
+        return normalizeConfig({});
+    }
+    console.log(`Using review config from ${fileName}`);
+    return parseReviewConfig(fs.readFileSync(path.join(repoDir, fileName), 'utf8'), fileName);
+}
+
+/**
+ * List the files of a checkout as repository-relative paths
+ * @param {string} repoDir - Repository root
+ * @param {string} [relativeDir] - Directory to list, relative to the root
+ * @returns {string[]} - File paths using forward slashes
+ */
+function listFiles(repoDir, relativeDir = '') {
+    const files = [];
+    fs.readdirSync(path.join(repoDir, relativeDir), { withFileTypes: true }).forEach(entry => {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
+                files.push(...listFiles(repoDir, relativePath));
+            }
+        } else if (entry.isFile()) {
+            files.push(relativePath);
+        }
+    });
+    return files;
+}
+
+/**
+ * Get the commit a checkout is on, if it is a git repository
+ * @param {string} repoDir - Repository root
+ * @returns {string|null} - Commit SHA
+ */
+function getHeadCommit(repoDir) {
+    try {
+        return execSync('git rev-parse HEAD', { cwd: repoDir, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Scan a checkout and write its baseline
+ * @param {string} repoDir - Repository root
+ * @param {Object} options - Snapshot options
+ * @param {string} [options.output] - Baseline file to write
+ */
+function createBaselineSnapshot(repoDir, options = {}) {
+    const config = loadLocalConfig(repoDir);
+    const ruleRegistry = loadRules();
+    applyReviewConfig(ruleRegistry, config);
+
+    const findings = [];
+    const files = listFiles(repoDir).filter(filePath =>
+        isPathIncluded(config, filePath) && ruleRegistry.forFile(filePath).length > 0
+    );
+    console.log(`Scanning ${files.length} files with ${ruleRegistry.list().length} review rules...`);
+
+    files.forEach(filePath => {
+        const source = fs.readFileSync(path.join(repoDir, filePath), 'utf8');
+        const contents = source.split('\n');
+        const lines = contents.map((content, index) => ({ line: index + 1, content }));
+        findings.push(...runRules(ruleRegistry, filePath, lines, (line, count) => ({
+            before: contents.slice(Math.max(0, line - 1 - count), line - 1),
+            after: contents.slice(line, line + count)
+        }), parseSource(filePath, source), source));
+    });
+
+    const baseline = createBaseline(findings, { ref: getHeadCommit(repoDir) });
+    const output = options.output || path.join(repoDir, config.baseline || BASELINE_FILE_NAME);
+    fs.writeFileSync(output, `${JSON.stringify(baseline, null, 2)}\n`);
+    console.log(`Recorded ${findings.length} findings (${baseline.findings.length} distinct) in ${output}`);
+}
+
+try {
+    createBaselineSnapshot(path.resolve(args[0]), { output: flags.output });
+} catch (error) {
+    console.error('Failed to create baseline:', error.message);
+    process.exit(1);
+}
@@ -0,0 +1,132 @@
+/**
+ * CSS Analysis
+ * Splits a stylesheet into rule selectors and declarations with their line numbers,
+ * for rules that need to see the structure of the whole file
+ */
+
+/**
+ * Normalize a selector for comparison
+ * @param {string} selector - Selector text
+ * @returns {string} - Selector with collapsed whitespace around combinators and commas
+ */
+function normalizeSelector(selector) {
+    return selector
+        .replace(/\s+/g, ' ')
+        .replace(/\s*([>+~,])\s*/g, '$1')
+        .trim();
+}
+
+// Stylesheet languages where `//` starts a line comment; in plain CSS it doesn't
+const LINE_COMMENT_FILES = /\.(?:scss|less)$/i;
+
+/**
+ * Parse a stylesheet (CSS, or SCSS/Less with nested rules)
+ * @param {string} source - Stylesheet text
+ * @param {string} [filePath] - Path of the stylesheet, to tell SCSS/Less from CSS
+ * @returns {{ rules: Object[], declarations: Object[] }} - Rules as `{ selector, scope, line }`,
+ *   where `scope` joins the enclosing at-rules and selectors, and declarations as
+ *   `{ property, value, line }`
+ */
+function parseStylesheet(source, filePath = '') {
+    const lineComments = LINE_COMMENT_FILES.test(filePath);
+    const rules = [];
+    const declarations = [];
+    const scopes = [];
+    let buffer = '';
+    let bufferLine = null;
+    let line = 1;
+
+    const flushDeclaration = () => {
+        const colon = buffer.indexOf(':');
+        if (colon > 0 && !buffer.trim().startsWith('@')) {
+            declarations.push({
+                property: buffer.slice(0, colon).trim(),
+                value: buffer.slice(colon + 1).trim(),
+                line: bufferLine
+            });
+        }
+        buffer = '';
+        bufferLine = null;
+    };
+
+    for (let index = 0; index < source.length; index++) {
+        const char = source[index];
+
+        // Comments are dropped, but their line breaks still count
+        if (char === '/' && source[index + 1] === '*') {
+            const close = source.indexOf('*/', index + 2);
+            const end = close === -1 ? source.length : close + 2;
+            line += (source.slice(index, end).match(/\n/g) || []).length;
+            index = end - 1;
+            continue;
+        }
+        if (lineComments && char === '/' && source[index + 1] === '/' && source[index - 1] !== ':') {
+            // SCSS/Less line comment; the ":" check keeps URLs like https:// intact
+            while (index < source.length && source[index] !== '\n') {
+                index++;
+            }
+            index--;
+            continue;
+        }
+
+        // Unquoted URLs are kept whole, so `url(//cdn.example.com/a.png)` isn't read as a comment
+        if (/^url\(\s*[^\s'")]/i.test(source.slice(index, index + 6)) && !/[\w-]/.test(source[index - 1] || '')) {
+            const close = source.indexOf(')', index);
+            const end = close === -1 ? source.length : close + 1;
+            if (bufferLine === null) {
+                bufferLine = line;
+            }
+            buffer += source.slice(index, end);
+            line += (source.slice(index, end).match(/\n/g) || []).length;
+            index = end - 1;
+            continue;
+        }
+
+        if (char === '"' || char === '\'') {
+            const close = source.indexOf(char, index + 1);
+            const end = close === -1 ? source.length : close + 1;
+            if (bufferLine === null) {
+                bufferLine = line;
+            }
+            buffer += source.slice(index, end);
+            line += (source.slice(index, end).match(/\n/g) || []).length;
+            index = end - 1;
+            continue;
+        }
+
+        if (char === '{') {
+            const prelude = buffer.trim();
+            if (prelude && !prelude.startsWith('@')) {
+                rules.push({
+                    selector: normalizeSelector(prelude),
+                    scope: scopes.join(' | '),
+                    line: bufferLine
+                });
+            }
+            scopes.push(prelude.startsWith('@') ? prelude.replace(/\s+/g, ' ') : normalizeSelector(prelude));
+            buffer = '';
+            bufferLine = null;
+        } else if (char === '}') {
+            flushDeclaration();
+            scopes.pop();
+        } else if (char === ';') {
+            flushDeclaration();
+        } else {
+            if (bufferLine === null && !/\s/.test(char)) {
+                bufferLine = line;
+            }
+            buffer += char;
+        }
+
+        if (char === '\n') {
+            line++;
+        }
+    }
+
+    return { rules, declarations };
+}
+
+module.exports = {
+    normalizeSelector,
+    parseStylesheet
+};
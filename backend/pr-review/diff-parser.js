@@ -0,0 +1,279 @@
+/**
+ * Unified Diff Parser
+ * Splits a pull request diff into files and hunks and resolves every line
+ * to its line number in the old (LEFT) and new (RIGHT) version of the file
+ */
+
+// Matches a hunk header such as "@@ -12,7 +12,9 @@ function name()"
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/;
+
+/**
+ * Strip the quoting and a/ b/ prefix git puts on diff paths
+ * @param {string} rawPath - Path as it appears in the diff
+ * @returns {string|null} - Repository-relative path, or null for /dev/null
+ */
+function cleanPath(rawPath) {
+    let filePath = rawPath.trim();
+
+    // Drop the timestamp some diff tools append after a tab
+    filePath = filePath.split('\t')[0];
+
+    if (filePath.startsWith('"') && filePath.endsWith('"')) {
+        filePath = filePath.slice(1, -1).replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+    }
+    if (filePath === '/dev/null') {
+        return null;
+    }
+    if (filePath.startsWith('a/') || filePath.startsWith('b/')) {
+        filePath = filePath.slice(2);
+    }
+    return filePath;
+}
+
+/**
+ * Create an empty file entry
+ * @returns {Object} - File diff
+ */
+function createFileDiff() {
+    return {
+        oldPath: null,
+        newPath: null,
+        path: null,
+        isNew: false,
+        isDeleted: false,
+        isRenamed: false,
+        isBinary: false,
+        hunks: []
+    };
+}
+
+/**
+ * Parse the hunks of a single file
+ * Used directly for the `patch` field returned by the pull request files API,
+ * which has no file headers
+ * @param {string[]} lines - Diff lines starting at (or before) the first hunk header
+ * @param {number} startIndex - Index to start parsing from
+ * @returns {{ hunks: Object[], nextIndex: number }} - Parsed hunks and the index after the last one
+ */
+function parseHunks(lines, startIndex = 0) {
+    const hunks = [];
+    let index = startIndex;
+
+    while (index < lines.length) {
+        const header = HUNK_HEADER.exec(lines[index]);
+        if (!header) {
+            break;
+        }
+
+        const hunk = {
+            oldStart: parseInt(header[1], 10),
+            oldLines: header[2] !== undefined ? parseInt(header[2], 10) : 1,
+            newStart: parseInt(header[3], 10),
+            newLines: header[4] !== undefined ? parseInt(header[4], 10) : 1,
+            section: header[5].trim(),
+            lines: []
+        };
+        index++;
+
+        let oldLine = hunk.oldStart;
+        let newLine = hunk.newStart;
+        let oldRemaining = hunk.oldLines;
+        let newRemaining = hunk.newLines;
+
+        // Use the line counts from the header to know where the hunk ends,
+        // so removed lines that look like "--- " headers are still read as content
+        while (index < lines.length && (oldRemaining > 0 || newRemaining > 0 || lines[index].startsWith('\\'))) {
+            const line = lines[index];
+            const marker = line[0];
+            const content = line.slice(1);
+
+            if (marker === '+') {
+                hunk.lines.push({ type: 'add', content, oldLine: null, newLine });
+                newLine++;
+                newRemaining--;
+            } else if (marker === '-') {
+                hunk.lines.push({ type: 'del', content, oldLine, newLine: null });
+                oldLine++;
+                oldRemaining--;
+            } else if (marker === ' ' || line === '') {
+                hunk.lines.push({ type: 'context', content, oldLine, newLine });
+                oldLine++;
+                newLine++;
+                oldRemaining--;
+                newRemaining--;
+            } else if (marker === '\\') {
+                // "\ No newline at end of file" belongs to the previous line
+                if (hunk.lines.length > 0) {
+                    hunk.lines[hunk.lines.length - 1].noNewline = true;
+                }
+            } else {
+                break;
+            }
+            index++;
+        }
+
+        hunks.push(hunk);
+    }
+
+    return { hunks, nextIndex: index };
+}
+
+/**
+ * Parse a unified diff (as produced by `git diff` or the GitHub diff media type)
+ * @param {string} diffText - Full diff text
+ * @returns {Object[]} - One entry per file with its hunks and line numbers
+ */
+function parseUnifiedDiff(diffText) {
+    const lines = (diffText || '').replace(/\r\n/g, '\n').split('\n');
+    const files = [];
+    let current = null;
+    let index = 0;
+
+    const finishFile = () => {
+        if (current) {
+            current.path = current.newPath || current.oldPath;
+            files.push(current);
+        }
+    };
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (line.startsWith('diff --git ')) {
+            finishFile();
+            current = createFileDiff();
+
+            // Fallback paths in case the diff has no ---/+++ lines (binary or mode-only changes)
+            const gitPaths = /^diff --git (\S+|"[^"]+") (\S+|"[^"]+")$/.exec(line);
+            if (gitPaths) {
+                current.oldPath = cleanPath(gitPaths[1]);
+                current.newPath = cleanPath(gitPaths[2]);
+            }
+            index++;
+            continue;
+        }
+
+        if (line.startsWith('--- ') && lines[index + 1] && lines[index + 1].startsWith('+++ ')) {
+            // Plain unified diffs without "diff --git" headers start a file here
+            if (!current || current.hunks.length > 0) {
+                finishFile();
+                current = createFileDiff();
+            }
+            current.oldPath = cleanPath(line.slice(4));
+            current.newPath = cleanPath(lines[index + 1].slice(4));
+            current.isNew = current.isNew || current.oldPath === null;
+            current.isDeleted = current.isDeleted || current.newPath === null;
+            index += 2;
+            continue;
+        }
+
+        if (current && HUNK_HEADER.test(line)) {
+            const { hunks, nextIndex } = parseHunks(lines, index);
+            current.hunks.push(...hunks);
+            index = nextIndex;
+            continue;
+        }
+
+        if (current) {
+            if (line.startsWith('new file mode')) {
+                current.isNew = true;
+                current.oldPath = null;
+            } else if (line.startsWith('deleted file mode')) {
+                current.isDeleted = true;
+                current.newPath = null;
+            } else if (line.startsWith('rename from ')) {
+                current.isRenamed = true;
+                current.oldPath = cleanPath(line.slice('rename from '.length));
+            } else if (line.startsWith('rename to ')) {
+                current.isRenamed = true;
+                current.newPath = cleanPath(line.slice('rename to '.length));
+            } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+                current.isBinary = true;
+            }
+        }
+        index++;
+    }
+
+    finishFile();
+    return files;
+}
+
+/**
+ * Parse the `patch` field of a single pull request file
+ * @param {string} patch - Hunks of one file, without file headers
+ * @returns {Object[]} - Parsed hunks
+ */
+function parsePatch(patch) {
+    const lines = (patch || '').replace(/\r\n/g, '\n').split('\n');
+    const start = lines.findIndex(line => HUNK_HEADER.test(line));
+    return start === -1 ? [] : parseHunks(lines, start).hunks;
+}
+
+/**
+ * List the lines of a file diff with their line numbers
+ * @param {Object} fileDiff - File entry from parseUnifiedDiff (or `{ hunks }`)
+ * @param {string[]} [types] - Line types to include ('add', 'del', 'context')
+ * @returns {Object[]} - Lines in diff order
+ */
+function getDiffLines(fileDiff, types = ['add', 'del', 'context']) {
+    const result = [];
+    fileDiff.hunks.forEach(hunk => {
+        hunk.lines.forEach(line => {
+            if (types.includes(line.type)) {
+                result.push(line);
+            }
+        });
+    });
+    return result;
+}
+
+/**
+ * List the lines a file diff adds, with their RIGHT-side line numbers
+ * @param {Object} fileDiff - File entry from parseUnifiedDiff (or `{ hunks }`)
+ * @returns {Object[]} - Added lines
+ */
+function getAddedLines(fileDiff) {
+    return getDiffLines(fileDiff, ['add']);
+}
+
+/**
+ * Get the lines around an added or context line on the RIGHT side of its hunk
+ * Removed lines are skipped so the result reads like the new version of the file
+ * @param {Object} fileDiff - File entry from parseUnifiedDiff (or `{ hunks }`)
+ * @param {number} newLine - RIGHT-side line number
+ * @param {number} count - Number of lines to take on each side
+ * @returns {{ before: string[], after: string[] }} - Surrounding line contents
+ */
+function getSurroundingLines(fileDiff, newLine, count) {
+    for (const hunk of fileDiff.hunks) {
+        const rightLines = hunk.lines.filter(line => line.type !== 'del');
+        const index = rightLines.findIndex(line => line.newLine === newLine);
+        if (index !== -1) {
+            return {
+                before: rightLines.slice(Math.max(0, index - count), index).map(line => line.content),
+                after: rightLines.slice(index + 1, index + 1 + count).map(line => line.content)
+            };
+        }
+    }
+    return { before: [], after: [] };
+}
+
+/**
+ * Index a parsed diff by the file's current path
+ * @param {Object[]} fileDiffs - Result of parseUnifiedDiff
+ * @returns {Map<string, Object>} - File diffs keyed by path
+ */
+function indexByPath(fileDiffs) {
+    const byPath = new Map();
+    fileDiffs.forEach(fileDiff => byPath.set(fileDiff.path, fileDiff));
+    return byPath;
+}
+
+module.exports = {
+    parseUnifiedDiff,
+    parsePatch,
+    getDiffLines,
+    getAddedLines,
+    getSurroundingLines,
+    indexByPath
+};
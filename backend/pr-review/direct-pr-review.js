@@ -6,13 +6,38 @@
  * with line-specific suggestions for code improvements
  */
 
+const fs = require('fs');
+const { parseArgs } = require('util');
+
 // Import the PR review functions
 const { 
     reviewPullRequest, 
-    addLineComment, 
-    addFileComment, 
+    updatePRComment, 
     COMMENT_TYPES 
 } = require('./pr-review-tool');
+const { loadRules, runRules } = require('./rule-engine');
+const { loadPullRequestConfig, applyReviewConfig, isPathIncluded, decodeFileContents } = require('./review-config');
+const { parseUnifiedDiff, parsePatch, getDiffLines, getAddedLines, getSurroundingLines, indexByPath } = require('./diff-parser');
+const { formatFindingComment, extractFingerprint, reconcileFindings } = require('./comment-dedup');
+const { createFinding, toJSONReport, toSarif } = require('./findings');
+const { decideVerdict, applyCoverageGate, carryOverRequestedChanges } = require('./review-verdict');
+const { formatReviewMarker, findLastReview, getChangesSince } = require('./incremental-review');
+const { getAuthenticatedLogin } = require('./github-client');
+const { fetchReviewThreads, findResolvableThreads, resolveThread } = require('./thread-resolver');
+const { collectDirectives, filterCommentDirectives, numberLines, applySuppressions, formatSuppressionSummary } = require('./suppressions');
+const { loadBaseline, filterBaselined } = require('./baseline');
+const { isParsable, parseSource } = require('./ast-analysis');
+const { SECRET_RULE_ID, scanForSecrets, maskSecrets, scrubFindings } = require('./secret-scanner');
+const { loadPullRequestTemplate, checkTemplateCompliance, formatTemplateReport } = require('./pr-template');
+const { getPullRequestTickets, validateTicketReferences } = require('./ticket-references');
+const { MISSING_TESTS_RULE_ID, checkTestCoverage, checkTestsCheckbox } = require('./test-coverage');
+const { formatAccessibilitySummary } = require('./accessibility');
+const { UNCOVERED_BRANCH_RULE_ID, loadCoverageReport, computePatchCoverage, totalPatchCoverage, formatCoverageSummary, createCoverageFindings } = require('./coverage-report');
+const { loadAiProvider, reviewWithAi } = require('./ai-reviewer');
+const { buildAiContext, renderPrompt } = require('./ai-context');
+const { attachSuggestions } = require('./suggestions');
+const { AUTOFIX_MODES, selectAutofixes, collectFixes, pushAutofix } = require('./autofix');
+const { linkTodoIssues } = require('./todo-issues');
 
 // Define direct access to MCP tools for this script
 async function mcp0_get_pull_request(params) {
@@ -36,16 +61,53 @@ async function mcp0_submit_pending_pull_request_review(params) {
 }
 
 // Get command line arguments
-const args = process.argv.slice(2);
+let flags = {};
+let args = [];
+try {
+    ({ values: flags, positionals: args } = parseArgs({
+        args: process.argv.slice(2),
+        allowPositionals: true,
+        options: {
+            'dry-run': { type: 'boolean', default: false },
+            output: { type: 'string' },
+            json: { type: 'string' },
+            sarif: { type: 'string' },
+            coverage: { type: 'string' },
+            ai: { type: 'string' },
+            'ai-context': { type: 'string' },
+            autofix: { type: 'string' },
+            'todo-issues': { type: 'boolean', default: false },
+            full: { type: 'boolean', default: false }
+        }
+    }));
+} catch (error) {
+    // Unknown options and options missing their value; fall through to the usage
+    console.log(error.message);
+}
 
 if (args.length < 3) {
-    console.log('Usage: node direct-pr-review.js <owner> <repo> <pr-number>');
+    console.log('Usage: node direct-pr-review.js <owner> <repo> <pr-number> [--dry-run] [--output <file>] [--json <file>] [--sarif <file>] [--coverage <file>] [--ai <provider>] [--ai-context <file>] [--autofix <commit|pr>] [--todo-issues] [--full]');
     console.log('Example: node direct-pr-review.js ShivaniBhadoria personal-finance-simulator 1');
+    console.log('  --dry-run        Run the full analysis and print the review instead of posting it');
+    console.log('  --output <file>  With --dry-run, write the review to a file instead of printing it');
+    console.log('  --json <file>    Also write the findings as JSON');
+    console.log('  --sarif <file>   Also write the findings as SARIF 2.1.0');
+    console.log('  --coverage <file> LCOV or Cobertura report (path or URL) to measure coverage of the added lines');
+    console.log('  --ai <provider>  Also review the changed hunks with an AI provider: openai-compatible, stub, recorded or a module');
+    console.log('  --ai-context <file> Write the prompts the AI provider would get, without calling it');
+    console.log('  --autofix <mode> Push all safe fixes as one commit onto the PR branch (commit) or as a stacked PR (pr)');
+    console.log('  --todo-issues    Open an issue for every new TODO/FIXME and suggest referencing it in the comment');
+    console.log('  --full           Review the whole PR even if it was reviewed before');
     process.exit(1);
 }
 
 const [owner, repo, prNumber] = args;
 
+if (flags.autofix && !AUTOFIX_MODES.includes(flags.autofix)) {
+    console.log(`--autofix must be one of: ${AUTOFIX_MODES.join(', ')}`);
+    process.exit(1);
+}
+
 /**
  * Format a date in a human-readable format
  * @param {string} dateString - ISO date string
@@ -64,121 +126,90 @@ function formatDate(dateString) {
 }
 
 /**
- * Find the smallest possible diff between original and suggested code
- * @param {string[]} originalLines - Original code lines
- * @param {string[]} suggestedLines - Suggested code lines
- * @returns {string[]} - Array of lines representing the smallest diff
- */
-function findSmallestDiff(originalLines, suggestedLines) {
-    // Find first different line
-    const firstDiffIndex = findFirstDifferentLineIndex(originalLines, suggestedLines);
-    if (firstDiffIndex === -1) return [];
-    
-    // Find the smallest continuous block of changes
-    let endDiffIndex = firstDiffIndex;
-    while (endDiffIndex < Math.min(originalLines.length, suggestedLines.length) - 1) {
-        if (endDiffIndex + 1 < originalLines.length && 
-            endDiffIndex + 1 < suggestedLines.length && 
-            originalLines[endDiffIndex + 1] !== suggestedLines[endDiffIndex + 1]) {
-            endDiffIndex++;
-        } else {
-            break;
-        }
-    }
-    
-    // Limit to max 3 lines
-    const maxLines = 3;
-    const diffLength = endDiffIndex - firstDiffIndex + 1;
-    
-    if (diffLength <= maxLines) {
-        return suggestedLines.slice(firstDiffIndex, endDiffIndex + 1);
-    } else {
-        // If diff is too large, just return the first changed line
-        return [suggestedLines[firstDiffIndex]];
-    }
-}
-
-/**
- * Find the index of the first line that differs between original and suggested code
- * @param {string[]} originalLines - Original code lines
- * @param {string[]} suggestedLines - Suggested code lines
- * @returns {number} - Index of first different line, or -1 if identical
+ * Render a review as markdown for a dry run
+ * @param {Object} review - Review that would have been posted
+ * @param {string} review.owner - Repository owner
+ * @param {string} review.repo - Repository name
+ * @param {number} review.prNumber - Pull request number
+ * @param {string} review.event - Review event (COMMENT, APPROVE, ...)
+ * @param {string} review.summary - Review summary body
+ * @param {Object[]} review.findings - Inline and file-level findings to post
+ * @param {Object[]} [review.updates] - Existing comments whose text would be updated
+ * @param {Object[]} [review.resolutions] - Review threads that would be resolved
+ * @param {Object} [review.autofix] - Fixes that would be pushed, as `{ mode, findings }`
+ * @param {Object} [review.todoIssues] - TODO issues found or to be opened, from linkTodoIssues
+ * @returns {string} - Markdown rendering of the review
  */
-function findFirstDifferentLineIndex(originalLines, suggestedLines) {
-    const minLength = Math.min(originalLines.length, suggestedLines.length);
+function renderReviewPreview({ owner, repo, prNumber, event, summary, findings, updates = [], resolutions = [], autofix = null, todoIssues = null }) {
+    let output = `# Dry run: review for ${owner}/${repo}#${prNumber}\n\n`;
+    output += `**Event:** ${event}\n\n`;
+    output += `## Summary\n\n${summary}\n\n`;
+    output += `## Comments (${findings.length})\n\n`;
     
-    for (let i = 0; i < minLength; i++) {
-        if (originalLines[i] !== suggestedLines[i]) {
-            return i;
-        }
-    }
+    findings.forEach((finding, index) => {
+        const location = finding.subjectType === 'FILE'
+            ? `${finding.path} (file)`
+            : `${finding.path}:${finding.startLine ? `${finding.startLine}-` : ''}${finding.line} (${finding.side})`;
+        output += `### ${index + 1}. ${location} [${finding.severity}] ${finding.ruleId}\n\n`;
+        output += `${formatFindingComment(finding)}\n\n`;
+    });
     
-    // If we get here, either the arrays are identical up to the shorter one's length,
-    // or one array is a prefix of the other
-    if (originalLines.length !== suggestedLines.length) {
-        return minLength;
+    if (updates.length > 0) {
+        output += `## Updated Comments (${updates.length})\n\n`;
+        updates.forEach(({ finding, comment, body }) => {
+            output += `### Comment ${comment.id} on ${finding.path}:${finding.line || 'file'} [${finding.severity}] ${finding.ruleId}\n\n`;
+            output += `${body}\n\n`;
+        });
     }
     
-    return -1; // Arrays are identical
-}
-
-/**
- * Extract minimal changes between original and suggested code
- * @param {string[]} originalLines - Original code lines
- * @param {string[]} suggestedLines - Suggested code lines
- * @returns {string} - Minimal changes for GitHub suggestion block
- */
-function extractMinimalChanges(originalLines, suggestedLines) {
-    // Find common prefix and suffix
-    let prefixLength = 0;
-    const minLength = Math.min(originalLines.length, suggestedLines.length);
-    
-    // Find common prefix
-    while (prefixLength < minLength && 
-           originalLines[prefixLength] === suggestedLines[prefixLength]) {
-        prefixLength++;
+    if (resolutions.length > 0) {
+        output += `## Resolved Threads (${resolutions.length})\n\n`;
+        resolutions.forEach(thread => {
+            output += `- Comment ${thread.commentId} on ${thread.path} (${thread.reason})\n`;
+        });
+        output += '\n';
     }
     
-    // Find common suffix
-    let suffixLength = 0;
-    while (suffixLength < minLength - prefixLength && 
-           originalLines[originalLines.length - 1 - suffixLength] === 
-           suggestedLines[suggestedLines.length - 1 - suffixLength]) {
-        suffixLength++;
+    if (autofix) {
+        output += `## Autofix (${autofix.mode === 'pr' ? 'stacked PR' : 'commit on the PR branch'})\n\n`;
+        [...autofix.findings].sort((a, b) => a.path.localeCompare(b.path) || a.line - b.line).forEach(finding => {
+            output += `- ${finding.path}:${finding.startLine ? `${finding.startLine}-` : ''}${finding.line} ${finding.ruleId}\n`;
+        });
+        output += '\n';
     }
     
-    // Extract the changed lines
-    const originalChanged = originalLines.slice(
-        prefixLength, 
-        originalLines.length - suffixLength
-    );
-    
-    const suggestedChanged = suggestedLines.slice(
-        prefixLength, 
-        suggestedLines.length - suffixLength
-    );
-    
-    // If there are no changes, return the original
-    if (originalChanged.length === 0 && suggestedChanged.length === 0) {
-        return suggestedLines.join('\n');
+    if (todoIssues && (todoIssues.existing.length > 0 || todoIssues.pending.length > 0)) {
+        output += `## TODO Issues\n\n`;
+        todoIssues.existing.forEach(issue => {
+            output += `- #${issue.number} ${issue.title} (existing${issue.state === 'closed' ? ', closed' : ''} issue)\n`;
+        });
+        todoIssues.pending.forEach(finding => {
+            output += `- ${finding.path}:${finding.line} would get a new issue\n`;
+        });
+        output += '\n';
     }
     
-    // Include one line of context before and after if available
-    const startContext = Math.max(0, prefixLength - 1);
-    const endContextOriginal = Math.min(originalLines.length, originalLines.length - suffixLength + 1);
-    const endContextSuggested = Math.min(suggestedLines.length, suggestedLines.length - suffixLength + 1);
-    
-    const finalOriginal = originalLines.slice(startContext, endContextOriginal);
-    const finalSuggested = suggestedLines.slice(startContext, endContextSuggested);
-    
-    // Return the suggested version with minimal changes
-    return finalSuggested.join('\n');
+    return output;
 }
 
 /**
  * Add direct comments to a PR
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} prNumber - Pull request number
+ * @param {Object} options - Review options
+ * @param {boolean} [options.dryRun] - Render the review locally instead of posting it
+ * @param {string} [options.output] - File to write the dry-run review to (prints it otherwise)
+ * @param {string} [options.json] - File to write the findings to as JSON
+ * @param {string} [options.sarif] - File to write the findings to as SARIF 2.1.0
+ * @param {string} [options.coverage] - LCOV or Cobertura report (path or URL) for patch coverage
+ * @param {string} [options.ai] - AI provider to review the changed hunks with, if any
+ * @param {string} [options.aiContext] - File to write the AI review prompts to
+ * @param {string} [options.autofix] - Push the safe fixes as a `commit` on the PR branch or as a stacked `pr`
+ * @param {boolean} [options.todoIssues] - Open an issue for every new TODO/FIXME comment
+ * @param {boolean} [options.full] - Review the whole PR instead of only commits since the last review
  */
-async function addDirectPRComments(owner, repo, prNumber) {
+async function addDirectPRComments(owner, repo, prNumber, options = {}) {
     try {
         console.log(`Adding direct comments to PR #${prNumber} in ${owner}/${repo}`);
         
@@ -187,6 +218,9 @@ async function addDirectPRComments(owner, repo, prNumber) {
             mcp0_get_pull_request, 
             mcp0_get_pull_request_files, 
             mcp0_get_pull_request_diff,
+            mcp0_get_file_contents,
+            mcp0_get_pull_request_reviews,
+            mcp0_get_pull_request_comments,
             mcp0_create_pending_pull_request_review, 
             mcp0_add_comment_to_pending_review,
             mcp0_submit_pending_pull_request_review,
@@ -217,21 +251,61 @@ async function addDirectPRComments(owner, repo, prNumber) {
         });
         console.log(`Found ${files.length} changed files`);
         
-        // 3. Get PR diff
-        console.log('Getting PR diff...');
-        const diff = await mcp0_get_pull_request_diff({
-            owner,
-            repo,
-            pullNumber: parseInt(prNumber)
-        });
+        // Load the repository's review config; policy settings come from the PR base
+        console.log('Loading review config...');
+        const config = await loadPullRequestConfig(mcp0_get_file_contents, { owner, repo, pr });
+        let reviewedFiles = files.filter(file => isPathIncluded(config, file.filename));
+        if (reviewedFiles.length < files.length) {
+            console.log(`Skipping ${files.length - reviewedFiles.length} files excluded by the review config`);
+        }
         
-        // 4. Create a pending review
-        console.log('Creating pending review...');
-        const review = await mcp0_create_pending_pull_request_review({
-            owner,
-            repo,
-            pullNumber: parseInt(prNumber)
-        });
+        // Only analyze the commits pushed since the last WindLens review, unless a full review was requested
+        let lastReviewedSha = null;
+        let lastReview = null;
+        if (!options.full && mcp0_get_pull_request_reviews) {
+            console.log('Checking for a previous review...');
+            const reviews = await mcp0_get_pull_request_reviews({
+                owner,
+                repo,
+                pullNumber: parseInt(prNumber)
+            });
+            // Only the bot's own reviews count; without its login every run is a full review
+            lastReview = findLastReview(reviews, await getAuthenticatedLogin());
+            const previousSha = lastReview ? lastReview.sha : null;
+            
+            if (previousSha === pr.head.sha) {
+                console.log(`Head ${pr.head.sha.slice(0, 7)} was already reviewed, nothing new to analyze. Use --full to review again.`);
+                return;
+            }
+            if (previousSha) {
+                const changedSince = await getChangesSince(owner, repo, previousSha, pr.head.sha);
+                if (changedSince) {
+                    lastReviewedSha = previousSha;
+                    reviewedFiles = changedSince.filter(file =>
+                        files.some(prFile => prFile.filename === file.filename) &&
+                        isPathIncluded(config, file.filename)
+                    );
+                    console.log(`Reviewing ${reviewedFiles.length} files changed since ${previousSha.slice(0, 7)}`);
+                }
+            }
+        }
+        
+        // 3. Get PR diff (an incremental review uses the patches of the compare range instead)
+        let diffByPath = new Map();
+        if (!lastReviewedSha) {
+            console.log('Getting PR diff...');
+            const diff = await mcp0_get_pull_request_diff({
+                owner,
+                repo,
+                pullNumber: parseInt(prNumber)
+            });
+            diffByPath = indexByPath(parseUnifiedDiff(diff));
+        }
+        // Use a file's section of the PR diff, falling back to the file's own patch
+        const fileDiffFor = file => diffByPath.get(file.filename) || { hunks: parsePatch(file.patch) };
+        // The diff of a PR file over the whole PR, also in a follow-up review; the patches of the
+        // PR's files cover every commit, while the compare range only covers the new ones
+        const prDiffFor = prFile => (lastReviewedSha ? { hunks: parsePatch(prFile.patch) } : fileDiffFor(prFile));
         
         const author = pr.user.login;
         const prOpenedDate = formatDate(pr.created_at);
@@ -248,328 +322,259 @@ async function addDirectPRComments(owner, repo, prNumber) {
         
         // 6. Analyze code changes and generate comments
         console.log('Analyzing code changes and generating comments...');
-        const comments = [];
+        let findings = [];
+        const ruleRegistry = loadRules();
+        applyReviewConfig(ruleRegistry, config);
+        console.log(`Loaded ${ruleRegistry.list().length} review rules`);
         
-        // Helper function to format comments in the requested format - SonarQube style
-        function formatComment({ issue, context, suggestion, codeExamples, lineSuggestions, lineContent, actionItems, tldr }) {
-            // Start with a clean, consistent template format
-            let comment = `**Issue:** ${issue || 'Code Improvement Opportunity'}\n\n`;
-            
-            // Add context if provided - keep it concise
-            if (context) {
-                comment += `**Context:** ${context}\n\n`;
-            }
-            
-            // Add suggestion if provided - focus on the "why" not just the "what"
-            if (suggestion) {
-                comment += `**Suggestion:** ${suggestion}\n\n`;
-            }
-            
-            // Always include a GitHub suggestion block for easy commits when line content is available
-            if (lineContent) {
-                // If we have specific line suggestions
-                if (lineSuggestions && Object.keys(lineSuggestions).length > 0) {
-                    const originalLines = lineContent.trim().split('\n');
-                    const suggestionKeys = Object.keys(lineSuggestions);
-                    
-                    // Single suggestion - make it simple and directly committable
-                    if (suggestionKeys.length === 1) {
-                        const key = suggestionKeys[0];
-                        const suggestedLines = lineSuggestions[key].trim().split('\n');
-                        
-                        // Create a GitHub suggestion block with the complete code that can be committed
-                        comment += `\`\`\`suggestion\n${suggestedLines.join('\n')}\n\`\`\`\n\n`;
-                        comment += `*You can commit this suggestion directly by clicking the commit button above.*\n\n`;
-                    } else {
-                        // Multiple suggestions - present them as options
-                        comment += `**Recommended Changes:**\n\n`;
-                        
-                        suggestionKeys.forEach((key, index) => {
-                            const suggestedLines = lineSuggestions[key].trim().split('\n');
-                            
-                            // Find the smallest possible diff for clean suggestions
-                            // But ensure we always have actual code that can be committed
-                            const diffLines = findSmallestDiff(originalLines, suggestedLines);
-                            const suggestionCode = diffLines.length > 0 ? diffLines.join('\n') : suggestedLines.join('\n');
-                            
-                            comment += `**Option ${index + 1}:**\n`;
-                            comment += `\`\`\`suggestion\n${suggestionCode}\n\`\`\`\n\n`;
-                        });
-                        
-                        comment += `*You can commit any suggestion directly by clicking its commit button.*\n\n`;
+        // Head versions of changed files, fetched at most once for AST rules and suppression directives
+        const headSources = new Map();
+        const getHeadSource = async file => {
+            if (!headSources.has(file.filename)) {
+                let text = null;
+                if (mcp0_get_file_contents && file.status !== 'removed') {
+                    try {
+                        text = decodeFileContents(await mcp0_get_file_contents({
+                            owner,
+                            repo,
+                            path: file.filename,
+                            ref: pr.head.sha
+                        }));
+                    } catch (error) {
+                        console.log(`Could not fetch ${file.filename} at the PR head: ${error.message}`);
                     }
-                } else {
-                    // If we don't have specific line suggestions but we do have line content,
-                    // create a general suggestion based on the entire content
-                    comment += `\`\`\`suggestion\n${lineContent}\n\`\`\`\n\n`;
-                    comment += `*You can commit this suggestion directly by clicking the commit button above.*\n\n`;
                 }
+                headSources.set(file.filename, text);
             }
-            
-            // Add code examples if provided - but only if they add value beyond the suggestion
-            if (codeExamples && codeExamples.length > 0 && (!lineSuggestions || Object.keys(lineSuggestions).length === 0)) {
-                comment += `**Example:**\n\n`;
-                comment += `\`\`\`javascript\n${codeExamples[0]}\n\`\`\`\n\n`;
-            }
-            
-            // Add action items if provided - keep them actionable and specific
-            if (actionItems && actionItems.length > 0) {
-                comment += `**Next Steps:**\n`;
-                actionItems.forEach(item => {
-                    comment += `- ${item}\n`;
-                });
-                comment += '\n';
+            return headSources.get(file.filename);
+        };
+        
+        // The PR template on the base branch, fetched at most once for the template check and the AI context
+        let templatePromise = null;
+        const getTemplate = () => {
+            if (!templatePromise) {
+                templatePromise = loadPullRequestTemplate(mcp0_get_file_contents, { owner, repo, ref: pr.base.sha });
             }
-            
-            return comment;
-        }
+            return templatePromise;
+        };
         
         // Analyze changed files
-        for (const file of files) {
-            // Look for common issues in JavaScript files
-            if (file.filename.endsWith('.js')) {
-                // Analyze code patterns and add structured comments - SonarQube style
-                const codePatterns = [
-                    {
-                        pattern: 'confirm(',
-                        issue: 'Using browser\'s native confirm() dialog lacks proper accessibility support (WCAG 2.1)',
-                        context: 'Native browser dialogs cannot be styled, lack keyboard navigation control, and are not properly announced by screen readers. This creates barriers for users with disabilities and fails WCAG 2.1 success criteria 2.1.1 (Keyboard) and 4.1.2 (Name, Role, Value).',
-                        suggestion: 'Replace with a custom dialog component with proper ARIA attributes',
-                        codeExamples: [
-                            `showAccessibleConfirmDialog('Are you sure?', () => {\n  // action on confirm\n});`,
-                            `// Promise-based API for more complex flows\nshowConfirmDialog('Are you sure?')\n  .then(() => {\n    // action on confirm\n  })\n  .catch(() => {\n    // action on cancel\n  });`
-                        ],
-                        // Line-specific suggestions for GitHub suggestion blocks
-                        lineSuggestions: {
-                            'if (confirm': `if (showAccessibleConfirmDialog`,
-                            'confirm(': `showAccessibleConfirmDialog(`,
-                        },
-                        actionItems: ['Replace native confirm() with accessible custom dialog'],
-                        tldr: 'Replace confirm() with accessible dialog for WCAG compliance'
-                    },
-                    {
-                        pattern: 'console.log(',
-                        issue: 'Development console.log statements in production code',
-                        context: 'Console statements are meant for debugging during development and should not be included in production code. They can expose sensitive information, impact performance, and create noise in browser consoles.',
-                        suggestion: 'Remove console statements or use a proper logging library with configurable log levels',
-                        codeExamples: `logger.debug('Debug info', { level: 'development' });`,
-                        // Line-specific suggestions for GitHub suggestion blocks
-                        lineSuggestions: {
-                            'console.log': `logger.debug`,
-                        },
-                        actionItems: ['Remove console.log or replace with proper logging'],
-                        tldr: 'Remove debug logs from production code'
-                    },
-                    {
-                        pattern: /TODO|FIXME/,
-                        issue: 'TODO/FIXME comments in production code',
-                        context: 'TODO and FIXME comments indicate incomplete work or known issues that should be addressed before code is merged to production. Leaving these comments in the codebase creates technical debt and can lead to forgotten issues.',
-                        suggestion: 'Address these comments before merging or create proper tracking issues in your issue management system',
-                        codeExamples: `// Create a tracking issue instead\n// See issue #123: Implement feature X`,
-                        // Line-specific suggestions for GitHub suggestion blocks
-                        lineSuggestions: {
-                            'TODO': `// See issue #123:`,
-                            'FIXME': `// See issue #123:`,
-                        },
-                        actionItems: ['Address TODO/FIXME comments or create tracking issues'],
-                        tldr: 'Resolve or track TODO comments'
-                    },
-                    {
-                        pattern: 'document.getElementById',
-                        issue: 'Unhandled DOM element access',
-                        context: 'Direct DOM access without checking if elements exist can lead to runtime errors if the element is not found. This is particularly problematic in dynamic applications where the DOM structure might change.',
-                        suggestion: 'Add proper error handling for DOM operations',
-                        codeExamples: `const element = document.getElementById('element-id');\nif (element) {\n  element.addEventListener('click', handleClick);\n} else {\n  console.error('Element not found: element-id');\n}`,
-                        // Line-specific suggestions for GitHub suggestion blocks
-                        lineSuggestions: {
-                            'document.getElementById': `const element = document.getElementById`,
-                            '.addEventListener': `if (element) {\n  element.addEventListener`,
-                        },
-                        actionItems: ['Add null checks for DOM element access', 'Consider using a utility function for safe element selection'],
-                        tldr: 'Add error handling for DOM element access'
-                    },
-                    {
-                        pattern: /querySelector.*\(.*\)/,
-                        issue: 'Potential performance issue with repeated DOM queries',
-                        context: 'Repeatedly querying the DOM for the same elements can impact performance, especially in event handlers or loops. DOM queries are expensive operations that should be minimized.',
-                        suggestion: 'Cache DOM references when elements are used multiple times',
-                        codeExamples: `// Cache DOM references\nconst form = document.getElementById('form');\nconst submitButton = form.querySelector('.submit');\n\n// Use cached references\nsubmitButton.addEventListener('click', () => {\n  // Use form and submitButton\n});`,
-                        // Line-specific suggestions for GitHub suggestion blocks
-                        lineSuggestions: {
-                            'querySelector': `// Cache this reference outside the function\nconst element = document.querySelector`,
-                        },
-                        actionItems: ['Cache DOM references outside of functions/loops', 'Use event delegation for dynamic elements'],
-                        tldr: 'Cache DOM references for better performance'
-                    }
-                ];
+        for (const file of reviewedFiles) {
+            const fileDiff = fileDiffFor(file);
+            // Only lines the PR adds are judged; removed and unchanged lines are not the author's to fix
+            const addedLines = getAddedLines(fileDiff);
+            if (addedLines.length === 0) {
+                continue;
+            }
+            
+            const lines = addedLines.map(addedLine => ({ line: addedLine.newLine, content: addedLine.content }));
+            
+            // JS/TS files are parsed so rules can match syntax nodes instead of text, and
+            // rules that read whole files (HTML, CSS, JSON) get the head version too
+            const needsSource = isParsable(file.filename) ||
+                ruleRegistry.forFile(file.filename).some(rule => rule.scan);
+            const source = needsSource ? await getHeadSource(file) : null;
+            const ast = source !== null ? parseSource(file.filename, source) : null;
 
-                // For each pattern, scan the diff for all occurrences and add a comment for each
-                const diffLines = diff.split('\n');
-                for (const pattern of codePatterns) {
-                    const isRegex = pattern.pattern instanceof RegExp;
-                    diffLines.forEach((line, idx) => {
-                        const match = isRegex ? pattern.pattern.test(line) : line.includes(pattern.pattern);
-                        if (match) {
-                            const commentObj = {
-                                issue: pattern.issue,
-                                context: pattern.context,
-                                suggestion: pattern.suggestion,
-                                codeExamples: pattern.codeExamples,
-                                lineSuggestions: pattern.lineSuggestions,
-                                lineContent: line, // Pass the current line content
-                                actionItems: pattern.actionItems,
-                                tldr: pattern.tldr
-                            };
-                            const comment = formatComment(commentObj);
-                            mcp0_add_comment_to_pending_review && mcp0_add_comment_to_pending_review({
-                                owner,
-                                repo,
-                                pullNumber: parseInt(prNumber),
-                                body: comment,
-                                path: file.filename,
-                                side: 'RIGHT',
-                                line: idx + 1 // diff lines are 1-based for GitHub API
-                            });
-                            comments.push(comment);
-                        }
-                    });
-                }
+            // Run every registered rule that applies to this file against its added lines
+            findings.push(...runRules(
+                ruleRegistry,
+                file.filename,
+                lines,
+                (line, count) => getSurroundingLines(fileDiff, line, count),
+                ast,
+                source
+            ));
 
-                // Issue 2: Missing form validation
-                if (diff.includes('addEventListener') && diff.includes('cancel')) {
-                    const comment2 = formatComment(
-                        "The cancel button handler doesn't validate form state before closing",
-                        "Add form validation before allowing cancel to prevent accidental data loss",
-                        "Add form validation to prevent data loss"
-                    );
-                    await mcp0_add_comment_to_pending_review({
-                        owner,
-                        repo,
-                        pullNumber: parseInt(prNumber),
-                        body: comment2,
-                        path: file.filename,
-                        side: 'RIGHT',
-                        line: diff.indexOf('cancel')
-                    });
-                    comments.push(comment2);
-                }
-            }
+            // Look for credentials in every kind of file, not just source code
+            findings.push(...scanForSecrets(file.filename, lines, config.secrets));
         }
         
         // Process each file
-        for (const file of files) {
+        for (const file of reviewedFiles) {
             // Example: Check for large files
-            if (file.additions + file.deletions > 300) {
-                await addFileComment(
-                    owner, 
-                    repo, 
-                    parseInt(prNumber), 
-                    file.filename, 
-                    `This file has many changes (${file.additions + file.deletions} lines). Consider breaking it into smaller, more focused files for better maintainability.`,
-                    COMMENT_TYPES.WARNING
-                );
-                comments.push({
+            if (file.additions + file.deletions > config.thresholds.maxFileChanges) {
+                findings.push(createFinding({
+                    ruleId: 'file-size',
+                    severity: COMMENT_TYPES.WARNING,
                     path: file.filename,
-                    body: `This file has many changes (${file.additions + file.deletions} lines).`,
-                    type: COMMENT_TYPES.WARNING
+                    message: `This file has many changes (${file.additions + file.deletions} lines). Consider breaking it into smaller, more focused files for better maintainability.`
+                }));
+            }
+        }
+        
+        // Flag source files whose tests weren't touched; tests anywhere in the PR count, even in skipped files
+        const testCoverage = checkTestCoverage(files, config.tests);
+        if (config.tests.enabled) {
+            findings.push(...testCoverage.findings.filter(finding =>
+                reviewedFiles.some(file => file.filename === finding.path)
+            ));
+        }
+        
+        // Measure how much of the added code the tests cover, and flag added branches they never take
+        let patchCoverage = null;
+        if (options.coverage) {
+            console.log(`Loading coverage report from ${options.coverage}...`);
+            const coverageReport = await loadCoverageReport(options.coverage);
+            // Coverage and its gate are about the whole PR, even when only the new commits are reviewed
+            const addedLinesByPath = new Map(files.filter(file => isPathIncluded(config, file.filename)).map(file => [
+                file.filename,
+                getAddedLines(prDiffFor(file)).map(addedLine => addedLine.newLine)
+            ]));
+            patchCoverage = computePatchCoverage(coverageReport, addedLinesByPath);
+            // Branches in the other files were commented on by the earlier reviews
+            findings.push(...createCoverageFindings(patchCoverage.filter(result =>
+                reviewedFiles.some(file => file.filename === result.path)
+            )));
+        }
+
+        // Let an AI provider review the changed hunks; its findings go through the same filters as rule findings
+        if ((options.ai || options.aiContext) && config.ai.enabled) {
+            // Detected secrets are masked before any code leaves for the provider
+            const mask = (text, filePath) => maskSecrets(text, filePath, config.secrets);
+            const aiFiles = [];
+            for (const file of reviewedFiles) {
+                const source = isParsable(file.filename) ? await getHeadSource(file) : null;
+                aiFiles.push({
+                    path: file.filename,
+                    hunks: fileDiffFor(file).hunks.map(hunk => ({
+                        ...hunk,
+                        lines: hunk.lines.map(diffLine => ({ ...diffLine, content: mask(diffLine.content, file.filename) }))
+                    })),
+                    // The head version lets the context show the functions around each hunk
+                    source: source !== null ? mask(source, file.filename) : null
                 });
             }
-            
-            // Check for specific file types
-            if (file.filename.endsWith('.js') || file.filename.endsWith('.jsx')) {
-                // Check for console.log statements
-                if (file.patch && file.patch.includes('console.log')) {
-                    await addFileComment(
-                        owner, 
-                        repo, 
-                        parseInt(prNumber), 
-                        file.filename, 
-                        "There are console.log statements in this file. Consider removing them before merging.",
-                        COMMENT_TYPES.NITPICK
-                    );
-                    comments.push({
-                        path: file.filename,
-                        body: "There are console.log statements in this file.",
-                        type: COMMENT_TYPES.NITPICK
-                    });
-                }
-                
-                // Check for TODO/FIXME comments
-                if (file.patch && (file.patch.includes('TODO') || file.patch.includes('FIXME'))) {
-                    await addFileComment(
-                        owner, 
-                        repo, 
-                        parseInt(prNumber), 
-                        file.filename, 
-                        "There are TODO/FIXME comments in this file. Consider addressing them before merging.",
-                        COMMENT_TYPES.WARNING
-                    );
-                    comments.push({
-                        path: file.filename,
-                        body: "There are TODO/FIXME comments in this file.",
-                        type: COMMENT_TYPES.WARNING
-                    });
+            const template = await getTemplate();
+            const aiContext = buildAiContext({
+                pullRequest: { title: pr.title, body: pr.body ? mask(pr.body, '') : pr.body },
+                files: aiFiles,
+                templateText: template ? template.text : null,
+                config
+            });
+            console.log(`AI review context: ${aiContext.batches.length} batches, ~${aiContext.tokens} tokens, ${aiContext.omitted.length} hunks left out`);
+
+            if (options.aiContext) {
+                const prompts = aiContext.batches.map((batch, index) =>
+                    `<!-- batch ${index + 1} of ${aiContext.batches.length}, ~${batch.tokens} tokens -->\n${renderPrompt(batch)}`
+                );
+                const omitted = aiContext.omitted.map(hunk => `- ${hunk.path}:${hunk.startLine}-${hunk.endLine} (${hunk.reason})`);
+                fs.writeFileSync(options.aiContext, `${prompts.join('\n')}${omitted.length > 0 ? `\nLeft out:\n${omitted.join('\n')}\n` : ''}`);
+                console.log(`AI review prompts written to ${options.aiContext}`);
+            }
+            if (options.ai) {
+                console.log(`Reviewing changed hunks with the ${options.ai} AI provider...`);
+                findings.push(...await reviewWithAi(loadAiProvider(options.ai), aiContext.batches));
+            }
+        } else if (options.ai) {
+            console.log('AI review is disabled by the review config');
+        }
+
+        // Honor windlens-ignore-next-line / windlens-disable directives in the files with findings
+        const directivesByPath = new Map();
+        for (const file of reviewedFiles.filter(file => findings.some(finding => finding.path === file.filename))) {
+            const source = await getHeadSource(file);
+            // Without the head version, only the directives visible in the diff are honored
+            const sourceLines = source !== null
+                ? numberLines(source)
+                : getDiffLines(fileDiffFor(file), ['add', 'context'])
+                    .map(diffLine => ({ line: diffLine.newLine, content: diffLine.content }));
+            // Directives anywhere in the PR's changes count as added, also in a follow-up review
+            const prFile = files.find(candidate => candidate.filename === file.filename) || file;
+            const addedLines = new Set(getAddedLines(prDiffFor(prFile)).map(addedLine => addedLine.newLine));
+            let directives = collectDirectives(sourceLines, addedLines);
+            const ast = source !== null ? parseSource(file.filename, source) : null;
+            if (ast) {
+                directives = filterCommentDirectives(directives, ast);
+            }
+            directivesByPath.set(file.filename, directives);
+        }
+        const { kept, suppressed } = applySuppressions(findings, directivesByPath);
+        findings = kept;
+        if (suppressed.length > 0) {
+            console.log(`${suppressed.length} findings suppressed by inline directives`);
+        }
+        
+        // Only report findings that are new compared to the baseline on the base branch
+        const baseline = config.baseline
+            ? await loadBaseline(mcp0_get_file_contents, { owner, repo, ref: pr.base.sha, path: config.baseline })
+            : null;
+        const { fresh, baselined } = filterBaselined(findings, baseline);
+        findings = fresh;
+        if (baselined.length > 0) {
+            console.log(`${baselined.length} findings match the baseline and are not reported`);
+        }
+        
+        // Track every new TODO in an issue, and propose pointing the comment at it
+        let todoIssues = null;
+        if (options.todoIssues) {
+            try {
+                todoIssues = await linkTodoIssues(findings, { owner, repo, pr, dryRun: options.dryRun });
+                findings = todoIssues.findings;
+            } catch (error) {
+                console.log(`Could not link the TODOs to issues: ${error.message}`);
+            }
+        }
+        
+        // Turn proposed fixes into suggestion blocks, keeping only those that apply to the head version
+        findings = await attachSuggestions(findings, async filePath => {
+            const file = reviewedFiles.find(reviewedFile => reviewedFile.filename === filePath);
+            return file
+                ? { path: filePath, diff: fileDiffFor(file), source: await getHeadSource(file) }
+                : { path: filePath, diff: { hunks: [] }, source: null };
+        });
+        
+        // Apply every fix from a rule marked safe to autofix, and push them all as one commit;
+        // the findings it fixes are left out of the review
+        let autofix = null;
+        if (options.autofix) {
+            const { files: fixedFiles, applied: fixedFindings } = await collectFixes(
+                selectAutofixes(findings, ruleRegistry),
+                async filePath => {
+                    const file = reviewedFiles.find(reviewedFile => reviewedFile.filename === filePath);
+                    return file ? getHeadSource(file) : null;
                 }
-                
-                // Check for potential security issues
-                if (file.patch && file.patch.match(/password|secret|token|key/i)) {
-                    await addFileComment(
-                        owner, 
-                        repo, 
-                        parseInt(prNumber), 
-                        file.filename, 
-                        "This file might contain sensitive information. Make sure it's not exposing any secrets.",
-                        COMMENT_TYPES.SECURITY
-                    );
-                    comments.push({
-                        path: file.filename,
-                        body: "This file might contain sensitive information.",
-                        type: COMMENT_TYPES.SECURITY
-                    });
+            );
+            
+            if (fixedFindings.length === 0) {
+                console.log('Autofix: no safe fixes to apply');
+            } else if (options.dryRun) {
+                autofix = { mode: options.autofix, findings: fixedFindings, url: null };
+            } else {
+                try {
+                    const pushed = await pushAutofix(pr, fixedFiles, { mode: options.autofix, fixCount: fixedFindings.length });
+                    autofix = { mode: options.autofix, findings: fixedFindings, ...pushed };
+                    console.log(`Autofix: ${fixedFindings.length} fixes pushed (${pushed.url})`);
+                } catch (error) {
+                    console.log(`Could not push the autofix, posting the fixes as suggestions instead: ${error.message}`);
                 }
             }
-            
-            // Check for JSON files
-            if (file.filename.endsWith('.json')) {
-                await addFileComment(
-                    owner, 
-                    repo, 
-                    parseInt(prNumber), 
-                    file.filename, 
-                    "Changes to JSON files detected. Please ensure the JSON is valid and properly formatted.",
-                    COMMENT_TYPES.BEST_PRACTICE
-                );
-                comments.push({
-                    path: file.filename,
-                    body: "Changes to JSON files detected.",
-                    type: COMMENT_TYPES.BEST_PRACTICE
-                });
+            if (autofix) {
+                findings = findings.filter(finding => !fixedFindings.includes(finding));
             }
         }
-
-        // 7. Submit the review with comments
-        console.log(`Submitting review with ${comments.length} comments...`);
         
+        // 7. Submit the review with comments
         // Generate a balanced PR review summary
         let reviewSummary = "";
-        if (comments.length > 0) {
+        if (lastReviewedSha) {
+            reviewSummary += `Follow-up review of the commits pushed since ${lastReviewedSha.slice(0, 7)}.\n\n`;
+        }
+        if (findings.length > 0) {
             // Group comments by category
             const categories = {};
             const impactAreas = new Set();
             
-            comments.forEach(comment => {
-                // Extract category from the first line (assumes format "**Issue:** Category - Description")
-                const firstLine = comment.body.split('\n')[0] || '';
-                const match = firstLine.match(/\*\*Issue:\*\*\s*(.*)/i);
+            findings.forEach(finding => {
                 let category = 'General';
                 
-                if (match && match[1]) {
+                if (finding.comment && finding.comment.issue) {
                     // Extract main category (before any colon or dash)
-                    category = match[1].split(/[-:]/)[0].trim();
+                    category = finding.comment.issue.split(/[-:]/)[0].trim();
                 }
                 
                 // Track file path to determine impact areas
-                const filePath = comment.path || '';
+                const filePath = finding.path || '';
                 if (filePath.includes('/css/')) {
                     impactAreas.add('UI/Styling');
                 } else if (filePath.includes('/js/')) {
@@ -591,7 +596,7 @@ async function addDirectPRComments(owner, repo, prNumber) {
             const categoryCount = Object.keys(categories).length;
             const impactList = Array.from(impactAreas).join(', ');
             
-            reviewSummary += `I've reviewed the changes and found **${comments.length}** suggestions across ${categoryCount} categories, `;
+            reviewSummary += `I've reviewed the changes and found **${findings.length}** suggestions across ${categoryCount} categories, `;
             reviewSummary += `primarily affecting ${impactList}.\n\n`;
             
             // Add category breakdown
@@ -603,17 +608,219 @@ async function addDirectPRComments(owner, repo, prNumber) {
             // Add brief instruction
             reviewSummary += '\n### How to Apply\nEach suggestion includes a GitHub suggestion block that can be directly committed or batched with others.';
         } else {
-            reviewSummary = "## PR Review\n\n✅ Looks good! No issues found in this review.";
+            reviewSummary += "## PR Review\n\n✅ Looks good! No issues found in this review.";
+        }
+        
+        if (autofix) {
+            const fixes = `${autofix.findings.length} automatic fix${autofix.findings.length > 1 ? 'es' : ''}`;
+            if (!autofix.url) {
+                reviewSummary += `\n\n🔧 ${fixes} would be pushed ${autofix.mode === 'pr' ? 'as a stacked PR' : 'to this branch'}.`;
+            } else {
+                reviewSummary += autofix.mode === 'pr'
+                    ? `\n\n🔧 ${fixes} ${autofix.findings.length > 1 ? 'are' : 'is'} waiting in a stacked PR: ${autofix.url}`
+                    : `\n\n🔧 ${fixes} ${autofix.findings.length > 1 ? 'were' : 'was'} pushed to this branch in ${autofix.sha.slice(0, 7)}.`;
+            }
+        }
+        
+        if (todoIssues && todoIssues.created.length > 0) {
+            const created = todoIssues.created.map(issue => `#${issue.number}`).join(', ');
+            reviewSummary += `\n\n📝 Opened ${todoIssues.created.length > 1 ? 'issues' : 'an issue'} for the new TODOs: ${created}.`;
+        } else if (todoIssues && todoIssues.pending.length > 0) {
+            reviewSummary += `\n\n📝 ${todoIssues.pending.length} new TODO${todoIssues.pending.length > 1 ? 's' : ''} would get an issue.`;
+        }
+        
+        if (baselined.length > 0) {
+            reviewSummary += `\n\n${baselined.length} existing finding${baselined.length > 1 ? 's' : ''} recorded in the baseline ${baselined.length > 1 ? 'were' : 'was'} not reported.`;
+        }
+        
+        // Check that the PR points at its story or defect ticket
+        const tickets = getPullRequestTickets(pr, config.tickets.patterns);
+        const ticketIssues = config.tickets.required ? validateTicketReferences(pr, config.tickets.patterns) : [];
+        if (tickets.all.length > 0 || ticketIssues.length > 0) {
+            reviewSummary += `\n\n### Ticket References\n`;
+            if (tickets.all.length > 0) {
+                reviewSummary += `Tickets: ${tickets.all.join(', ')}\n`;
+            }
+            ticketIssues.forEach(({ problem }) => {
+                reviewSummary += `- ⚠️ ${problem}\n`;
+            });
+            reviewSummary = reviewSummary.trimEnd();
+        }
+        
+        if (patchCoverage) {
+            reviewSummary += `\n\n${formatCoverageSummary(patchCoverage, config.coverage.minimum).trim()}`;
+        }
+        
+        // Check the PR description against the repository's PR template
+        const template = config.template.enabled ? await getTemplate() : null;
+        if (template) {
+            const templateIssues = checkTemplateCompliance(template.text, pr.body, config.template);
+            // The tests checkbox should match what the diff actually contains
+            if (config.tests.enabled) {
+                templateIssues.push(...checkTestsCheckbox(pr.body, testCoverage.testFiles));
+            }
+            console.log(`PR template check: ${templateIssues.length} missing items`);
+            reviewSummary += `\n\n${formatTemplateReport(templateIssues, template.path).trim()}`;
+        }
+        
+        // Back up (or question) the template's Accessibility checkbox with the WCAG findings
+        const accessibilitySummary = formatAccessibilitySummary(findings, pr.body);
+        if (accessibilitySummary) {
+            reviewSummary += `\n\n${accessibilitySummary.trim()}`;
+        }
+        
+        // List what authors waived so reviewers can still see it
+        if (suppressed.length > 0) {
+            reviewSummary += `\n\n${formatSuppressionSummary(suppressed).trim()}`;
+        }
+        
+        // Find earlier WindLens threads whose flagged code has since been fixed or removed; only
+        // threads from rules that ran in this review can be judged. AI threads never are: the model
+        // may just not repeat a finding, or its hunk may not fit the token budget this time
+        const evaluatedRules = new Set([
+            ...ruleRegistry.list().filter(rule => rule.enabled).map(rule => rule.id),
+            SECRET_RULE_ID,
+            'file-size'
+        ]);
+        if (config.tests.enabled) {
+            evaluatedRules.add(MISSING_TESTS_RULE_ID);
+        }
+        if (options.coverage) {
+            evaluatedRules.add(UNCOVERED_BRANCH_RULE_ID);
+        }
+        let resolutions = [];
+        let openThreads = null;
+        try {
+            const threads = await fetchReviewThreads(owner, repo, parseInt(prNumber));
+            resolutions = findResolvableThreads(threads, {
+                findings,
+                reviewedPaths: reviewedFiles.map(file => file.filename),
+                fullReview: !lastReviewedSha,
+                evaluatedRules
+            });
+            if (resolutions.length > 0) {
+                console.log(`${resolutions.length} earlier review threads are no longer relevant`);
+            }
+            openThreads = threads.filter(thread =>
+                !thread.isResolved && extractFingerprint(thread.body) && !resolutions.includes(thread)
+            );
+        } catch (error) {
+            console.log(`Could not check review threads: ${error.message}`);
+        }
+        
+        // Pick the review event from the severities of the findings
+        let verdict = decideVerdict(findings, config.verdict, pr.base && pr.base.ref);
+        // Patch coverage below the configured minimum blocks the PR as well
+        verdict = applyCoverageGate(verdict, patchCoverage ? totalPatchCoverage(patchCoverage) : null, config.coverage.minimum);
+        // A follow-up review only sees the new commits, so it must not lift an earlier request for changes
+        // while that review's threads are still open
+        if (lastReviewedSha) {
+            verdict = carryOverRequestedChanges(verdict, lastReview, openThreads);
+        }
+        const event = verdict.event;
+        reviewSummary += `\n\n**Verdict:** ${event.replace('_', ' ').toLowerCase()} (${verdict.reason})`;
+        console.log(`Review verdict: ${event} (${verdict.reason})`);
+        
+        // Record the reviewed head so the next run only looks at newer commits
+        reviewSummary += `\n\n${formatReviewMarker(pr.head.sha)}`;
+        
+        // Export the findings in machine-readable formats, without the secrets any quoted line holds
+        const pullRequestInfo = { owner, repo, number: parseInt(prNumber), headSha: pr.head.sha };
+        const exportedFindings = scrubFindings(findings, config.secrets);
+        if (options.json) {
+            fs.writeFileSync(options.json, JSON.stringify(toJSONReport(exportedFindings, pullRequestInfo), null, 2));
+            console.log(`Findings written to ${options.json}`);
+        }
+        if (options.sarif) {
+            fs.writeFileSync(options.sarif, JSON.stringify(toSarif(exportedFindings, pullRequestInfo), null, 2));
+            console.log(`SARIF log written to ${options.sarif}`);
+        }
+        
+        // Skip findings that are already on the PR, and refresh the ones whose text changed
+        let existingComments = [];
+        if (mcp0_get_pull_request_comments) {
+            console.log('Checking existing review comments...');
+            existingComments = await mcp0_get_pull_request_comments({
+                owner,
+                repo,
+                pullNumber: parseInt(prNumber)
+            });
+        }
+        const { toPost, toUpdate, unchanged } = reconcileFindings(findings, existingComments);
+        if (unchanged.length > 0 || toUpdate.length > 0) {
+            console.log(`${unchanged.length + toUpdate.length} findings were already posted (${toUpdate.length} with changed text)`);
+        }
+        
+        // In a dry run, show the review instead of touching the PR
+        if (options.dryRun) {
+            const preview = renderReviewPreview({
+                owner,
+                repo,
+                prNumber,
+                event,
+                summary: reviewSummary,
+                findings: toPost,
+                updates: toUpdate,
+                resolutions,
+                autofix,
+                todoIssues
+            });
+            if (options.output) {
+                fs.writeFileSync(options.output, preview);
+                console.log(`Dry run: review with ${toPost.length} comments written to ${options.output}`);
+            } else {
+                console.log(`\n${preview}`);
+            }
+            return;
+        }
+        
+        console.log('Creating pending review...');
+        await mcp0_create_pending_pull_request_review({
+            owner,
+            repo,
+            pullNumber: parseInt(prNumber),
+            commitID: pr.head.sha
+        });
+        
+        console.log(`Submitting review with ${toPost.length} comments...`);
+        for (const finding of toPost) {
+            await mcp0_add_comment_to_pending_review({
+                owner,
+                repo,
+                pullNumber: parseInt(prNumber),
+                path: finding.path,
+                body: formatFindingComment(finding),
+                subjectType: finding.subjectType,
+                line: finding.line || undefined,
+                side: finding.side,
+                startLine: finding.startLine || undefined,
+                startSide: finding.startLine ? finding.side : undefined
+            });
         }
         
         await mcp0_submit_pending_pull_request_review({
             owner,
             repo,
             pullNumber: parseInt(prNumber),
-            event: comments.length > 0 ? "COMMENT" : "APPROVE",
+            event,
             body: reviewSummary
         });
         
+        for (const { comment, body } of toUpdate) {
+            await updatePRComment(owner, repo, parseInt(prNumber), comment.id, body);
+        }
+        
+        for (const thread of resolutions) {
+            try {
+                await resolveThread(owner, repo, parseInt(prNumber), thread, pr.head.sha);
+            } catch (error) {
+                console.log(`Could not resolve thread on ${thread.path}: ${error.message}`);
+            }
+        }
+        if (resolutions.length > 0) {
+            console.log(`Resolved ${resolutions.length} review threads`);
+        }
+        
         console.log('PR review submitted successfully!');
     } catch (error) {
         console.error('Failed to add comments:', error);
@@ -622,7 +829,18 @@ async function addDirectPRComments(owner, repo, prNumber) {
 }
 
 // Run the function to add direct comments to the PR
-addDirectPRComments(owner, repo, parseInt(prNumber))
+addDirectPRComments(owner, repo, parseInt(prNumber), {
+    dryRun: flags['dry-run'],
+    output: flags.output,
+    json: flags.json,
+    sarif: flags.sarif,
+    coverage: flags.coverage,
+    ai: flags.ai || process.env.WINDLENS_AI_PROVIDER,
+    aiContext: flags['ai-context'],
+    autofix: flags.autofix,
+    todoIssues: flags['todo-issues'],
+    full: flags.full
+})
     .then(() => console.log('PR review process completed successfully!'))
     .catch(error => {
         console.error('PR review process failed:', error);
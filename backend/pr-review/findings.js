@@ -0,0 +1,205 @@
+/**
+ * Review Findings
+ * The data model behind every review comment, and its JSON and SARIF 2.1.0 exports
+ */
+
+const crypto = require('crypto');
+
+const { COMMENT_TYPES } = require('./comment-types');
+const { version } = require('../../package.json');
+
+const TOOL_NAME = 'WindLens AI';
+
+// SARIF result levels for each comment type
+const SARIF_LEVELS = {
+    [COMMENT_TYPES.SECURITY]: 'error',
+    [COMMENT_TYPES.WARNING]: 'warning',
+    [COMMENT_TYPES.PERFORMANCE]: 'warning',
+    [COMMENT_TYPES.ACCESSIBILITY]: 'warning',
+    [COMMENT_TYPES.BEST_PRACTICE]: 'note',
+    [COMMENT_TYPES.NITPICK]: 'note'
+};
+
+/**
+ * Create a review finding
+ * @param {Object} params - Finding fields
+ * @param {string} params.ruleId - Id of the rule that produced the finding
+ * @param {string} params.severity - One of COMMENT_TYPES
+ * @param {string} params.path - File path
+ * @param {number} [params.line] - RIGHT-side line number; omit for file-level findings
+ * @param {number} [params.startLine] - First line of a multi-line range ending at `line`
+ * @param {string} params.message - Short description of the problem
+ * @param {Object} [params.comment] - Fields for formatComment; without them the message is posted as-is
+ * @param {string} [params.snippet] - Source line the finding was reported on
+ * @param {string[]} [params.wcag] - WCAG success criteria the finding fails, e.g. ['2.1.1']
+ * @returns {Object} - Review finding
+ */
+function createFinding({ ruleId, severity, path, line, startLine, message, comment, snippet, wcag }) {
+    if (!Object.values(COMMENT_TYPES).includes(severity)) {
+        throw new Error(`Unknown severity "${severity}" for finding from rule "${ruleId}"`);
+    }
+
+    return {
+        ruleId,
+        severity,
+        path,
+        line: line || null,
+        startLine: startLine || null,
+        side: 'RIGHT',
+        subjectType: line ? 'LINE' : 'FILE',
+        message,
+        comment: comment || null,
+        snippet: snippet !== undefined ? snippet : null,
+        wcag: wcag || null
+    };
+}
+
+/**
+ * Compute the fingerprint that identifies a finding across review runs
+ * @param {Object} finding - Review finding
+ * @returns {string} - Hex fingerprint of the rule, path and line
+ */
+function fingerprintFinding(finding) {
+    return crypto.createHash('sha1')
+        .update(`${finding.ruleId}|${finding.path}|${finding.line || ''}`)
+        .digest('hex')
+        .slice(0, 16);
+}
+
+/**
+ * Strip presentation-only fields from a finding for export
+ * @param {Object} finding - Review finding
+ * @returns {Object} - Plain finding
+ */
+function serializeFinding(finding) {
+    const { comment, ...rest } = finding;
+    return {
+        ...rest,
+        context: comment && comment.context ? comment.context : null,
+        suggestion: comment && comment.suggestion ? comment.suggestion : null
+    };
+}
+
+/**
+ * Count findings per severity
+ * @param {Object[]} findings - Review findings
+ * @returns {Object} - Counts keyed by comment type
+ */
+function countBySeverity(findings) {
+    const counts = {};
+    Object.values(COMMENT_TYPES).forEach(type => {
+        counts[type] = 0;
+    });
+    findings.forEach(finding => {
+        counts[finding.severity]++;
+    });
+    return counts;
+}
+
+/**
+ * Build the JSON export of a review
+ * @param {Object[]} findings - Review findings
+ * @param {Object} pullRequest - Pull request the review belongs to
+ * @param {string} pullRequest.owner - Repository owner
+ * @param {string} pullRequest.repo - Repository name
+ * @param {number} pullRequest.number - Pull request number
+ * @param {string} [pullRequest.headSha] - Reviewed head commit
+ * @returns {Object} - JSON report
+ */
+function toJSONReport(findings, pullRequest) {
+    return {
+        tool: { name: TOOL_NAME, version },
+        generatedAt: new Date().toISOString(),
+        pullRequest,
+        summary: {
+            total: findings.length,
+            bySeverity: countBySeverity(findings)
+        },
+        findings: findings.map(serializeFinding)
+    };
+}
+
+/**
+ * Build a SARIF 2.1.0 log of a review
+ * @param {Object[]} findings - Review findings
+ * @param {Object} [pullRequest] - Pull request the review belongs to
+ * @returns {Object} - SARIF log
+ */
+function toSarif(findings, pullRequest = {}) {
+    const ruleIndexes = new Map();
+    const rules = [];
+
+    findings.forEach(finding => {
+        if (!ruleIndexes.has(finding.ruleId)) {
+            ruleIndexes.set(finding.ruleId, rules.length);
+            rules.push({
+                id: finding.ruleId,
+                shortDescription: { text: finding.message },
+                ...(finding.comment && finding.comment.context
+                    ? { fullDescription: { text: finding.comment.context } }
+                    : {}),
+                defaultConfiguration: { level: SARIF_LEVELS[finding.severity] },
+                properties: {
+                    severity: finding.severity,
+                    ...(finding.wcag ? { tags: finding.wcag.map(id => `WCAG-${id}`) } : {})
+                }
+            });
+        }
+    });
+
+    const results = findings.map(finding => {
+        const region = finding.line
+            ? { region: finding.startLine ? { startLine: finding.startLine, endLine: finding.line } : { startLine: finding.line } }
+            : {};
+        return {
+            ruleId: finding.ruleId,
+            ruleIndex: ruleIndexes.get(finding.ruleId),
+            level: SARIF_LEVELS[finding.severity],
+            message: {
+                text: finding.comment && finding.comment.suggestion
+                    ? `${finding.message}. ${finding.comment.suggestion}`
+                    : finding.message
+            },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: { uri: finding.path },
+                    ...region
+                }
+            }],
+            properties: { severity: finding.severity }
+        };
+    });
+
+    const run = {
+        tool: {
+            driver: {
+                name: TOOL_NAME,
+                version,
+                rules
+            }
+        },
+        results
+    };
+    if (pullRequest.headSha) {
+        run.versionControlProvenance = [{
+            repositoryUri: `https://github.com/${pullRequest.owner}/${pullRequest.repo}`,
+            revisionId: pullRequest.headSha
+        }];
+    }
+
+    return {
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [run]
+    };
+}
+
+module.exports = {
+    SARIF_LEVELS,
+    createFinding,
+    fingerprintFinding,
+    countBySeverity,
+    serializeFinding,
+    toJSONReport,
+    toSarif
+};
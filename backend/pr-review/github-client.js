@@ -0,0 +1,46 @@
+/**
+ * GitHub REST Client
+ * Octokit client for the few GitHub API calls the MCP server tools don't cover
+ */
+
+// Load GITHUB_TOKEN from the .env file written by utils/config/configure-token.js
+require('dotenv').config({ quiet: true });
+
+let clientPromise = null;
+let loginPromise = null;
+
+/**
+ * Get a shared Octokit client authenticated with GITHUB_TOKEN
+ * @returns {Promise<Object>} - Octokit instance
+ */
+async function getOctokit() {
+    if (!clientPromise) {
+        if (!process.env.GITHUB_TOKEN) {
+            throw new Error('GITHUB_TOKEN is not set. Run utils/config/configure-token.js or add it to .env');
+        }
+        // @octokit/rest is an ES module, so it has to be loaded with import()
+        clientPromise = import('@octokit/rest').then(({ Octokit }) => new Octokit({
+            auth: process.env.GITHUB_TOKEN
+        }));
+    }
+    return clientPromise;
+}
+
+/**
+ * Get the login of the user GITHUB_TOKEN belongs to, i.e. the user WindLens posts as
+ * @returns {Promise<string|null>} - Login, or null if the token's user can't be looked up
+ */
+async function getAuthenticatedLogin() {
+    if (!loginPromise) {
+        loginPromise = getOctokit()
+            .then(octokit => octokit.rest.users.getAuthenticated())
+            .then(({ data }) => data.login)
+            .catch(error => {
+                console.log(`Could not look up the authenticated user: ${error.message}`);
+                return null;
+            });
+    }
+    return loginPromise;
+}
+
+module.exports = { getOctokit, getAuthenticatedLogin };
@@ -0,0 +1,116 @@
+/**
+ * HTML Analysis
+ * Finds the start tags of an HTML document with their attributes and line numbers,
+ * for rules that need more than one line of markup at a time
+ */
+
+const START_TAG = /<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const COMMENT = /<!--[\s\S]*?-->/g;
+// Script and style bodies hold code, not markup
+const RAW_TEXT = /(<(script|style)\b[^>]*>)([\s\S]*?)(<\/\2\s*>)/gi;
+
+/**
+ * Check whether a file holds HTML markup
+ * @param {string} filePath - File path
+ * @returns {boolean} - True for .html and .htm files
+ */
+function isHtmlFile(filePath) {
+    return /\.html?$/i.test(filePath);
+}
+
+/**
+ * Replace text with spaces, keeping line breaks so offsets and line numbers still match
+ * @param {string} text - Text to blank out
+ * @returns {string} - Blanked text of the same length
+ */
+function blank(text) {
+    return text.replace(/[^\n]/g, ' ');
+}
+
+/**
+ * Build a function that maps character offsets to 1-based line numbers
+ * @param {string} source - Document text
+ * @returns {Function} - Offset to line number
+ */
+function createLineLocator(source) {
+    const lineStarts = [0];
+    for (let index = 0; index < source.length; index++) {
+        if (source[index] === '\n') {
+            lineStarts.push(index + 1);
+        }
+    }
+    return offset => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low + 1;
+    };
+}
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} text - Attribute part of the tag
+ * @returns {Map<string, string|boolean>} - Values by lowercased name; `true` for bare attributes
+ */
+function parseAttributes(text) {
+    const attributes = new Map();
+    for (const match of text.matchAll(ATTRIBUTE)) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes.set(match[1].toLowerCase(), value !== undefined ? value : true);
+    }
+    return attributes;
+}
+
+/**
+ * Find every start tag of a document
+ * Comments and the bodies of script and style elements are skipped
+ * @param {string} source - HTML text
+ * @returns {Object[]} - Tags as `{ name, attributes, line, start, end }`, with lowercased names
+ */
+function findTags(source) {
+    const markup = source
+        .replace(COMMENT, blank)
+        .replace(RAW_TEXT, (match, open, name, body, close) => `${open}${blank(body)}${close}`);
+    const lineAt = createLineLocator(source);
+
+    return Array.from(markup.matchAll(START_TAG)).map(match => ({
+        name: match[1].toLowerCase(),
+        attributes: parseAttributes(match[2]),
+        line: lineAt(match.index),
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+/**
+ * Find the spans of every element with a given name, from its start tag to its end tag
+ * @param {string} source - HTML text
+ * @param {string} name - Element name, e.g. `label`
+ * @returns {Object[]} - Spans as `{ start, end, attributes }`
+ */
+function findElementSpans(source, name) {
+    const spans = [];
+    const endTag = new RegExp(`</${name}\\s*>`, 'gi');
+
+    findTags(source).filter(tag => tag.name === name).forEach(tag => {
+        endTag.lastIndex = tag.end;
+        const close = endTag.exec(source);
+        spans.push({ start: tag.start, end: close ? close.index : tag.end, attributes: tag.attributes });
+    });
+    return spans;
+}
+
+module.exports = {
+    isHtmlFile,
+    createLineLocator,
+    findTags,
+    findElementSpans
+};
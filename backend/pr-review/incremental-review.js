@@ -0,0 +1,86 @@
+/**
+ * Incremental Re-review
+ * Records the head SHA each review covered in a hidden marker in the review body,
+ * so later runs only analyze the commits pushed since then
+ */
+
+const { getOctokit } = require('./github-client');
+
+// Hidden marker appended to every review body, e.g. <!-- windlens:reviewed-sha=abc123 -->
+const REVIEWED_SHA_MARKER = /<!-- windlens:reviewed-sha=([0-9a-f]{7,40}) -->/;
+
+/**
+ * Build the hidden marker for a reviewed head SHA
+ * @param {string} sha - Head SHA the review covered
+ * @returns {string} - HTML comment to append to the review body
+ */
+function formatReviewMarker(sha) {
+    return `<!-- windlens:reviewed-sha=${sha} -->`;
+}
+
+/**
+ * Read the reviewed head SHA from a review body
+ * @param {string} body - Review body
+ * @returns {string|null} - Reviewed SHA, or null if the body has no marker
+ */
+function extractReviewedSha(body) {
+    const match = REVIEWED_SHA_MARKER.exec(body || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Find the most recent WindLens review of a PR
+ * Only reviews posted by the bot count, since anyone can paste a marker into a review
+ * @param {Object[]} reviews - Reviews from get_pull_request_reviews
+ * @param {string|null} botLogin - Login WindLens posts as; without it no review is trusted
+ * @returns {Object|null} - `{ sha, state }` of the review, or null if the bot never reviewed the PR
+ */
+function findLastReview(reviews, botLogin) {
+    if (!botLogin) {
+        return null;
+    }
+    const marked = (reviews || [])
+        .filter(review => review.user && review.user.login === botLogin)
+        .map(review => ({ review, sha: extractReviewedSha(review.body) }))
+        .filter(({ sha }) => sha)
+        .sort((a, b) => new Date(b.review.submitted_at) - new Date(a.review.submitted_at));
+    return marked.length > 0 ? { sha: marked[0].sha, state: marked[0].review.state } : null;
+}
+
+/**
+ * Get the files changed between the last reviewed SHA and the new head
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} base - Last reviewed SHA
+ * @param {string} head - Current head SHA
+ * @returns {Promise<Object[]|null>} - Changed files with their patches, or null if the
+ *   range can't be reviewed incrementally (e.g. the branch was force-pushed)
+ */
+async function getChangesSince(owner, repo, base, head) {
+    let data;
+    try {
+        const octokit = await getOctokit();
+        ({ data } = await octokit.rest.repos.compareCommitsWithBasehead({
+            owner,
+            repo,
+            basehead: `${base}...${head}`
+        }));
+    } catch (error) {
+        console.log(`Could not compare ${base.slice(0, 7)}...${head.slice(0, 7)}: ${error.message}`);
+        return null;
+    }
+
+    // A diverged or behind range means history was rewritten since the last review
+    if (data.status !== 'ahead' && data.status !== 'identical') {
+        console.log(`Last reviewed commit is ${data.status} of the head, falling back to a full review`);
+        return null;
+    }
+    return data.files || [];
+}
+
+module.exports = {
+    formatReviewMarker,
+    extractReviewedSha,
+    findLastReview,
+    getChangesSince
+};
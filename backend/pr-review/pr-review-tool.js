@@ -4,6 +4,11 @@
 // In Cascade, we don't need to import MCP tools from global.mcp
 // Instead, we'll use the function calls directly
 
+const { COMMENT_TYPES } = require('./comment-types');
+const { loadPullRequestConfig, isPathIncluded } = require('./review-config');
+const { decideVerdict } = require('./review-verdict');
+const { getOctokit } = require('./github-client');
+
 // Define wrapper functions to make the code more readable
 async function mcp0_get_pull_request(params) {
     return await global.mcp0_get_pull_request(params);
@@ -13,6 +18,10 @@ async function mcp0_get_pull_request_files(params) {
     return await global.mcp0_get_pull_request_files(params);
 }
 
+async function mcp0_get_file_contents(params) {
+    return await global.mcp0_get_file_contents(params);
+}
+
 async function mcp0_create_pending_pull_request_review(params) {
     return await global.mcp0_create_pending_pull_request_review(params);
 }
@@ -31,6 +40,7 @@ async function mcp0_submit_pending_pull_request_review(params) {
  * @param {string} repo - Repository name
  * @param {number} prNumber - Pull request number
  * @param {Object} options - Review options
+ * @param {Object} [options.config] - Review config to use instead of the repository's config file
  */
 async function reviewPullRequest(owner, repo, prNumber, options = {}) {
     try {
@@ -61,6 +71,12 @@ async function reviewPullRequest(owner, repo, prNumber, options = {}) {
             return;
         }
         
+        // Load the repository's review config; policy settings come from the PR base
+        const config = options.config || await loadPullRequestConfig(
+            global.mcp0_get_file_contents ? mcp0_get_file_contents : null,
+            { owner, repo, pr }
+        );
+        
         // 3. Create a pending review
         console.log('Creating pending review...');
         await mcp0_create_pending_pull_request_review({
@@ -74,13 +90,14 @@ async function reviewPullRequest(owner, repo, prNumber, options = {}) {
         console.log('Analyzing changes...');
         const comments = [];
         
-        for (const file of files) {
+        for (const file of files.filter(file => isPathIncluded(config, file.filename))) {
             // Example: Check for large files
-            if (file.additions + file.deletions > 300) {
+            if (file.additions + file.deletions > config.thresholds.maxFileChanges) {
                 comments.push({
                     path: file.filename,
                     body: "⚠️ This file has many changes (" + (file.additions + file.deletions) + " lines). Consider breaking it into smaller, more focused files for better maintainability.",
-                    subjectType: "FILE"
+                    subjectType: "FILE",
+                    type: COMMENT_TYPES.WARNING
                 });
             }
             
@@ -89,16 +106,25 @@ async function reviewPullRequest(owner, repo, prNumber, options = {}) {
                 file.filename.endsWith('.ts') || file.filename.endsWith('.tsx')) {
                 // In a real implementation, you would parse the file and analyze function sizes
                 // This is a simplified example
-                if (file.patch && file.patch.length > 1000) {
+                if (file.patch && file.patch.length > config.thresholds.largePatchLength) {
                     comments.push({
                         path: file.filename,
                         body: "🔍 This file has significant changes. Please ensure all new functions are properly documented and tested.",
-                        subjectType: "FILE"
+                        subjectType: "FILE",
+                        type: COMMENT_TYPES.BEST_PRACTICE
                     });
                 }
             }
         }
         
+        // Pick the review event from the severities of the comments
+        const verdict = decideVerdict(
+            comments.map(comment => ({ severity: comment.type })),
+            config.verdict,
+            pr.base && pr.base.ref
+        );
+        console.log(`Review verdict: ${verdict.event} (${verdict.reason})`);
+        
         // 5. Add all comments
         if (comments.length > 0) {
             console.log(`Adding ${comments.length} review comments...`);
@@ -119,21 +145,21 @@ async function reviewPullRequest(owner, repo, prNumber, options = {}) {
                 owner,
                 repo,
                 pullNumber: prNumber,
-                event: "COMMENT", // or "REQUEST_CHANGES" if issues found
+                event: verdict.event,
                 body: `I've reviewed your PR. Found ${comments.length} items to review.`
             });
             
             console.log(`Review submitted with ${comments.length} comments.`);
         } else {
-            // No comments to add, approve the PR
+            // No comments to add, approve the PR if the policy allows it
             await mcp0_submit_pending_pull_request_review({
                 owner,
                 repo,
                 pullNumber: prNumber,
-                event: "APPROVE",
+                event: verdict.event,
                 body: "✅ Looks good to me! No issues found in the review."
             });
-            console.log('PR approved with no comments.');
+            console.log(`PR reviewed with no comments (${verdict.event}).`);
         }
         
     } catch (error) {
@@ -211,47 +237,13 @@ async function updatePRComment(owner, repo, prNumber, commentId, newBody) {
     try {
         console.log(`Updating comment ${commentId} for PR #${prNumber} in ${owner}/${repo}`);
         
-        // First, get all PR comments to find the one to update
-        const comments = await mcp0_get_pull_request_comments({
-            owner,
-            repo,
-            pullNumber: prNumber
-        });
-        
-        // Find the specific comment
-        const commentToUpdate = comments.find(comment => comment.id === commentId);
-        
-        if (!commentToUpdate) {
-            throw new Error(`Comment with ID ${commentId} not found`);
-        }
-        
-        // Create a pending review
-        await mcp0_create_pending_pull_request_review({
+        // The MCP server has no tool for editing a review comment, so edit it in place through the REST API
+        const octokit = await getOctokit();
+        await octokit.rest.pulls.updateReviewComment({
             owner,
             repo,
-            pullNumber: prNumber,
-            commitID: commentToUpdate.commit_id
-        });
-        
-        // Add the updated comment
-        await mcp0_add_comment_to_pending_review({
-            owner,
-            repo,
-            pullNumber: prNumber,
-            path: commentToUpdate.path,
-            body: newBody,
-            subjectType: commentToUpdate.position ? "LINE" : "FILE",
-            line: commentToUpdate.position,
-            side: commentToUpdate.side || "RIGHT"
-        });
-        
-        // Submit the review with the updated comment
-        await mcp0_submit_pending_pull_request_review({
-            owner,
-            repo,
-            pullNumber: prNumber,
-            event: "COMMENT",
-            body: "Updated review comment"
+            comment_id: commentId,
+            body: newBody
         });
         
         console.log(`Comment ${commentId} updated successfully.`);
@@ -262,7 +254,7 @@ async function updatePRComment(owner, repo, prNumber, commentId, newBody) {
 }
 
 // Export the functions
-module.exports = { reviewPullRequest, updatePRComments, updatePRComment };
+module.exports = { reviewPullRequest, updatePRComments, updatePRComment, COMMENT_TYPES };
 
 // Example usage (uncomment to test):
 // reviewPullRequest('owner', 'repo', 123, {})
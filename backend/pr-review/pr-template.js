@@ -0,0 +1,238 @@
+/**
+ * PR Template Compliance
+ * Parses a repository's pull request template and checks a PR description against it:
+ * unfilled sections, untouched placeholder links, unanswered choices and sections
+ * that should have been deleted
+ */
+
+const { decodeFileContents } = require('./review-config');
+
+// Locations GitHub reads the PR template from, in order of preference
+const TEMPLATE_PATHS = [
+    '.github/PULL_REQUEST_TEMPLATE.md',
+    '.github/pull_request_template.md',
+    'PULL_REQUEST_TEMPLATE.md',
+    'docs/pull_request_template.md'
+];
+
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const CHECKBOX = /^\s*[-*]\s+\[([ xX])\]\s+(.*?)\s*$/;
+const LINK = /\[([^\]]+)\]\(([^)\s]+)\)/g;
+const HTML_COMMENT = /<!--[\s\S]*?-->/g;
+// e.g. <!-- DELETE THIS SECTION IF YOUR PR IS BACKEND-ONLY -->
+const DELETE_INSTRUCTION = /<!--\s*delete this section if your pr is ([\w-]+?)-only\s*-->/i;
+// e.g. <!-- Select one and delete the sections that don't apply to your PR -->
+const SELECT_ONE_INSTRUCTION = /<!--[^>]*\bselect one\b/i;
+// A "#" standing in for a number or name the author has to fill in, e.g. STRY# or k8s#-node1
+const PLACEHOLDER_HASH = /#(?!\w)/;
+
+/**
+ * Normalize a heading for comparison
+ * @param {string} title - Heading text
+ * @returns {string} - Lowercased heading without surrounding whitespace
+ */
+function normalizeTitle(title) {
+    return title.trim().toLowerCase();
+}
+
+/**
+ * Split a markdown document into heading sections
+ * A `DELETE THIS SECTION IF ... -ONLY` comment applies to the heading that follows it
+ * @param {string} text - Markdown text
+ * @returns {Object[]} - Sections as `{ title, level, text, deleteWhen, selectOne, checkboxes, links }`;
+ *   the first section holds the text before any heading and has an empty title
+ */
+function parseSections(text) {
+    const sections = [{ title: '', level: 0, lines: [], deleteWhen: null }];
+    let pendingDelete = null;
+
+    (text || '').split(/\r?\n/).forEach(line => {
+        const heading = HEADING.exec(line);
+        if (heading) {
+            sections.push({ title: heading[2], level: heading[1].length, lines: [], deleteWhen: pendingDelete });
+            pendingDelete = null;
+            return;
+        }
+        const deleteInstruction = DELETE_INSTRUCTION.exec(line);
+        if (deleteInstruction) {
+            pendingDelete = deleteInstruction[1].toLowerCase();
+            return;
+        }
+        sections[sections.length - 1].lines.push(line);
+    });
+
+    return sections.map(({ lines, ...section }) => {
+        const sectionText = lines.join('\n');
+        return {
+            ...section,
+            text: sectionText,
+            selectOne: SELECT_ONE_INSTRUCTION.test(sectionText),
+            checkboxes: lines
+                .map(line => CHECKBOX.exec(line))
+                .filter(Boolean)
+                .map(match => ({ label: match[2], checked: match[1] !== ' ' })),
+            links: Array.from(sectionText.matchAll(LINK)).map(match => ({
+                markdown: match[0],
+                text: match[1],
+                url: match[2]
+            }))
+        };
+    });
+}
+
+/**
+ * Find a section by its heading
+ * @param {Object[]} sections - Sections from parseSections
+ * @param {string} title - Heading to look for
+ * @returns {Object|undefined} - Matching section
+ */
+function findSection(sections, title) {
+    return sections.find(section => normalizeTitle(section.title) === normalizeTitle(title));
+}
+
+/**
+ * Check whether a section of the PR body has anything beyond the template's own text
+ * @param {Object} bodySection - Section of the PR body
+ * @param {Object} templateSection - Same section of the template
+ * @returns {boolean} - True if the author wrote something
+ */
+function isFilledIn(bodySection, templateSection) {
+    const templateLines = new Set(templateSection.text.replace(HTML_COMMENT, '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean));
+
+    return bodySection.text.replace(HTML_COMMENT, '')
+        .split('\n')
+        .map(line => line.trim())
+        .some(line => line && !templateLines.has(line));
+}
+
+/**
+ * Compare a PR description with the repository's PR template
+ * @param {string} templateText - Contents of the PR template
+ * @param {string} body - PR description
+ * @param {Object} [options] - Check options
+ * @param {string[]} [options.requiredSections] - Sections that must be filled in
+ * @returns {Object[]} - Problems as `{ section, problem }`; empty when the PR complies
+ */
+function checkTemplateCompliance(templateText, body, options = {}) {
+    const requiredSections = options.requiredSections || [];
+
+    if (!body || !body.replace(HTML_COMMENT, '').trim()) {
+        return [{ section: 'Description', problem: 'The PR description is empty; fill in the PR template' }];
+    }
+
+    const template = parseSections(templateText);
+    const pr = parseSections(body);
+    const issues = [];
+
+    // Sections the author has to write something in
+    requiredSections.forEach(title => {
+        const templateSection = findSection(template, title);
+        if (!templateSection) {
+            return;
+        }
+        const bodySection = findSection(pr, title);
+        if (!bodySection) {
+            issues.push({ section: templateSection.title, problem: 'Section is missing' });
+        } else if (!isFilledIn(bodySection, templateSection)) {
+            issues.push({ section: templateSection.title, problem: 'Section is not filled in' });
+        }
+    });
+
+    // Links whose "#" still has to be replaced, e.g. [STRY#](...)
+    template.forEach(templateSection => {
+        templateSection.links
+            .filter(link => PLACEHOLDER_HASH.test(link.text) || PLACEHOLDER_HASH.test(link.url))
+            .filter(link => body.includes(link.markdown))
+            .forEach(link => {
+                issues.push({
+                    section: templateSection.title || 'Top of description',
+                    problem: `\`[${link.text}]\` link still points at the template placeholder`
+                });
+            });
+    });
+
+    // "Select one" checkbox groups, e.g. Change Type
+    const selectedTypes = [];
+    template.filter(section => section.selectOne && section.checkboxes.length > 0).forEach(templateSection => {
+        const bodySection = findSection(pr, templateSection.title);
+        const checked = bodySection ? bodySection.checkboxes.filter(checkbox => checkbox.checked) : [];
+        if (checked.length === 0) {
+            issues.push({ section: templateSection.title, problem: 'No option selected' });
+        }
+        selectedTypes.push(...checked.map(checkbox => checkbox.label.toLowerCase()));
+    });
+
+    // Sections the template says to delete for this kind of PR
+    template.filter(section => section.deleteWhen).forEach(templateSection => {
+        const onlyType = selectedTypes.length === 1 ? selectedTypes[0] : null;
+        if (onlyType === templateSection.deleteWhen && findSection(pr, templateSection.title)) {
+            issues.push({
+                section: templateSection.title,
+                problem: `Should be deleted for a ${templateSection.deleteWhen}-only PR`
+            });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Render the template check as a section of the review summary
+ * @param {Object[]} issues - Problems from checkTemplateCompliance
+ * @param {string} templatePath - Path of the PR template
+ * @returns {string} - Markdown section
+ */
+function formatTemplateReport(issues, templatePath) {
+    let output = `### PR Template\n`;
+
+    if (issues.length === 0) {
+        output += `✅ The description follows \`${templatePath}\`.\n`;
+    } else {
+        output += `The description is missing ${issues.length} item${issues.length > 1 ? 's' : ''} from \`${templatePath}\`:\n\n`;
+        output += `| Section | What's missing |\n|---|---|\n`;
+        issues.forEach(({ section, problem }) => {
+            output += `| ${section.replace(/\|/g, '\\|')} | ${problem.replace(/\|/g, '\\|')} |\n`;
+        });
+        output += `\nPlease update the PR description; the next review checks it again.\n`;
+    }
+
+    return output;
+}
+
+/**
+ * Load the PR template of a repository
+ * @param {Function} getFileContents - MCP get_file_contents function
+ * @param {Object} params - Lookup parameters
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {string} params.ref - Git ref or SHA to read the template from
+ * @returns {Promise<Object|null>} - `{ path, text }`, or null if the repository has no template
+ */
+async function loadPullRequestTemplate(getFileContents, { owner, repo, ref }) {
+    if (!getFileContents) {
+        return null;
+    }
+
+    for (const templatePath of TEMPLATE_PATHS) {
+        try {
+            const text = decodeFileContents(await getFileContents({ owner, repo, path: templatePath, ref }));
+            if (text !== null) {
+                return { path: templatePath, text };
+            }
+        } catch (error) {
+            // Not found, try the next location
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    TEMPLATE_PATHS,
+    parseSections,
+    checkTemplateCompliance,
+    formatTemplateReport,
+    loadPullRequestTemplate
+};
@@ -0,0 +1,386 @@
+/**
+ * Repository Review Configuration
+ * Reads the .windlens.yml / .windlens.json file a reviewed repository carries
+ * and applies it to the rule registry and review thresholds
+ */
+
+const yaml = require('js-yaml');
+const { minimatch } = require('minimatch');
+
+const { DEFAULT_VERDICT_POLICY, normalizeVerdictPolicy } = require('./review-verdict');
+const { DEFAULT_TICKET_PATTERNS } = require('./ticket-references');
+
+// Config file names looked up in a repository, in order of preference
+const CONFIG_FILE_NAMES = ['.windlens.yml', '.windlens.yaml', '.windlens.json'];
+
+// Settings that decide which findings are reported, or what they mean for the verdict. They are
+// read from the PR base, so a PR can't relax them for itself, e.g. by excluding its own files or
+// turning rules off. Only the settings that shape the summary (template, tickets) come from the head
+const POLICY_SETTINGS = ['rules', 'paths', 'thresholds', 'verdict', 'baseline', 'secrets', 'tests', 'coverage', 'ai'];
+
+// Defaults used when a repository has no config file
+const DEFAULT_CONFIG = {
+    rules: {},
+    paths: {
+        include: [],
+        exclude: []
+    },
+    thresholds: {
+        // Files with more changed lines than this get a "consider splitting" comment
+        maxFileChanges: 300,
+        // Patches longer than this (in characters) get a "document and test" comment
+        largePatchLength: 1000
+    },
+    verdict: DEFAULT_VERDICT_POLICY,
+    // Findings baseline read from the PR base; false ignores any baseline
+    baseline: '.windlens-baseline.json',
+    secrets: {
+        // Regular expressions for values the secret scanner should not report (e.g. test keys)
+        allowlist: [],
+        // Globs of files the secret scanner skips (e.g. fixtures)
+        ignorePaths: []
+    },
+    template: {
+        // Whether to check the PR description against the repository's PR template
+        enabled: true,
+        // Template sections the description must fill in
+        requiredSections: ['Overview', 'What has changed']
+    },
+    tickets: {
+        // Whether every PR must reference a ticket in its title or description
+        required: true,
+        // Regular expressions for ticket ids, e.g. PROJ-\d+
+        patterns: DEFAULT_TICKET_PATTERNS
+    },
+    tests: {
+        // Whether to flag source files changed without a matching test change
+        enabled: true,
+        // Files that count as production code
+        sources: ['**/*.{js,jsx,mjs,cjs,ts,tsx}'],
+        // Production files that don't need tests of their own
+        ignore: ['**/*.config.*', '**/*.d.ts', '**/*.min.js'],
+        // Files that count as tests
+        testFiles: ['**/*.{test,spec}.*', '**/__tests__/**', 'test/**', 'tests/**'],
+        // Where a source file's tests live; {dir}, {name} and {ext} are replaced with the
+        // directory, base name and extension of the source file, e.g. src/x.js -> test/x.test.js
+        mappings: [
+            '{dir}/{name}.{test,spec}.*',
+            '{dir}/__tests__/{name}.*',
+            'test/**/{name}.{test,spec}.*',
+            'tests/**/{name}.{test,spec}.*'
+        ]
+    },
+    coverage: {
+        // Patch coverage (percent of added lines covered) below which changes are requested; 0 disables the gate
+        minimum: 0
+    },
+    ai: {
+        // Whether the AI reviewer (when one is selected with --ai) may review this repository
+        enabled: true,
+        // Estimated tokens of all AI requests of a review together; the least important hunks are left out beyond it
+        maxTokens: 60000,
+        // Estimated tokens of a single AI request; larger PRs are split into several requests
+        batchTokens: 8000
+    }
+};
+
+/**
+ * Turn a config value for a single rule into registry overrides
+ * Accepts `off`/`false`, `on`/`true`, a severity name, or `{ enabled, severity }`
+ * @param {string} id - Rule id
+ * @param {*} value - Config value
+ * @returns {Object} - Overrides for registry.configure
+ */
+function parseRuleSetting(id, value) {
+    if (value === false || value === 'off') {
+        return { enabled: false };
+    }
+    if (value === true || value === 'on') {
+        return { enabled: true };
+    }
+    if (typeof value === 'string') {
+        return { enabled: true, severity: value.toUpperCase() };
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+        const overrides = {};
+        if (value.enabled !== undefined) {
+            overrides.enabled = Boolean(value.enabled);
+        }
+        if (value.severity !== undefined) {
+            overrides.severity = String(value.severity).toUpperCase();
+        }
+        return overrides;
+    }
+    throw new Error(`Invalid setting for rule "${id}": ${JSON.stringify(value)}`);
+}
+
+/**
+ * Validate a parsed config object and merge it with the defaults
+ * @param {Object} raw - Parsed config file contents
+ * @param {string} fileName - Config file name (used in error messages)
+ * @returns {Object} - Normalized review config
+ */
+function normalizeConfig(raw, fileName = 'config') {
+    if (raw === null || raw === undefined) {
+        raw = {};
+    }
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`Invalid ${fileName}: expected an object at the top level`);
+    }
+
+    const rules = {};
+    Object.entries(raw.rules || {}).forEach(([id, value]) => {
+        rules[id] = parseRuleSetting(id, value);
+    });
+
+    const paths = raw.paths || {};
+    ['include', 'exclude'].forEach(key => {
+        if (paths[key] !== undefined && !Array.isArray(paths[key])) {
+            throw new Error(`Invalid ${fileName}: "paths.${key}" must be a list of globs`);
+        }
+    });
+
+    const thresholds = { ...DEFAULT_CONFIG.thresholds };
+    Object.entries(raw.thresholds || {}).forEach(([key, value]) => {
+        if (!(key in DEFAULT_CONFIG.thresholds)) {
+            throw new Error(`Invalid ${fileName}: unknown threshold "${key}"`);
+        }
+        if (typeof value !== 'number' || value < 0) {
+            throw new Error(`Invalid ${fileName}: threshold "${key}" must be a non-negative number`);
+        }
+        thresholds[key] = value;
+    });
+
+    const baseline = raw.baseline !== undefined ? raw.baseline : DEFAULT_CONFIG.baseline;
+    if (baseline !== false && (typeof baseline !== 'string' || !baseline)) {
+        throw new Error(`Invalid ${fileName}: "baseline" must be a file path or false`);
+    }
+
+    const secrets = raw.secrets || {};
+    ['allowlist', 'ignorePaths'].forEach(key => {
+        if (secrets[key] !== undefined && !Array.isArray(secrets[key])) {
+            throw new Error(`Invalid ${fileName}: "secrets.${key}" must be a list`);
+        }
+    });
+    (secrets.allowlist || []).forEach(source => {
+        try {
+            new RegExp(source);
+        } catch (error) {
+            throw new Error(`Invalid ${fileName}: bad pattern in "secrets.allowlist": ${error.message}`);
+        }
+    });
+
+    const template = { ...DEFAULT_CONFIG.template, ...(raw.template || {}) };
+    if (!Array.isArray(template.requiredSections)) {
+        throw new Error(`Invalid ${fileName}: "template.requiredSections" must be a list`);
+    }
+
+    const tickets = { ...DEFAULT_CONFIG.tickets, ...(raw.tickets || {}) };
+    if (!Array.isArray(tickets.patterns) || tickets.patterns.length === 0) {
+        throw new Error(`Invalid ${fileName}: "tickets.patterns" must be a non-empty list`);
+    }
+    tickets.patterns.forEach(source => {
+        try {
+            new RegExp(source);
+        } catch (error) {
+            throw new Error(`Invalid ${fileName}: bad pattern in "tickets.patterns": ${error.message}`);
+        }
+    });
+
+    const tests = { ...DEFAULT_CONFIG.tests, ...(raw.tests || {}) };
+    ['sources', 'ignore', 'testFiles', 'mappings'].forEach(key => {
+        if (!Array.isArray(tests[key])) {
+            throw new Error(`Invalid ${fileName}: "tests.${key}" must be a list of globs`);
+        }
+    });
+
+    const coverage = { ...DEFAULT_CONFIG.coverage, ...(raw.coverage || {}) };
+    if (typeof coverage.minimum !== 'number' || coverage.minimum < 0 || coverage.minimum > 100) {
+        throw new Error(`Invalid ${fileName}: "coverage.minimum" must be a percentage between 0 and 100`);
+    }
+
+    const ai = { ...DEFAULT_CONFIG.ai, ...(raw.ai || {}) };
+    ['maxTokens', 'batchTokens'].forEach(key => {
+        if (!Number.isInteger(ai[key]) || ai[key] < 1000) {
+            throw new Error(`Invalid ${fileName}: "ai.${key}" must be a whole number of at least 1000`);
+        }
+    });
+
+    return {
+        rules,
+        paths: {
+            include: paths.include || [],
+            exclude: paths.exclude || []
+        },
+        thresholds,
+        verdict: normalizeVerdictPolicy(raw.verdict, fileName),
+        baseline,
+        secrets: {
+            allowlist: (secrets.allowlist || []).map(String),
+            ignorePaths: secrets.ignorePaths || []
+        },
+        template: {
+            enabled: Boolean(template.enabled),
+            requiredSections: template.requiredSections.map(String)
+        },
+        tickets: {
+            required: Boolean(tickets.required),
+            patterns: tickets.patterns.map(String)
+        },
+        tests: {
+            enabled: Boolean(tests.enabled),
+            sources: tests.sources.map(String),
+            ignore: tests.ignore.map(String),
+            testFiles: tests.testFiles.map(String),
+            mappings: tests.mappings.map(String)
+        },
+        coverage: {
+            minimum: coverage.minimum
+        },
+        ai: {
+            enabled: Boolean(ai.enabled),
+            maxTokens: ai.maxTokens,
+            batchTokens: ai.batchTokens
+        }
+    };
+}
+
+/**
+ * Parse the text of a config file
+ * @param {string} text - File contents
+ * @param {string} fileName - Config file name, used to pick the parser
+ * @returns {Object} - Normalized review config
+ */
+function parseReviewConfig(text, fileName) {
+    let raw;
+    try {
+        raw = fileName.endsWith('.json') ? JSON.parse(text) : yaml.load(text);
+    } catch (error) {
+        throw new Error(`Failed to parse ${fileName}: ${error.message}`);
+    }
+    return normalizeConfig(raw, fileName);
+}
+
+/**
+ * Extract the text of a file from a get_file_contents response
+ * @param {*} response - MCP response (string, or object with base64 or plain content)
+ * @returns {string|null} - File text, or null if the response has none
+ */
+function decodeFileContents(response) {
+    if (typeof response === 'string') {
+        return response;
+    }
+    if (response && typeof response.content === 'string') {
+        return response.encoding === 'base64'
+            ? Buffer.from(response.content, 'base64').toString('utf8')
+            : response.content;
+    }
+    if (response && typeof response.text === 'string') {
+        return response.text;
+    }
+    return null;
+}
+
+/**
+ * Load the review config of a repository at a ref
+ * @param {Function} getFileContents - MCP get_file_contents function
+ * @param {Object} params - Lookup parameters
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {string} [params.ref] - Git ref or SHA to read the config from; the default branch when omitted
+ * @returns {Promise<Object>} - Normalized review config (defaults if no file is found)
+ */
+async function loadReviewConfig(getFileContents, { owner, repo, ref }) {
+    if (!getFileContents) {
+        console.log('File contents tool not available, using default review config');
+        return normalizeConfig({});
+    }
+
+    for (const fileName of CONFIG_FILE_NAMES) {
+        let response;
+        try {
+            response = await getFileContents({ owner, repo, path: fileName, ref });
+        } catch (error) {
+            // Not found at this ref, try the next candidate
+            continue;
+        }
+
+        const text = decodeFileContents(response);
+        if (text !== null) {
+            console.log(`Using review config from ${fileName}`);
+            return parseReviewConfig(text, fileName);
+        }
+    }
+
+    console.log('No review config found, using defaults');
+    return normalizeConfig({});
+}
+
+/**
+ * Load the review config for a pull request
+ * The config at the PR head applies, except for the policy settings (POLICY_SETTINGS),
+ * which come from the config at the PR base
+ * @param {Function} getFileContents - MCP get_file_contents function
+ * @param {Object} params - Lookup parameters
+ * @param {string} params.owner - Repository owner
+ * @param {string} params.repo - Repository name
+ * @param {Object} params.pr - Pull request from get_pull_request
+ * @returns {Promise<Object>} - Normalized review config
+ */
+async function loadPullRequestConfig(getFileContents, { owner, repo, pr }) {
+    const headConfig = await loadReviewConfig(getFileContents, { owner, repo, ref: pr.head.sha });
+    const baseConfig = await loadReviewConfig(getFileContents, { owner, repo, ref: pr.base.sha });
+
+    const config = { ...headConfig };
+    POLICY_SETTINGS.forEach(key => {
+        if (JSON.stringify(headConfig[key]) !== JSON.stringify(baseConfig[key])) {
+            console.log(`Ignoring "${key}" changes in the PR's review config; the setting is read from the base branch`);
+        }
+        config[key] = baseConfig[key];
+    });
+    return config;
+}
+
+/**
+ * Apply the rule settings of a review config to a rule registry
+ * @param {Object} registry - Rule registry
+ * @param {Object} config - Normalized review config
+ */
+function applyReviewConfig(registry, config) {
+    Object.entries(config.rules).forEach(([id, overrides]) => {
+        if (!registry.get(id)) {
+            console.warn(`Review config references unknown rule "${id}", ignoring it`);
+            return;
+        }
+        registry.configure(id, overrides);
+    });
+}
+
+/**
+ * Check whether a file should be reviewed under the config's path globs
+ * @param {Object} config - Normalized review config
+ * @param {string} filePath - Path of the changed file
+ * @returns {boolean} - True if the file should be reviewed
+ */
+function isPathIncluded(config, filePath) {
+    const { include, exclude } = config.paths;
+    const matches = glob => minimatch(filePath, glob, { dot: true });
+
+    if (include.length > 0 && !include.some(matches)) {
+        return false;
+    }
+    return !exclude.some(matches);
+}
+
+module.exports = {
+    CONFIG_FILE_NAMES,
+    DEFAULT_CONFIG,
+    normalizeConfig,
+    parseReviewConfig,
+    decodeFileContents,
+    POLICY_SETTINGS,
+    loadReviewConfig,
+    loadPullRequestConfig,
+    applyReviewConfig,
+    isPathIncluded
+};
@@ -0,0 +1,155 @@
+/**
+ * Review Verdict Policy
+ * Decides whether a review approves, comments on, or requests changes to a PR
+ * based on the severities of its findings
+ */
+
+const { minimatch } = require('minimatch');
+
+const { COMMENT_TYPES } = require('./comment-types');
+
+const REVIEW_EVENTS = {
+    APPROVE: 'APPROVE',
+    COMMENT: 'COMMENT',
+    REQUEST_CHANGES: 'REQUEST_CHANGES'
+};
+
+// Default policy: any SECURITY finding blocks, a review with only NITPICKs
+// (or nothing at all) approves, and everything else is a plain comment
+const DEFAULT_VERDICT_POLICY = {
+    // Any finding with one of these severities requests changes
+    requestChanges: [COMMENT_TYPES.SECURITY],
+    // A review whose findings all have these severities approves (with comments)
+    approve: [COMMENT_TYPES.NITPICK],
+    // Whether a review with no findings approves
+    approveWhenClean: true,
+    // Base branches the reviewer never approves PRs into; they get COMMENT instead
+    neverApproveBranches: []
+};
+
+/**
+ * Validate a verdict policy from a review config and merge it with the defaults
+ * @param {Object} raw - `verdict` section of the config file
+ * @param {string} fileName - Config file name (used in error messages)
+ * @returns {Object} - Verdict policy
+ */
+function normalizeVerdictPolicy(raw, fileName = 'config') {
+    const policy = { ...DEFAULT_VERDICT_POLICY, ...(raw || {}) };
+
+    ['requestChanges', 'approve', 'neverApproveBranches'].forEach(key => {
+        if (!Array.isArray(policy[key])) {
+            throw new Error(`Invalid ${fileName}: "verdict.${key}" must be a list`);
+        }
+    });
+    ['requestChanges', 'approve'].forEach(key => {
+        policy[key] = policy[key].map(severity => String(severity).toUpperCase());
+        policy[key].forEach(severity => {
+            if (!Object.values(COMMENT_TYPES).includes(severity)) {
+                throw new Error(`Invalid ${fileName}: unknown severity "${severity}" in "verdict.${key}"`);
+            }
+        });
+    });
+    policy.approveWhenClean = Boolean(policy.approveWhenClean);
+
+    return policy;
+}
+
+/**
+ * Decide the review event for a set of findings
+ * @param {Object[]} findings - Review findings (anything with a `severity`)
+ * @param {Object} [policy] - Verdict policy
+ * @param {string} [baseBranch] - Branch the PR merges into
+ * @returns {{ event: string, reason: string }} - Review event and a short explanation
+ */
+function decideVerdict(findings, policy = DEFAULT_VERDICT_POLICY, baseBranch = '') {
+    const blocking = findings.filter(finding => policy.requestChanges.includes(finding.severity));
+    if (blocking.length > 0) {
+        const severities = Array.from(new Set(blocking.map(finding => finding.severity))).join(', ');
+        return {
+            event: REVIEW_EVENTS.REQUEST_CHANGES,
+            reason: `${blocking.length} blocking finding${blocking.length > 1 ? 's' : ''} (${severities})`
+        };
+    }
+
+    let approval = null;
+    if (findings.length === 0) {
+        approval = policy.approveWhenClean ? 'no issues found' : null;
+    } else if (findings.every(finding => policy.approve.includes(finding.severity))) {
+        approval = `only ${policy.approve.join('/')} findings`;
+    }
+
+    if (!approval) {
+        return {
+            event: REVIEW_EVENTS.COMMENT,
+            reason: findings.length > 0
+                ? `${findings.length} finding${findings.length > 1 ? 's' : ''} to consider`
+                : 'no issues found, but the policy does not auto-approve'
+        };
+    }
+
+    if (baseBranch && policy.neverApproveBranches.some(glob => minimatch(baseBranch, glob))) {
+        return {
+            event: REVIEW_EVENTS.COMMENT,
+            reason: `${approval}, but PRs into ${baseBranch} are never auto-approved`
+        };
+    }
+
+    return { event: REVIEW_EVENTS.APPROVE, reason: approval };
+}
+
+/**
+ * Request changes when the patch coverage is below the configured minimum
+ * Low coverage blocks the PR like a blocking finding
+ * @param {Object} verdict - Verdict from decideVerdict
+ * @param {Object|null} coverageTotal - `{ percent }` from totalPatchCoverage, or null without a report
+ * @param {number} minimum - `coverage.minimum` percentage
+ * @returns {{ event: string, reason: string }} - Verdict to submit
+ */
+function applyCoverageGate(verdict, coverageTotal, minimum) {
+    if (verdict.event === REVIEW_EVENTS.REQUEST_CHANGES || !coverageTotal || coverageTotal.percent === null ||
+        coverageTotal.percent >= minimum) {
+        return verdict;
+    }
+    return {
+        event: REVIEW_EVENTS.REQUEST_CHANGES,
+        reason: `patch coverage ${coverageTotal.percent.toFixed(1)}% is below the required ${minimum}%`
+    };
+}
+
+/**
+ * Keep requesting changes in a follow-up review while the earlier blocking review is open
+ * A follow-up review only judges the findings of new commits, so on its own it would approve
+ * a PR whose earlier blocking comments were never addressed
+ * @param {Object} verdict - Verdict of the follow-up review, from decideVerdict
+ * @param {Object|null} previousReview - `{ state }` of the last WindLens review, if any
+ * @param {Object[]|null} openThreads - WindLens threads still open after this review, or null
+ *   if they couldn't be fetched
+ * @returns {{ event: string, reason: string }} - Verdict to submit
+ */
+function carryOverRequestedChanges(verdict, previousReview, openThreads) {
+    if (verdict.event === REVIEW_EVENTS.REQUEST_CHANGES || !previousReview || previousReview.state !== 'CHANGES_REQUESTED') {
+        return verdict;
+    }
+    if (openThreads === null) {
+        return {
+            event: REVIEW_EVENTS.REQUEST_CHANGES,
+            reason: 'the previous review requested changes and its threads could not be checked'
+        };
+    }
+    if (openThreads.length > 0) {
+        return {
+            event: REVIEW_EVENTS.REQUEST_CHANGES,
+            reason: `${openThreads.length} thread${openThreads.length > 1 ? 's' : ''} from the previous review, which requested changes, ${openThreads.length > 1 ? 'are' : 'is'} still open`
+        };
+    }
+    return verdict;
+}
+
+module.exports = {
+    REVIEW_EVENTS,
+    DEFAULT_VERDICT_POLICY,
+    normalizeVerdictPolicy,
+    decideVerdict,
+    applyCoverageGate,
+    carryOverRequestedChanges
+};
@@ -0,0 +1,291 @@
+/**
+ * Review Rule Engine
+ * Keeps a registry of review rules and loads them from a rules directory
+ * or from npm-style packages so teams can ship their own house rules
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+const { COMMENT_TYPES } = require('./comment-types');
+const { createFinding } = require('./findings');
+const { runVisitors } = require('./ast-analysis');
+
+// Directory holding the rules that ship with the reviewer
+const BUILT_IN_RULES_DIR = path.join(__dirname, 'rules');
+
+// Files a rule applies to when it doesn't declare its own globs
+const DEFAULT_RULE_FILES = ['**/*.js'];
+
+/**
+ * Validate a rule definition and fill in defaults
+ * @param {Object} rule - Rule definition
+ * @param {string} source - Where the rule was loaded from (used in error messages)
+ * @returns {Object} - Normalized rule
+ */
+function normalizeRule(rule, source) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+        throw new Error(`Invalid review rule from ${source}: missing "id"`);
+    }
+    if (!Object.values(COMMENT_TYPES).includes(rule.severity)) {
+        throw new Error(`Invalid review rule "${rule.id}" from ${source}: unknown severity "${rule.severity}"`);
+    }
+    if (rule.match !== undefined && typeof rule.match !== 'function') {
+        throw new Error(`Invalid review rule "${rule.id}" from ${source}: "match" must be a function`);
+    }
+    if (rule.visitors !== undefined && (typeof rule.visitors !== 'object' || rule.visitors === null)) {
+        throw new Error(`Invalid review rule "${rule.id}" from ${source}: "visitors" must map node types to functions`);
+    }
+    if (rule.scan !== undefined && typeof rule.scan !== 'function') {
+        throw new Error(`Invalid review rule "${rule.id}" from ${source}: "scan" must be a function`);
+    }
+    if (!rule.match && !rule.visitors && !rule.scan) {
+        throw new Error(`Invalid review rule "${rule.id}" from ${source}: needs a "match" function, AST "visitors" or a "scan" function`);
+    }
+    if (rule.wcag !== undefined && !Array.isArray(rule.wcag)) {
+        throw new Error(`Invalid review rule "${rule.id}" from ${source}: "wcag" must be a list of success criteria`);
+    }
+    if (!rule.comment || (typeof rule.comment !== 'object' && typeof rule.comment !== 'function')) {
+        throw new Error(`Invalid review rule "${rule.id}" from ${source}: missing comment template`);
+    }
+
+    return {
+        ...rule,
+        files: rule.files && rule.files.length > 0 ? rule.files : DEFAULT_RULE_FILES,
+        enabled: rule.enabled !== false,
+        // Number of surrounding lines passed to `match`; rules only judge added lines either way
+        contextLines: rule.contextLines || 0,
+        source
+    };
+}
+
+/**
+ * Collect rule definitions from a loaded module
+ * A module may export a single rule, an array of rules, or an object with a `rules` array
+ * @param {*} exported - Module exports
+ * @returns {Object[]} - Rule definitions
+ */
+function rulesFromModule(exported) {
+    if (Array.isArray(exported)) {
+        return exported;
+    }
+    if (exported && Array.isArray(exported.rules)) {
+        return exported.rules;
+    }
+    return [exported];
+}
+
+/**
+ * Create an empty rule registry
+ * @returns {Object} - Rule registry
+ */
+function createRuleRegistry() {
+    const rules = new Map();
+
+    return {
+        /**
+         * Add a rule to the registry, replacing any rule with the same id
+         * @param {Object} rule - Rule definition
+         * @param {string} source - Where the rule was loaded from
+         */
+        register(rule, source = 'inline') {
+            const normalized = normalizeRule(rule, source);
+            rules.set(normalized.id, normalized);
+        },
+
+        /**
+         * Load every .js rule module in a directory
+         * @param {string} dir - Directory containing rule modules
+         */
+        loadDirectory(dir) {
+            const entries = fs.readdirSync(dir)
+                .filter(name => name.endsWith('.js'))
+                .sort();
+
+            for (const name of entries) {
+                const modulePath = path.join(dir, name);
+                rulesFromModule(require(modulePath)).forEach(rule => this.register(rule, modulePath));
+            }
+        },
+
+        /**
+         * Load rules from an installed npm-style package
+         * @param {string} packageName - Package name or path, resolved from the working directory
+         */
+        loadPackage(packageName) {
+            const modulePath = require.resolve(packageName, { paths: [process.cwd(), __dirname] });
+            rulesFromModule(require(modulePath)).forEach(rule => this.register(rule, packageName));
+        },
+
+        /**
+         * Enable or disable a rule, or override its severity
+         * @param {string} id - Rule id
+         * @param {Object} overrides - Overrides to apply
+         * @param {boolean} [overrides.enabled] - Whether the rule runs
+         * @param {string} [overrides.severity] - One of COMMENT_TYPES
+         */
+        configure(id, overrides) {
+            const rule = rules.get(id);
+            if (!rule) {
+                throw new Error(`Unknown review rule "${id}"`);
+            }
+            if (overrides.severity !== undefined && !Object.values(COMMENT_TYPES).includes(overrides.severity)) {
+                throw new Error(`Unknown severity "${overrides.severity}" for review rule "${id}"`);
+            }
+            rules.set(id, {
+                ...rule,
+                enabled: overrides.enabled !== undefined ? overrides.enabled : rule.enabled,
+                severity: overrides.severity !== undefined ? overrides.severity : rule.severity
+            });
+        },
+
+        /**
+         * Get a rule by id
+         * @param {string} id - Rule id
+         * @returns {Object|undefined} - Rule definition
+         */
+        get(id) {
+            return rules.get(id);
+        },
+
+        /**
+         * List every registered rule
+         * @returns {Object[]} - Rule definitions
+         */
+        list() {
+            return Array.from(rules.values());
+        },
+
+        /**
+         * List the enabled rules whose file globs match a path
+         * @param {string} filePath - Path of the changed file
+         * @returns {Object[]} - Matching rule definitions
+         */
+        forFile(filePath) {
+            return this.list().filter(rule => rule.enabled &&
+                rule.files.some(glob => minimatch(filePath, glob, { dot: true }))
+            );
+        }
+    };
+}
+
+/**
+ * Build the comment fields for a rule match
+ * @param {Object} rule - Rule definition
+ * @param {string} line - Line that matched the rule
+ * @param {Object} [details] - What a `scan` rule or visitor reported about the match
+ * @returns {Object} - Fields accepted by formatComment
+ */
+function renderRuleComment(rule, line, details = {}) {
+    return typeof rule.comment === 'function' ? rule.comment(line, details) : { ...rule.comment };
+}
+
+/**
+ * Create the finding for a rule match
+ * @param {Object} rule - Rule definition
+ * @param {string} filePath - File path
+ * @param {number} line - RIGHT-side line number
+ * @param {string} content - Text of the line
+ * @param {Object} [details] - What a `scan` rule or visitor reported about the match; its
+ *   `wcag` list, if any, replaces the rule's
+ * @returns {Object} - Finding
+ */
+function createRuleFinding(rule, filePath, line, content, details) {
+    const comment = {
+        ...renderRuleComment(rule, content, details),
+        lineContent: content // Pass the current line content
+    };
+    return createFinding({
+        ruleId: rule.id,
+        severity: rule.severity,
+        path: filePath,
+        line,
+        message: comment.issue,
+        comment,
+        snippet: content,
+        wcag: (details && details.wcag) || rule.wcag
+    });
+}
+
+/**
+ * Run the enabled rules that apply to a file against some of its lines
+ * With an AST, rules that have `visitors` match syntax nodes starting on those lines; with the
+ * file's source, rules that have `scan` read the whole file and report lines. Only matches on
+ * the given lines are kept, and every other rule falls back to `match`
+ * @param {Object} registry - Rule registry
+ * @param {string} filePath - File path
+ * @param {Object[]} lines - Lines to judge as `{ line, content }` (RIGHT-side line numbers)
+ * @param {Function} getContext - Returns `{ before, after }` for a line number and a line count
+ * @param {Object} [ast] - Parsed head version of the file
+ * @param {string} [source] - Head version of the file
+ * @returns {Object[]} - Findings
+ */
+function runRules(registry, filePath, lines, getContext, ast = null, source = null) {
+    const findings = [];
+    const rules = registry.forFile(filePath);
+    const astRules = ast ? rules.filter(rule => rule.visitors) : [];
+    const scanRules = source !== null ? rules.filter(rule => rule.scan && !astRules.includes(rule)) : [];
+    const contentByLine = new Map(lines.map(({ line, content }) => [line, content]));
+
+    if (astRules.length > 0) {
+        runVisitors(astRules, ast, new Set(contentByLine.keys())).forEach(({ rule, line, details }) => {
+            findings.push(createRuleFinding(rule, filePath, line, contentByLine.get(line), details));
+        });
+    }
+
+    scanRules.forEach(rule => {
+        const seen = new Set();
+        rule.scan(source, { filePath, lines: new Set(contentByLine.keys()) }).forEach(({ line, details }) => {
+            if (contentByLine.has(line) && !seen.has(line)) {
+                seen.add(line);
+                findings.push(createRuleFinding(rule, filePath, line, contentByLine.get(line), details));
+            }
+        });
+    });
+
+    for (const rule of rules.filter(rule => rule.match && !astRules.includes(rule) && !scanRules.includes(rule))) {
+        for (const { line, content } of lines) {
+            const context = rule.contextLines > 0
+                ? getContext(line, rule.contextLines)
+                : { before: [], after: [] };
+            if (rule.match(content, context)) {
+                findings.push(createRuleFinding(rule, filePath, line, content));
+            }
+        }
+    }
+
+    return findings;
+}
+
+/**
+ * Create a registry with the built-in rules, an optional extra rules directory
+ * and any rule packages listed in the environment
+ * @param {Object} options - Loading options
+ * @param {string} [options.rulesDir] - Extra directory of rule modules
+ * @param {string[]} [options.packages] - Rule package names
+ * @returns {Object} - Rule registry
+ */
+function loadRules(options = {}) {
+    const registry = createRuleRegistry();
+    registry.loadDirectory(BUILT_IN_RULES_DIR);
+
+    const rulesDir = options.rulesDir || process.env.WINDLENS_RULES_DIR;
+    if (rulesDir) {
+        registry.loadDirectory(path.resolve(rulesDir));
+    }
+
+    const packages = options.packages ||
+        (process.env.WINDLENS_RULE_PACKAGES || '').split(',').map(name => name.trim()).filter(Boolean);
+    packages.forEach(packageName => registry.loadPackage(packageName));
+
+    return registry;
+}
+
+module.exports = {
+    createRuleRegistry,
+    loadRules,
+    renderRuleComment,
+    runRules,
+    BUILT_IN_RULES_DIR
+};
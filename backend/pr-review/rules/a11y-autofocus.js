@@ -0,0 +1,46 @@
+/**
+ * Flags autofocus, which moves focus on page load before users know where they are
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { getJsxElement } = require('../ast-analysis');
+const { isHtmlFile, findTags } = require('../html-analysis');
+const { citeWcag } = require('../accessibility');
+
+const WCAG = ['2.4.3', '3.2.1'];
+
+/**
+ * Check an element for autofocus
+ * @param {Object} element - `{ name, attributes }` from findTags or getJsxElement
+ * @returns {Object|null} - Details for the comment
+ */
+function check(element) {
+    const value = element.attributes.get('autofocus');
+    if (!element.attributes.has('autofocus') || value === false || value === 'false') {
+        return null;
+    }
+    return { element: element.name };
+}
+
+module.exports = {
+    id: 'a11y-autofocus',
+    severity: COMMENT_TYPES.ACCESSIBILITY,
+    files: ['**/*.{js,jsx,ts,tsx,html,htm}'],
+    wcag: WCAG,
+    visitors: {
+        JSXOpeningElement: node => {
+            const element = getJsxElement(node);
+            return element ? check(element) : null;
+        }
+    },
+    scan: (source, { filePath }) => (isHtmlFile(filePath) ? findTags(source) : [])
+        .map(tag => ({ line: tag.line, details: check(tag) }))
+        .filter(({ details }) => details),
+    comment: (line, { element = 'input' } = {}) => ({
+        issue: `\`autofocus\` on \`<${element}>\``,
+        context: `Focusing a field on load skips the content before it, so screen reader users start in the middle of the page without context, and mobile browsers may pop up the keyboard. See ${citeWcag(WCAG)}.`,
+        suggestion: 'Remove autofocus and let users move focus themselves; inside a dialog, move focus when the dialog opens instead',
+        actionItems: ['Remove the autofocus attribute'],
+        tldr: 'Avoid autofocus'
+    })
+};
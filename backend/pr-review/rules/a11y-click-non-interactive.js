@@ -0,0 +1,49 @@
+/**
+ * Flags click handlers on elements such as <div> and <span> that have no interactive role,
+ * so assistive technology doesn't announce them as something that can be activated
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { getJsxElement } = require('../ast-analysis');
+const { isHtmlFile, findTags } = require('../html-analysis');
+const { citeWcag, isNativelyInteractive, hasInteractiveRole } = require('../accessibility');
+
+const WCAG = ['4.1.2'];
+
+/**
+ * Check an element for a click handler without an interactive role
+ * @param {Object} element - `{ name, attributes }` from findTags or getJsxElement
+ * @returns {Object|null} - Details for the comment
+ */
+function check(element) {
+    if (!element.attributes.has('onclick') || isNativelyInteractive(element) || hasInteractiveRole(element)) {
+        return null;
+    }
+    return { element: element.name };
+}
+
+module.exports = {
+    id: 'a11y-click-non-interactive',
+    severity: COMMENT_TYPES.ACCESSIBILITY,
+    files: ['**/*.{js,jsx,ts,tsx,html,htm}'],
+    wcag: WCAG,
+    visitors: {
+        JSXOpeningElement: node => {
+            const element = getJsxElement(node);
+            // Props spread onto the element may carry its role
+            return element && !element.hasSpread ? check(element) : null;
+        }
+    },
+    scan: (source, { filePath }) => (isHtmlFile(filePath) ? findTags(source) : [])
+        .map(tag => ({ line: tag.line, details: check(tag) }))
+        .filter(({ details }) => details),
+    comment: (line, { element = 'div' } = {}) => ({
+        issue: `Click handler on a non-interactive \`<${element}>\``,
+        context: `Screen readers announce a \`<${element}>\` as plain content, so users don't know it can be activated, and it isn't focusable either. Fails ${citeWcag(WCAG)}.`,
+        suggestion: 'Use a `<button>` (or a link for navigation); if that is not possible, add a role such as role="button", tabindex="0" and keyboard handling',
+        codeExamples: [`<button type="button" class="card-toggle" onClick={toggleDetails}>Show details</button>`],
+        codeLanguage: 'jsx',
+        actionItems: ['Replace the element with a `<button>`, or give it an interactive role'],
+        tldr: 'Use a button for clickable elements'
+    })
+};
@@ -0,0 +1,53 @@
+/**
+ * Flags click handlers on non-interactive elements without a matching keyboard handler,
+ * which leaves the action out of reach for keyboard users
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { getJsxElement } = require('../ast-analysis');
+const { isHtmlFile, findTags } = require('../html-analysis');
+const { citeWcag, isNativelyInteractive } = require('../accessibility');
+
+const WCAG = ['2.1.1'];
+
+const KEYBOARD_HANDLERS = ['onkeydown', 'onkeyup', 'onkeypress'];
+
+/**
+ * Check an element for a click handler without a keyboard equivalent
+ * Native buttons and links fire click on Enter and Space, so they need none
+ * @param {Object} element - `{ name, attributes }` from findTags or getJsxElement
+ * @returns {Object|null} - Details for the comment
+ */
+function check(element) {
+    if (!element.attributes.has('onclick') || isNativelyInteractive(element) ||
+        KEYBOARD_HANDLERS.some(name => element.attributes.has(name))) {
+        return null;
+    }
+    return { element: element.name };
+}
+
+module.exports = {
+    id: 'a11y-click-without-keyboard',
+    severity: COMMENT_TYPES.ACCESSIBILITY,
+    files: ['**/*.{js,jsx,ts,tsx,html,htm}'],
+    wcag: WCAG,
+    visitors: {
+        JSXOpeningElement: node => {
+            const element = getJsxElement(node);
+            // Props spread onto the element may carry its keyboard handler
+            return element && !element.hasSpread ? check(element) : null;
+        }
+    },
+    scan: (source, { filePath }) => (isHtmlFile(filePath) ? findTags(source) : [])
+        .map(tag => ({ line: tag.line, details: check(tag) }))
+        .filter(({ details }) => details),
+    comment: (line, { element = 'div' } = {}) => ({
+        issue: `Click handler on \`<${element}>\` without a keyboard handler`,
+        context: `Only mouse and touch users can trigger this action; keyboard and switch users can't focus the element or activate it. Fails ${citeWcag(WCAG)}.`,
+        suggestion: 'Use a `<button>`, which handles Enter and Space for you, or add tabindex="0" and an onKeyDown handler for Enter and Space',
+        codeExamples: [`<div role="button" tabIndex={0} onClick={select}\n  onKeyDown={event => (event.key === 'Enter' || event.key === ' ') && select()}>`],
+        codeLanguage: 'jsx',
+        actionItems: ['Make the action reachable from the keyboard'],
+        tldr: 'Add keyboard support to the click handler'
+    })
+};
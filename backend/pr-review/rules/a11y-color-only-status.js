@@ -0,0 +1,72 @@
+/**
+ * Flags status shown only through color, such as a text color that switches between red
+ * and green, which color-blind and screen reader users can't perceive
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { isHtmlFile, findTags } = require('../html-analysis');
+const { citeWcag } = require('../accessibility');
+
+const WCAG = ['1.4.1'];
+
+// Style properties that carry a status color
+const COLOR_PROPERTIES = new Set(['color', 'backgroundColor', 'background', 'borderColor', 'fill', 'stroke']);
+
+// Class names of elements that usually convey a status, e.g. status-dot or badge
+const STATUS_CLASS = /(?:^|[\s_-])(?:status|indicator|dot|badge|light)(?:$|[\s_-])/i;
+
+/**
+ * Check whether an expression picks one of several values at runtime
+ * @param {Object} node - AST node
+ * @returns {boolean} - True for ternaries and && / || expressions
+ */
+function isConditional(node) {
+    return node.type === 'ConditionalExpression' || node.type === 'LogicalExpression';
+}
+
+/**
+ * Get the name of an object property or member
+ * @param {Object} node - Property key or member property
+ * @returns {string|null} - Name of an identifier or string key
+ */
+function propertyName(node) {
+    if (node.type === 'Identifier') {
+        return node.name;
+    }
+    return node.type === 'StringLiteral' ? node.value : null;
+}
+
+module.exports = {
+    id: 'a11y-color-only-status',
+    severity: COMMENT_TYPES.ACCESSIBILITY,
+    files: ['**/*.{js,jsx,ts,tsx,html,htm}'],
+    wcag: WCAG,
+    visitors: {
+        // style={{ color: isOverBudget ? 'red' : 'green' }}
+        JSXAttribute: node => node.name.name === 'style' && node.value &&
+            node.value.type === 'JSXExpressionContainer' &&
+            node.value.expression.type === 'ObjectExpression' &&
+            node.value.expression.properties.some(property => property.type === 'ObjectProperty' &&
+                COLOR_PROPERTIES.has(propertyName(property.key)) && isConditional(property.value)),
+        // element.style.color = isOverBudget ? 'red' : 'green';
+        AssignmentExpression: node => node.left.type === 'MemberExpression' &&
+            COLOR_PROPERTIES.has(propertyName(node.left.property)) &&
+            node.left.object.type === 'MemberExpression' && propertyName(node.left.object.property) === 'style' &&
+            isConditional(node.right)
+    },
+    // <span class="status-dot green"></span> with nothing else to read
+    scan: (source, { filePath }) => (isHtmlFile(filePath) ? findTags(source) : [])
+        .filter(tag => typeof tag.attributes.get('class') === 'string' && STATUS_CLASS.test(tag.attributes.get('class')))
+        .filter(tag => !['aria-label', 'aria-labelledby', 'title', 'role'].some(name => tag.attributes.has(name)))
+        .filter(tag => new RegExp(`^\\s*</${tag.name}\\s*>`, 'i').test(source.slice(tag.end)))
+        .map(tag => ({ line: tag.line })),
+    comment: {
+        issue: 'Status is conveyed by color alone',
+        context: `A change of color is the only sign of this state, so users who can't tell red from green, or who use a screen reader, miss it. Fails ${citeWcag(WCAG)}.`,
+        suggestion: 'Pair the color with text, an icon with a text alternative, or a visually hidden label',
+        codeExamples: [`<span className={overBudget ? 'status status--error' : 'status status--ok'}>\n  {overBudget ? 'Over budget' : 'On track'}\n</span>`],
+        codeLanguage: 'jsx',
+        actionItems: ['Add text or an icon that states the status'],
+        tldr: 'Don\'t rely on color alone'
+    }
+};
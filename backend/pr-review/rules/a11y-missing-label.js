@@ -0,0 +1,110 @@
+/**
+ * Flags form fields in HTML and JSX without an accessible name, which screen readers
+ * announce only as "edit text"
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { walk, getJsxElement } = require('../ast-analysis');
+const { isHtmlFile, findTags, findElementSpans } = require('../html-analysis');
+const { citeWcag } = require('../accessibility');
+
+const WCAG = ['1.3.1', '3.3.2', '4.1.2'];
+
+const FORM_FIELDS = new Set(['input', 'select', 'textarea']);
+
+// Input types that are labeled by their value or not shown at all
+const SELF_LABELED_TYPES = new Set(['hidden', 'submit', 'reset', 'button', 'image']);
+
+// Ids targeted by <label htmlFor> in each parsed file
+const jsxLabelTargets = new WeakMap();
+
+/**
+ * Check whether an element is a form field that needs a label
+ * @param {Object} element - `{ name, attributes }` from findTags or getJsxElement
+ * @returns {boolean} - True for inputs, selects and textareas users type into or pick from
+ */
+function needsLabel(element) {
+    if (!FORM_FIELDS.has(element.name)) {
+        return false;
+    }
+    if (element.name !== 'input' || !element.attributes.has('type')) {
+        return true;
+    }
+    const type = element.attributes.get('type');
+    // A type only known at runtime might be hidden
+    return typeof type === 'string' && !SELF_LABELED_TYPES.has(type.toLowerCase());
+}
+
+/**
+ * Check whether an element names itself through ARIA or a title
+ * @param {Object} element - `{ name, attributes }` from findTags or getJsxElement
+ * @returns {boolean} - True with aria-label, aria-labelledby or title
+ */
+function hasOwnLabel(element) {
+    return ['aria-label', 'aria-labelledby', 'title'].some(name => element.attributes.has(name));
+}
+
+/**
+ * Collect the ids targeted by <label htmlFor> in a parsed file
+ * @param {Object} ast - Babel File node
+ * @returns {Set<string>} - Label targets
+ */
+function getJsxLabelTargets(ast) {
+    if (!jsxLabelTargets.has(ast)) {
+        const targets = new Set();
+        walk(ast, node => {
+            const element = node.type === 'JSXOpeningElement' ? getJsxElement(node) : null;
+            if (element && element.name === 'label' && typeof element.attributes.get('for') === 'string') {
+                targets.add(element.attributes.get('for'));
+            }
+        });
+        jsxLabelTargets.set(ast, targets);
+    }
+    return jsxLabelTargets.get(ast);
+}
+
+module.exports = {
+    id: 'a11y-missing-label',
+    severity: COMMENT_TYPES.ACCESSIBILITY,
+    files: ['**/*.{js,jsx,ts,tsx,html,htm}'],
+    wcag: WCAG,
+    visitors: {
+        JSXOpeningElement: (node, { ancestors, ast }) => {
+            const element = getJsxElement(node);
+            // Props spread onto the field may carry its label
+            if (!element || element.hasSpread || !needsLabel(element) || hasOwnLabel(element)) {
+                return false;
+            }
+            const insideLabel = ancestors.some(ancestor => ancestor.type === 'JSXElement' &&
+                ancestor.openingElement !== node &&
+                (getJsxElement(ancestor.openingElement) || {}).name === 'label');
+            const id = element.attributes.get('id');
+            if (insideLabel || (element.attributes.has('id') && (id === undefined || getJsxLabelTargets(ast).has(id)))) {
+                return false;
+            }
+            return { element: element.name };
+        }
+    },
+    scan: (source, { filePath }) => {
+        if (!isHtmlFile(filePath)) {
+            return [];
+        }
+        const labelSpans = findElementSpans(source, 'label');
+        const labeledIds = new Set(labelSpans.map(span => span.attributes.get('for')).filter(Boolean));
+
+        return findTags(source)
+            .filter(tag => needsLabel(tag) && !hasOwnLabel(tag))
+            .filter(tag => !(tag.attributes.has('id') && labeledIds.has(tag.attributes.get('id'))))
+            .filter(tag => !labelSpans.some(span => tag.start > span.start && tag.start < span.end))
+            .map(tag => ({ line: tag.line, details: { element: tag.name } }));
+    },
+    comment: (line, { element = 'input' } = {}) => ({
+        issue: `Form field \`<${element}>\` has no label`,
+        context: `A field without a label, aria-label or aria-labelledby has no accessible name, so screen reader users hear only its role. A placeholder is not a label. Fails ${citeWcag(WCAG)}.`,
+        suggestion: 'Add a `<label>` whose for (htmlFor in JSX) attribute matches the field id, or wrap the field in a `<label>`',
+        codeExamples: [`<label for="monthly-budget">Monthly budget</label>\n<input id="monthly-budget" type="number">`],
+        codeLanguage: 'html',
+        actionItems: ['Give the field a visible label linked with for/id'],
+        tldr: 'Label the form field'
+    })
+};
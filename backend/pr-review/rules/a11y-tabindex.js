@@ -0,0 +1,60 @@
+/**
+ * Flags tabindex misuse: positive values that reorder keyboard focus, and focusable
+ * elements without a role that screen readers can announce
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { getJsxElement } = require('../ast-analysis');
+const { isHtmlFile, findTags } = require('../html-analysis');
+const { citeWcag, isNativelyInteractive } = require('../accessibility');
+
+/**
+ * Check an element's tabindex
+ * @param {Object} element - `{ name, attributes }` from findTags or getJsxElement
+ * @returns {Object|null} - Details for the comment, with the criteria the problem fails
+ */
+function check(element) {
+    const tabIndex = parseInt(element.attributes.get('tabindex'), 10);
+    if (Number.isNaN(tabIndex)) {
+        return null;
+    }
+    if (tabIndex > 0) {
+        return { element: element.name, tabIndex, problem: 'positive', wcag: ['2.4.3'] };
+    }
+    if (tabIndex === 0 && !isNativelyInteractive(element) && !element.attributes.has('role')) {
+        return { element: element.name, tabIndex, problem: 'no-role', wcag: ['4.1.2'] };
+    }
+    return null;
+}
+
+module.exports = {
+    id: 'a11y-tabindex',
+    severity: COMMENT_TYPES.ACCESSIBILITY,
+    files: ['**/*.{js,jsx,ts,tsx,html,htm}'],
+    wcag: ['2.4.3', '4.1.2'],
+    visitors: {
+        JSXOpeningElement: node => {
+            const element = getJsxElement(node);
+            // Props spread onto the element may carry its role
+            return element && !element.hasSpread ? check(element) : null;
+        }
+    },
+    scan: (source, { filePath }) => (isHtmlFile(filePath) ? findTags(source) : [])
+        .map(tag => ({ line: tag.line, details: check(tag) }))
+        .filter(({ details }) => details),
+    comment: (line, { element = 'div', tabIndex, problem, wcag = ['2.4.3', '4.1.2'] } = {}) => (problem === 'no-role'
+        ? {
+            issue: `Focusable \`<${element}>\` has no role`,
+            context: `tabindex="0" puts the \`<${element}>\` in the tab order, but screen readers announce nothing about what it is or does when it receives focus. Fails ${citeWcag(wcag)}.`,
+            suggestion: 'Use a native control, or give the element a role and an accessible name',
+            actionItems: ['Add a role and accessible name, or remove tabindex'],
+            tldr: 'Give focusable elements a role'
+        }
+        : {
+            issue: `Positive tabindex${tabIndex ? ` (${tabIndex})` : ''} on \`<${element}>\``,
+            context: `A positive tabindex moves the element ahead of everything else in the tab order, so keyboard focus jumps around the page instead of following the visual order. Fails ${citeWcag(wcag)}.`,
+            suggestion: 'Use tabindex="0" and order the markup the way users should move through it',
+            actionItems: ['Replace the positive tabindex with 0 or remove it'],
+            tldr: 'Avoid positive tabindex'
+        })
+};
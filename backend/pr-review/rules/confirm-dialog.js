@@ -0,0 +1,30 @@
+/**
+ * Flags the browser's native confirm() dialog, which fails WCAG 2.1 keyboard and naming criteria
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { isCallTo } = require('../ast-analysis');
+
+module.exports = {
+    id: 'confirm-dialog',
+    severity: COMMENT_TYPES.ACCESSIBILITY,
+    files: ['**/*.{js,jsx,ts,tsx}'],
+    wcag: ['2.1.1', '4.1.2'],
+    // Line fallback for files that fail to parse
+    match: line => /(?:^|[^\w.]|window\.)confirm\(/.test(line),
+    visitors: {
+        CallExpression: node => isCallTo(node, null, ['confirm']) &&
+            (node.callee.type === 'Identifier' || isCallTo(node, 'window', ['confirm']))
+    },
+    comment: {
+        issue: 'Using browser\'s native confirm() dialog lacks proper accessibility support (WCAG 2.1)',
+        context: 'Native browser dialogs cannot be styled, lack keyboard navigation control, and are not properly announced by screen readers. This creates barriers for users with disabilities and fails WCAG 2.1 success criteria 2.1.1 (Keyboard) and 4.1.2 (Name, Role, Value).',
+        suggestion: 'Replace with a custom dialog component with proper ARIA attributes',
+        codeExamples: [
+            `showAccessibleConfirmDialog('Are you sure?', () => {\n  // action on confirm\n});`,
+            `// Promise-based API for more complex flows\nshowConfirmDialog('Are you sure?')\n  .then(() => {\n    // action on confirm\n  })\n  .catch(() => {\n    // action on cancel\n  });`
+        ],
+        actionItems: ['Replace native confirm() with accessible custom dialog'],
+        tldr: 'Replace confirm() with accessible dialog for WCAG compliance'
+    }
+};
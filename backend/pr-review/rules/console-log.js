@@ -0,0 +1,66 @@
+/**
+ * Flags development console.log statements left in production code
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { isCallTo } = require('../ast-analysis');
+
+// A line holding nothing but a console.log statement
+const STANDALONE_LOG = /^\s*console\.log\([^;]*\);?\s*$/;
+
+/**
+ * Find the lines a console.log statement takes up, if it can be deleted without touching other code
+ * @param {Object} node - console.log call
+ * @param {Object[]} ancestors - Nodes enclosing the call, outermost first
+ * @returns {Object|null} - `{ startLine, endLine }` of the statement, or null
+ */
+function findRemovableStatement(node, ancestors) {
+    const statement = ancestors[ancestors.length - 1];
+    const block = ancestors[ancestors.length - 2];
+    if (!statement || statement.type !== 'ExpressionStatement' || statement.expression !== node ||
+        !block || !['BlockStatement', 'Program'].includes(block.type)) {
+        return null;
+    }
+
+    // Nothing else may share its first or last line: no sibling statement and no brace of the block
+    const index = block.body.indexOf(statement);
+    const previous = block.body[index - 1];
+    const next = block.body[index + 1];
+    const startLine = statement.loc.start.line;
+    const endLine = statement.loc.end.line;
+    if ((previous && previous.loc.end.line >= startLine) || (next && next.loc.start.line <= endLine) ||
+        (block.type === 'BlockStatement' && (block.loc.start.line >= startLine || block.loc.end.line <= endLine))) {
+        return null;
+    }
+    return { startLine, endLine };
+}
+
+module.exports = {
+    id: 'console-log',
+    severity: COMMENT_TYPES.NITPICK,
+    files: ['**/*.{js,jsx,ts,tsx}'],
+    // Deleting a log statement that stands on its own lines leaves the code around it intact
+    autofix: true,
+    // Line fallback for files that fail to parse
+    match: line => line.includes('console.log('),
+    visitors: {
+        CallExpression: (node, { ancestors }) => isCallTo(node, 'console', ['log']) &&
+            ({ statement: findRemovableStatement(node, ancestors) })
+    },
+    comment: (line, details) => {
+        // Without an AST (no visitor details) only a line holding just the statement is safe to delete
+        const fromAst = Boolean(details) && 'statement' in details;
+        const statement = fromAst ? details.statement : null;
+        const removable = fromAst ? Boolean(statement) : STANDALONE_LOG.test(line);
+        return {
+            issue: 'Development console.log statements in production code',
+            context: 'Console statements are meant for debugging during development and should not be included in production code. They can expose sensitive information, impact performance, and create noise in browser consoles.',
+            suggestion: 'Remove console statements or use a proper logging library with configurable log levels',
+            codeExamples: [`logger.debug('Debug info', { level: 'development' });`],
+            // Deletes the statement
+            ...(removable ? { fix: { ...statement, lines: [] } } : {}),
+            actionItems: ['Remove console.log or replace with proper logging'],
+            tldr: 'Remove debug logs from production code'
+        };
+    }
+};
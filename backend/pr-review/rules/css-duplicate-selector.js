@@ -0,0 +1,35 @@
+/**
+ * Flags a selector that already has a rule earlier in the same stylesheet and scope,
+ * which splits an element's styles across the file
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { parseStylesheet } = require('../css-analysis');
+
+module.exports = {
+    id: 'css-duplicate-selector',
+    severity: COMMENT_TYPES.BEST_PRACTICE,
+    files: ['**/*.{css,scss,less}'],
+    scan: (source, { filePath }) => {
+        const firstLines = new Map();
+        const duplicates = [];
+
+        parseStylesheet(source, filePath).rules.forEach(rule => {
+            // The same selector inside a different @media block is intentional
+            const key = `${rule.scope}\u0000${rule.selector}`;
+            if (firstLines.has(key)) {
+                duplicates.push({ line: rule.line, details: { selector: rule.selector, firstLine: firstLines.get(key) } });
+            } else {
+                firstLines.set(key, rule.line);
+            }
+        });
+        return duplicates;
+    },
+    comment: (line, { selector, firstLine } = {}) => ({
+        issue: `Duplicate selector \`${selector}\``,
+        context: `\`${selector}\` already has a rule on line ${firstLine}. Splitting an element's styles across two rules makes it easy to miss one of them, and the later rule silently overrides any property both set.`,
+        suggestion: `Merge these declarations into the rule on line ${firstLine}`,
+        actionItems: ['Merge the duplicate rules'],
+        tldr: 'Merge duplicate selector'
+    })
+};
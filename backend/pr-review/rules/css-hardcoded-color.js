@@ -0,0 +1,50 @@
+/**
+ * Flags color literals outside variable definitions, so colors stay themeable
+ * from one place
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { parseStylesheet } = require('../css-analysis');
+
+const COLOR_LITERAL = /#[0-9a-f]{3,8}\b|\b(?:rgba?|hsla?|hwb|lab|lch|oklab|oklch)\([^()]*\)/i;
+
+/**
+ * Check whether a declaration defines a variable rather than using a color
+ * @param {string} property - Declaration property
+ * @returns {boolean} - True for custom properties and SCSS/Less variables
+ */
+function isVariableDefinition(property) {
+    return property.startsWith('--') || property.startsWith('$') || property.startsWith('@');
+}
+
+/**
+ * Find the color literal in a declaration value
+ * The fallback of var(--name, fallback) doesn't count, since the variable is used
+ * @param {string} value - Declaration value
+ * @returns {string|null} - Color literal
+ */
+function findColorLiteral(value) {
+    const withoutFallbacks = value.replace(/var\([^()]*(?:\([^()]*\)[^()]*)*\)/gi, 'var()');
+    const match = COLOR_LITERAL.exec(withoutFallbacks);
+    return match ? match[0] : null;
+}
+
+module.exports = {
+    id: 'css-hardcoded-color',
+    severity: COMMENT_TYPES.NITPICK,
+    files: ['**/*.{css,scss,less}'],
+    scan: (source, { filePath }) => parseStylesheet(source, filePath).declarations
+        .filter(declaration => !isVariableDefinition(declaration.property))
+        .map(declaration => ({ declaration, color: findColorLiteral(declaration.value) }))
+        .filter(({ color }) => color)
+        .map(({ declaration, color }) => ({ line: declaration.line, details: { property: declaration.property, color } })),
+    comment: (line, { property, color } = {}) => ({
+        issue: `Hard-coded color \`${color}\` in \`${property}\``,
+        context: 'Colors written inline have to be found and changed one by one for a rebrand or a dark theme, and drift apart over time.',
+        suggestion: 'Define the color once as a custom property and use var() here',
+        codeExamples: [`:root {\n  --color-accent: #2f80ed;\n}\n\n.badge {\n  color: var(--color-accent);\n}`],
+        codeLanguage: 'css',
+        actionItems: ['Replace the color literal with a CSS variable'],
+        tldr: 'Use a color variable'
+    })
+};
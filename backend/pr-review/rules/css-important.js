@@ -0,0 +1,27 @@
+/**
+ * Flags !important declarations, which win every specificity contest and force later
+ * overrides to use !important as well
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { parseStylesheet } = require('../css-analysis');
+
+module.exports = {
+    id: 'css-important',
+    severity: COMMENT_TYPES.BEST_PRACTICE,
+    files: ['**/*.{css,scss,less}'],
+    // Line fallback when the file can't be fetched
+    match: line => /!\s*important\b/i.test(line),
+    scan: (source, { filePath }) => parseStylesheet(source, filePath).declarations
+        .filter(declaration => /!\s*important\b/i.test(declaration.value))
+        .map(declaration => ({ line: declaration.line, details: { property: declaration.property } })),
+    comment: (line, { property } = {}) => ({
+        issue: property ? `\`!important\` on \`${property}\`` : '`!important` in a declaration',
+        context: '`!important` overrides the normal cascade, so the next change to this element needs another `!important` to win. Over time this makes styles hard to reason about and to theme.',
+        suggestion: 'Raise the specificity of the selector, or reorder the rules so this one comes later',
+        codeExamples: [`.settings-panel .save-button {\n  background-color: var(--color-primary);\n}`],
+        codeLanguage: 'css',
+        actionItems: ['Remove !important and fix the selector specificity instead'],
+        tldr: 'Avoid !important'
+    })
+};
@@ -0,0 +1,124 @@
+/**
+ * Flags document.getElementById results that are used without a null check
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { walk, isCallTo } = require('../ast-analysis');
+
+const SCOPE_TYPES = ['BlockStatement', 'Program', 'StaticBlock'];
+
+/**
+ * Check whether a member expression can become an optional chain
+ * Assignment targets, update operands and delete operands can't be optional
+ * @param {Object} member - `document.getElementById(...).x` expression
+ * @param {Object} parent - Node enclosing it
+ * @returns {boolean} - True if `?.` can be used
+ */
+function canBeOptional(member, parent) {
+    if (parent.type === 'AssignmentExpression' && parent.left === member) {
+        return false;
+    }
+    if (parent.type === 'UpdateExpression' || (parent.type === 'UnaryExpression' && parent.operator === 'delete')) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Check whether a node mentions an identifier
+ * @param {Object} node - AST node
+ * @param {string} name - Identifier name
+ * @returns {boolean} - True if the identifier appears anywhere in the node
+ */
+function mentions(node, name) {
+    let found = false;
+    walk(node, child => {
+        found = found || (child.type === 'Identifier' && child.name === name);
+    });
+    return found;
+}
+
+/**
+ * Check whether a variable is dereferenced in a scope without ever being null-checked
+ * @param {Object} scope - Block the variable is declared in
+ * @param {string} name - Variable name
+ * @returns {boolean} - True if `name.x` appears and no condition or optional chain tests `name`
+ */
+function isDereferencedUnchecked(scope, name) {
+    let dereferenced = false;
+    let checked = false;
+
+    walk(scope, node => {
+        if (node.type === 'MemberExpression' && node.object.type === 'Identifier' && node.object.name === name) {
+            dereferenced = true;
+        }
+        if ((node.type === 'OptionalMemberExpression' || node.type === 'OptionalCallExpression') &&
+            mentions(node.object || node.callee, name)) {
+            checked = true;
+        }
+        if ((node.type === 'IfStatement' || node.type === 'ConditionalExpression') && mentions(node.test, name)) {
+            checked = true;
+        }
+        if (node.type === 'LogicalExpression' && mentions(node.left, name)) {
+            checked = true;
+        }
+    });
+
+    return dereferenced && !checked;
+}
+
+module.exports = {
+    id: 'get-element-by-id',
+    severity: COMMENT_TYPES.BEST_PRACTICE,
+    files: ['**/*.{js,jsx,ts,tsx}'],
+    // Adding `?.` only changes what happens when the element is missing
+    autofix: true,
+    // Line fallback for files that fail to parse: look at the following lines to see
+    // whether the element is already null-checked
+    contextLines: 3,
+    match: (line, context) => {
+        if (!line.includes('document.getElementById')) {
+            return false;
+        }
+        const assignment = /(?:const|let|var)\s+(\w+)\s*=\s*document\.getElementById/.exec(line);
+        if (!assignment) {
+            return true;
+        }
+        const nullCheck = new RegExp(`if\\s*\\(\\s*!?\\s*${assignment[1]}\\b`);
+        return !context.after.some(next => nullCheck.test(next));
+    },
+    visitors: {
+        CallExpression: (node, { ancestors }) => {
+            if (!isCallTo(node, 'document', ['getElementById'])) {
+                return false;
+            }
+            const parent = ancestors[ancestors.length - 1];
+
+            // document.getElementById('id').value, fixed with ?. when the call ends on its line
+            if (parent.type === 'MemberExpression' && parent.object === node) {
+                const grandparent = ancestors[ancestors.length - 2];
+                const optional = !parent.computed && node.loc.end.line === node.loc.start.line &&
+                    canBeOptional(parent, grandparent);
+                return { guardColumn: optional ? node.loc.end.column : null };
+            }
+            // const element = document.getElementById('id'); ... element.value
+            if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+                const scope = [...ancestors].reverse().find(ancestor => SCOPE_TYPES.includes(ancestor.type));
+                return Boolean(scope) && isDereferencedUnchecked(scope, parent.id.name);
+            }
+            return false;
+        }
+    },
+    comment: (line, details) => ({
+        issue: 'Unhandled DOM element access',
+        context: 'Direct DOM access without checking if elements exist can lead to runtime errors if the element is not found. This is particularly problematic in dynamic applications where the DOM structure might change.',
+        suggestion: 'Add proper error handling for DOM operations',
+        codeExamples: [`const element = document.getElementById('element-id');\nif (element) {\n  element.addEventListener('click', handleClick);\n} else {\n  console.error('Element not found: element-id');\n}`],
+        // Optional chaining skips the access when the element is missing
+        ...(details && details.guardColumn !== null && line[details.guardColumn] === '.'
+            ? { fix: { lines: [`${line.slice(0, details.guardColumn)}?${line.slice(details.guardColumn)}`] } }
+            : {}),
+        actionItems: ['Add null checks for DOM element access', 'Consider using a utility function for safe element selection'],
+        tldr: 'Add error handling for DOM element access'
+    })
+};
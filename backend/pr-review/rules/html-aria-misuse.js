@@ -0,0 +1,99 @@
+/**
+ * Flags ARIA attributes that assistive technology can't use: unknown roles, misspelled aria-*
+ * attributes, and aria-hidden on elements that can still take focus (WCAG 4.1.2)
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { findTags } = require('../html-analysis');
+
+// Non-abstract roles from WAI-ARIA 1.2
+const ROLES = new Set([
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button', 'caption',
+    'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary', 'contentinfo',
+    'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis', 'feed', 'figure',
+    'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img', 'insertion', 'link', 'list',
+    'listbox', 'listitem', 'log', 'main', 'marquee', 'math', 'menu', 'menubar', 'menuitem',
+    'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation', 'none', 'note', 'option',
+    'paragraph', 'presentation', 'progressbar', 'radio', 'radiogroup', 'region', 'row',
+    'rowgroup', 'rowheader', 'scrollbar', 'search', 'searchbox', 'separator', 'slider',
+    'spinbutton', 'status', 'strong', 'subscript', 'superscript', 'switch', 'tab', 'table',
+    'tablist', 'tabpanel', 'term', 'textbox', 'time', 'timer', 'toolbar', 'tooltip', 'tree',
+    'treegrid', 'treeitem'
+]);
+
+// States and properties from WAI-ARIA 1.2
+const ARIA_ATTRIBUTES = new Set([
+    'aria-activedescendant', 'aria-atomic', 'aria-autocomplete', 'aria-braillelabel',
+    'aria-brailleroledescription', 'aria-busy', 'aria-checked', 'aria-colcount', 'aria-colindex',
+    'aria-colindextext', 'aria-colspan', 'aria-controls', 'aria-current', 'aria-describedby',
+    'aria-description', 'aria-details', 'aria-disabled', 'aria-dropeffect', 'aria-errormessage',
+    'aria-expanded', 'aria-flowto', 'aria-grabbed', 'aria-haspopup', 'aria-hidden', 'aria-invalid',
+    'aria-keyshortcuts', 'aria-label', 'aria-labelledby', 'aria-level', 'aria-live', 'aria-modal',
+    'aria-multiline', 'aria-multiselectable', 'aria-orientation', 'aria-owns', 'aria-placeholder',
+    'aria-posinset', 'aria-pressed', 'aria-readonly', 'aria-relevant', 'aria-required',
+    'aria-roledescription', 'aria-rowcount', 'aria-rowindex', 'aria-rowindextext', 'aria-rowspan',
+    'aria-selected', 'aria-setsize', 'aria-sort', 'aria-valuemax', 'aria-valuemin', 'aria-valuenow',
+    'aria-valuetext'
+]);
+
+const FOCUSABLE_ELEMENTS = new Set(['button', 'input', 'select', 'textarea', 'iframe', 'summary']);
+
+/**
+ * Check whether an element can receive keyboard focus
+ * @param {Object} tag - Tag from findTags
+ * @returns {boolean} - True for enabled form controls, links and tabindex >= 0
+ */
+function isFocusable(tag) {
+    const { attributes } = tag;
+    if (attributes.has('tabindex')) {
+        return parseInt(attributes.get('tabindex'), 10) >= 0;
+    }
+    if (attributes.has('disabled') || (tag.name === 'input' && attributes.get('type') === 'hidden')) {
+        return false;
+    }
+    return FOCUSABLE_ELEMENTS.has(tag.name) || ((tag.name === 'a' || tag.name === 'area') && attributes.has('href'));
+}
+
+/**
+ * List the ARIA problems of a tag
+ * @param {Object} tag - Tag from findTags
+ * @returns {string[]} - Problem descriptions
+ */
+function findAriaProblems(tag) {
+    const problems = [];
+    const role = tag.attributes.get('role');
+
+    if (typeof role === 'string') {
+        // The first recognized role in a space-separated list wins; none recognized means no role
+        const roles = role.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        if (!roles.some(name => ROLES.has(name))) {
+            problems.push(`\`role="${role}"\` is not a WAI-ARIA role`);
+        }
+    }
+    Array.from(tag.attributes.keys())
+        .filter(name => name.startsWith('aria-') && !ARIA_ATTRIBUTES.has(name))
+        .forEach(name => problems.push(`\`${name}\` is not an ARIA attribute`));
+    if (tag.attributes.get('aria-hidden') === 'true' && isFocusable(tag)) {
+        problems.push(`\`aria-hidden="true"\` on a focusable \`<${tag.name}>\` hides it from screen readers while keyboard users can still reach it`);
+    }
+    return problems;
+}
+
+module.exports = {
+    id: 'html-aria-misuse',
+    severity: COMMENT_TYPES.ACCESSIBILITY,
+    files: ['**/*.{html,htm}'],
+    wcag: ['4.1.2'],
+    scan: source => findTags(source)
+        .map(tag => ({ line: tag.line, details: { problems: findAriaProblems(tag) } }))
+        .filter(({ details }) => details.problems.length > 0),
+    comment: (line, { problems = [] } = {}) => ({
+        issue: 'Invalid ARIA usage (WCAG 2.1 SC 4.1.2)',
+        context: `${problems.join('; ')}. Assistive technology ignores unknown roles and attributes, so the element's name, role or state is not exposed as intended, which fails WCAG 2.1 success criterion 4.1.2 (Name, Role, Value).`,
+        suggestion: 'Use a valid WAI-ARIA role and attribute, or a native element that has the semantics built in',
+        codeExamples: [`<button type="button" aria-expanded="false" aria-controls="filters">Filters</button>`],
+        codeLanguage: 'html',
+        actionItems: ['Fix or remove the invalid ARIA role or attribute'],
+        tldr: 'Fix the invalid ARIA usage'
+    })
+};
@@ -0,0 +1,27 @@
+/**
+ * Flags images without an alt attribute, which screen readers announce by file name (WCAG 1.1.1)
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { findTags } = require('../html-analysis');
+
+module.exports = {
+    id: 'html-img-alt',
+    severity: COMMENT_TYPES.ACCESSIBILITY,
+    files: ['**/*.{html,htm}'],
+    wcag: ['1.1.1'],
+    // Line fallback when the file can't be fetched
+    match: line => /<img\b(?![^>]*\balt\s*=)[^>]*>/i.test(line),
+    scan: source => findTags(source)
+        .filter(tag => (tag.name === 'img' || tag.name === 'area') && !tag.attributes.has('alt'))
+        .map(tag => ({ line: tag.line })),
+    comment: {
+        issue: 'Image is missing an alt attribute (WCAG 2.1 SC 1.1.1)',
+        context: 'Without an alt attribute, screen readers fall back to announcing the image file name. WCAG 2.1 success criterion 1.1.1 (Non-text Content) requires a text alternative for every image.',
+        suggestion: 'Describe the image in an alt attribute, or use alt="" if it is purely decorative',
+        codeExamples: [`<img src="chart.png" alt="Monthly savings rising from $200 to $450">\n<img src="divider.png" alt="">`],
+        codeLanguage: 'html',
+        actionItems: ['Add a meaningful alt text, or alt="" for decorative images'],
+        tldr: 'Add alt text to the image'
+    }
+};
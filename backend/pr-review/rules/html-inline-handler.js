@@ -0,0 +1,31 @@
+/**
+ * Flags inline event handler attributes such as onclick="...", which mix behavior into markup
+ * and are blocked by a Content Security Policy without 'unsafe-inline'
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { findTags } = require('../html-analysis');
+
+const HANDLER_ATTRIBUTE = /^on[a-z]+$/;
+
+module.exports = {
+    id: 'html-inline-handler',
+    severity: COMMENT_TYPES.BEST_PRACTICE,
+    files: ['**/*.{html,htm}'],
+    // Line fallback when the file can't be fetched
+    match: line => /<[a-z][^>]*\son[a-z]+\s*=/i.test(line),
+    scan: source => findTags(source)
+        .map(tag => ({ tag, handlers: Array.from(tag.attributes.keys()).filter(name => HANDLER_ATTRIBUTE.test(name)) }))
+        .filter(({ handlers }) => handlers.length > 0)
+        .map(({ tag, handlers }) => ({ line: tag.line, details: { element: tag.name, handlers } })),
+    comment: (line, { element, handlers } = {}) => ({
+        issue: handlers
+            ? `Inline event handler ${handlers.map(name => `\`${name}\``).join(', ')} on \`<${element}>\``
+            : 'Inline event handler attribute in markup',
+        context: 'Inline handlers run as strings of script in the global scope, are hard to test, and are blocked by any Content Security Policy that disallows \'unsafe-inline\'.',
+        suggestion: 'Attach the handler from a script with addEventListener instead',
+        codeExamples: [`document.getElementById('save-button').addEventListener('click', saveSettings);`],
+        actionItems: ['Move the handler into a script and attach it with addEventListener'],
+        tldr: 'Use addEventListener instead of inline handlers'
+    })
+};
@@ -0,0 +1,102 @@
+/**
+ * Parses changed JSON files and reports syntax errors at the line the parser failed on
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+
+// Files that are JSON with comments (JSONC) rather than strict JSON
+const JSONC_FILES = /(?:^|\/)(?:tsconfig|jsconfig)[^/]*\.json$|(?:^|\/)\.vscode\/|(?:^|\/)\.devcontainer\//;
+
+/**
+ * Check whether some text could still be the start of a valid JSON document
+ * @param {string} prefix - Start of a JSON text
+ * @returns {boolean} - True if the text parses, or only fails because it ends too early
+ */
+function isValidPrefix(prefix) {
+    try {
+        JSON.parse(prefix);
+        return true;
+    } catch (error) {
+        if (/end of JSON input/.test(error.message)) {
+            return true;
+        }
+        const position = /at position (\d+)/.exec(error.message);
+        return position !== null && parseInt(position[1], 10) >= prefix.length;
+    }
+}
+
+/**
+ * Find the line a JSON text stops being valid on
+ * Error messages don't always say where parsing failed (e.g. "Unexpected token" on Node 20
+ * and later), so the shortest invalid prefix is searched for instead
+ * @param {string} source - JSON text that fails to parse
+ * @returns {number} - 1-based line
+ */
+function errorLine(source) {
+    if (isValidPrefix(source)) {
+        // Truncated: the document ends before it is complete
+        return source.trimEnd().split('\n').length;
+    }
+    let valid = 0;
+    let invalid = source.length;
+    while (invalid - valid > 1) {
+        const middle = Math.floor((valid + invalid) / 2);
+        if (isValidPrefix(source.slice(0, middle))) {
+            valid = middle;
+        } else {
+            invalid = middle;
+        }
+    }
+    // The last character of the shortest invalid prefix is where parsing fails
+    return source.slice(0, invalid - 1).split('\n').length;
+}
+
+/**
+ * Turn a JSON.parse error into a one-line message without positions or the quoted input
+ * @param {Error} error - Parse error
+ * @returns {string} - Message, e.g. "Unexpected token '}'"
+ */
+function describeError(error) {
+    return error.message
+        .replace(/ in JSON at position \d+(?: \(line \d+ column \d+\))?/, '')
+        // Longer inputs are quoted as an excerpt with "..." on either side
+        .replace(/, (?:\.\.\.)?".*"(?:\.\.\.)? is not valid JSON$/s, '')
+        .replace(/\r/g, '\\r')
+        .replace(/\n/g, '\\n')
+        .replace(/\t/g, '\\t')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    id: 'json-syntax',
+    severity: COMMENT_TYPES.WARNING,
+    files: ['**/*.json'],
+    scan: (source, { filePath, lines }) => {
+        if (JSONC_FILES.test(filePath)) {
+            return [];
+        }
+        const text = source.replace(/^\uFEFF/, '');
+        try {
+            JSON.parse(text);
+            return [];
+        } catch (error) {
+            const failedAt = errorLine(text);
+            const message = describeError(error);
+
+            // Comment on the failing line when the PR added it, otherwise on the last added line before it
+            const added = Array.from(lines).sort((a, b) => a - b);
+            const line = lines.has(failedAt) ? failedAt : (added.filter(number => number < failedAt).pop() || added[0]);
+            return [{ line, details: { message, failedAt } }];
+        }
+    },
+    comment: (line, { message, failedAt } = {}) => ({
+        issue: `Invalid JSON: ${message}`,
+        context: failedAt
+            ? `The file no longer parses as JSON; the parser stopped at line ${failedAt}. Anything that reads it, from \`require\` to \`npm install\`, will fail.`
+            : 'The file no longer parses as JSON. Anything that reads it, from `require` to `npm install`, will fail.',
+        suggestion: 'Fix the syntax error; common causes are trailing commas, missing commas between entries, comments and single quotes',
+        actionItems: ['Fix the JSON syntax error'],
+        tldr: 'Fix invalid JSON'
+    })
+};
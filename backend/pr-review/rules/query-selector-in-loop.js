@@ -0,0 +1,29 @@
+/**
+ * Flags DOM queries that run on every iteration of a loop or array callback
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { isCallTo, isInsideLoop } = require('../ast-analysis');
+
+const QUERY_METHODS = ['querySelector', 'querySelectorAll', 'getElementById', 'getElementsByClassName', 'getElementsByTagName'];
+
+module.exports = {
+    id: 'query-selector-in-loop',
+    severity: COMMENT_TYPES.PERFORMANCE,
+    files: ['**/*.{js,jsx,ts,tsx}'],
+    // Needs the syntax tree to know what is inside a loop, so there is no line fallback
+    visitors: {
+        CallExpression: (node, { ancestors }) =>
+            node.callee.type !== 'Identifier' &&
+            isCallTo(node, null, QUERY_METHODS) &&
+            isInsideLoop(ancestors)
+    },
+    comment: {
+        issue: 'DOM query inside a loop',
+        context: 'This DOM query runs once per iteration. Each call walks the document again, so the cost grows with both the loop size and the page size, and the result is usually the same every time.',
+        suggestion: 'Run the query once before the loop and reuse the result',
+        codeExamples: [`// Query once, outside the loop\nconst list = document.querySelector('.list');\nitems.forEach(item => {\n  list.appendChild(renderItem(item));\n});`],
+        actionItems: ['Move the DOM query out of the loop body'],
+        tldr: 'Hoist DOM queries out of loops'
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * Flags repeated querySelector calls whose results should be cached
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+const { isCallTo } = require('../ast-analysis');
+
+module.exports = {
+    id: 'query-selector',
+    severity: COMMENT_TYPES.PERFORMANCE,
+    files: ['**/*.{js,jsx,ts,tsx}'],
+    // Line fallback for files that fail to parse
+    match: line => /querySelector.*\(.*\)/.test(line),
+    visitors: {
+        CallExpression: node => isCallTo(node, 'document', ['querySelector', 'querySelectorAll'])
+    },
+    comment: {
+        issue: 'Potential performance issue with repeated DOM queries',
+        context: 'Repeatedly querying the DOM for the same elements can impact performance, especially in event handlers or loops. DOM queries are expensive operations that should be minimized.',
+        suggestion: 'Cache DOM references when elements are used multiple times',
+        codeExamples: [`// Cache DOM references\nconst form = document.getElementById('form');\nconst submitButton = form.querySelector('.submit');\n\n// Use cached references\nsubmitButton.addEventListener('click', () => {\n  // Use form and submitButton\n});`],
+        actionItems: ['Cache DOM references outside of functions/loops', 'Use event delegation for dynamic elements'],
+        tldr: 'Cache DOM references for better performance'
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * Flags TODO/FIXME comments that should be resolved or tracked before merging
+ */
+
+const { COMMENT_TYPES } = require('../comment-types');
+
+// A TODO that names its issue, e.g. "TODO(#45)" or a link to the issue, is already tracked
+const TRACKED = /#\d+|\/issues\/\d+/;
+
+module.exports = {
+    id: 'todo-comment',
+    severity: COMMENT_TYPES.WARNING,
+    files: ['**/*.{js,jsx,ts,tsx}'],
+    // Its only fixes point the comment at the issue opened for it (see todo-issues.js)
+    autofix: true,
+    // Line fallback for files that fail to parse
+    match: line => /TODO|FIXME/.test(line) && !TRACKED.test(line),
+    // Only comments count; a "TODO" inside a string or identifier is not a note to self
+    visitors: {
+        CommentLine: node => /\b(?:TODO|FIXME)\b/.test(node.value) && !TRACKED.test(node.value),
+        CommentBlock: node => /\b(?:TODO|FIXME)\b/.test(node.value) && !TRACKED.test(node.value)
+    },
+    comment: {
+        issue: 'TODO/FIXME comments in production code',
+        context: 'TODO and FIXME comments indicate incomplete work or known issues that should be addressed before code is merged to production. Leaving these comments in the codebase creates technical debt and can lead to forgotten issues.',
+        suggestion: 'Address these comments before merging or create proper tracking issues in your issue management system',
+        codeExamples: [`// TODO(#<issue number>): Implement feature X`],
+        actionItems: ['Address TODO/FIXME comments or create tracking issues'],
+        tldr: 'Resolve or track TODO comments'
+    }
+};
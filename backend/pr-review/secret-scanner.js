@@ -0,0 +1,223 @@
+/**
+ * Secret Scanner
+ * Finds credentials in the lines a PR adds using provider-specific patterns and
+ * entropy scoring, and reports them without ever echoing the secret itself
+ */
+
+const { minimatch } = require('minimatch');
+
+const { COMMENT_TYPES } = require('./comment-types');
+const { createFinding } = require('./findings');
+
+const SECRET_RULE_ID = 'hardcoded-secret';
+
+// Provider-specific patterns; `group` is the capture group holding the secret value and
+// `showValue` marks values that identify the secret without revealing it
+const SECRET_PATTERNS = [
+    { id: 'github-token', name: 'GitHub token', pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,255})\b/, group: 1 },
+    { id: 'github-fine-grained-token', name: 'GitHub fine-grained token', pattern: /\b(github_pat_[A-Za-z0-9_]{60,255})\b/, group: 1 },
+    { id: 'aws-access-key-id', name: 'AWS access key ID', pattern: /\b((?:AKIA|ASIA)[0-9A-Z]{16})\b/, group: 1 },
+    { id: 'aws-secret-access-key', name: 'AWS secret access key', pattern: /aws_?secret_?access_?key['"]?\s*[:=]\s*['"]?([A-Za-z0-9/+=]{40})\b/i, group: 1 },
+    { id: 'private-key', name: 'private key', pattern: /(-----BEGIN (?:[A-Z]+ )*PRIVATE KEY(?: BLOCK)?-----)/, group: 1, showValue: true },
+    { id: 'jwt', name: 'JSON Web Token', pattern: /\b(eyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/, group: 1 },
+    { id: 'connection-string', name: 'connection string with a password', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:@/'"`]+:([^\s@/'"`]+)@[^\s'"`]+/i, group: 1 },
+    { id: 'slack-token', name: 'Slack token', pattern: /\b(xox[abposr]-[A-Za-z0-9-]{10,})\b/, group: 1 },
+    { id: 'stripe-key', name: 'Stripe secret key', pattern: /\b((?:sk|rk)_live_[A-Za-z0-9]{20,})\b/, group: 1 },
+    { id: 'google-api-key', name: 'Google API key', pattern: /\b(AIza[0-9A-Za-z_-]{35})\b/, group: 1 }
+];
+
+// A quoted value assigned to a name that suggests a credential, e.g. apiKey = "..."
+const SECRET_ASSIGNMENT = /\b[\w.-]*(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|auth[_-]?key|credential|private[_-]?key)[\w.-]*['"]?\s*[:=]\s*['"`]([^'"`\s]{12,})['"`]/i;
+
+// Values that are obviously placeholders rather than real credentials
+const PLACEHOLDER = /^(?:\$\{.*\}|<.*>|%.*%|\{\{.*\}\}|process\.env.*|(?:x+|\*+|changeme|password|your[_-].*|example.*|dummy.*|test.*|placeholder.*))$/i;
+
+// Minimum Shannon entropy (bits per character) for an assigned value to look random
+const MIN_ENTROPY = 3.5;
+
+/**
+ * Compute the Shannon entropy of a string
+ * @param {string} value - String to score
+ * @returns {number} - Bits of entropy per character
+ */
+function shannonEntropy(value) {
+    const counts = new Map();
+    for (const char of value) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let entropy = 0;
+    counts.forEach(count => {
+        const probability = count / value.length;
+        entropy -= probability * Math.log2(probability);
+    });
+    return entropy;
+}
+
+// Shown in place of a secret; nothing of the value is kept, since even a few
+// characters narrow down a short secret
+const REDACTED = '********';
+
+/**
+ * Look for every secret in a single line
+ * @param {string} line - Source line
+ * @returns {Object[]} - `{ id, name, value, showValue }` of each detected secret, provider
+ *   patterns first
+ */
+function detectSecrets(line) {
+    const secrets = [];
+    for (const { id, name, pattern, group, showValue } of SECRET_PATTERNS) {
+        for (const match of line.matchAll(new RegExp(pattern.source, `${pattern.flags}g`))) {
+            if (!PLACEHOLDER.test(match[group])) {
+                secrets.push({ id, name, value: match[group], showValue: Boolean(showValue) });
+            }
+        }
+    }
+
+    for (const assignment of line.matchAll(new RegExp(SECRET_ASSIGNMENT.source, `${SECRET_ASSIGNMENT.flags}g`))) {
+        if (!PLACEHOLDER.test(assignment[1]) && shannonEntropy(assignment[1]) >= MIN_ENTROPY) {
+            secrets.push({ id: 'high-entropy-secret', name: 'hardcoded credential', value: assignment[1], showValue: false });
+        }
+    }
+    return secrets;
+}
+
+/**
+ * Compile the allowlist of a review config
+ * @param {Object} secretsConfig - `secrets` section of the review config
+ * @returns {{ patterns: RegExp[], paths: string[] }} - Compiled allowlist
+ */
+function compileAllowlist(secretsConfig) {
+    return {
+        patterns: secretsConfig.allowlist.map(source => new RegExp(source)),
+        paths: secretsConfig.ignorePaths
+    };
+}
+
+/**
+ * Check whether the secret scanner skips a file
+ * @param {string} filePath - File path
+ * @param {Object} allowlist - Compiled allowlist
+ * @returns {boolean} - True if the path matches `secrets.ignorePaths`
+ */
+function isIgnoredPath(filePath, allowlist) {
+    return allowlist.paths.some(glob => minimatch(filePath, glob, { dot: true }));
+}
+
+/**
+ * Check whether a detected secret matches `secrets.allowlist`
+ * @param {Object} secret - Detected secret
+ * @param {Object} allowlist - Compiled allowlist
+ * @returns {boolean} - True if the value is allowlisted
+ */
+function isAllowlisted(secret, allowlist) {
+    return allowlist.patterns.some(pattern => pattern.test(secret.value));
+}
+
+/**
+ * Mask every secret in a line
+ * @param {string} line - Source line
+ * @param {Object} allowlist - Compiled allowlist
+ * @returns {string} - Line with each detected, non-allowlisted value redacted
+ */
+function maskLine(line, allowlist) {
+    // Longest first, so a value that contains another one is masked whole
+    return detectSecrets(line)
+        .filter(secret => !secret.showValue && !isAllowlisted(secret, allowlist))
+        .sort((a, b) => b.value.length - a.value.length)
+        .reduce((masked, secret) => masked.split(secret.value).join(REDACTED), line);
+}
+
+/**
+ * Mask the secrets in text taken from a file, such as a quoted line or a diff hunk
+ * Values are detected the same way scanForSecrets does, so allowlisted values and
+ * ignored paths are left as they are
+ * @param {string} text - Text, one or more lines
+ * @param {string} filePath - File the text comes from
+ * @param {Object} secretsConfig - `secrets` section of the review config
+ * @returns {string} - Text with the secrets redacted
+ */
+function maskSecrets(text, filePath, secretsConfig) {
+    const allowlist = compileAllowlist(secretsConfig);
+    if (isIgnoredPath(filePath, allowlist)) {
+        return text;
+    }
+    return text.split('\n').map(line => maskLine(line, allowlist)).join('\n');
+}
+
+/**
+ * Mask the secrets in the source lines that findings quote, before they are exported
+ * Any rule can report a line that also holds a credential, not just the secret scanner
+ * @param {Object[]} findings - Review findings
+ * @param {Object} secretsConfig - `secrets` section of the review config
+ * @returns {Object[]} - Findings with masked `snippet` and `comment.lineContent`
+ */
+function scrubFindings(findings, secretsConfig) {
+    const mask = (text, filePath) => (typeof text === 'string' ? maskSecrets(text, filePath, secretsConfig) : text);
+    return findings.map(finding => {
+        const snippet = mask(finding.snippet, finding.path);
+        const lineContent = finding.comment ? mask(finding.comment.lineContent, finding.path) : undefined;
+        if (snippet === finding.snippet && (!finding.comment || lineContent === finding.comment.lineContent)) {
+            return finding;
+        }
+        return {
+            ...finding,
+            snippet,
+            ...(finding.comment ? { comment: { ...finding.comment, lineContent } } : {})
+        };
+    });
+}
+
+/**
+ * Scan the added lines of a file for secrets
+ * @param {string} filePath - File path
+ * @param {Object[]} lines - Added lines as `{ line, content }`
+ * @param {Object} secretsConfig - `secrets` section of the review config
+ * @returns {Object[]} - SECURITY findings with redacted values
+ */
+function scanForSecrets(filePath, lines, secretsConfig) {
+    const allowlist = compileAllowlist(secretsConfig);
+    if (isIgnoredPath(filePath, allowlist)) {
+        return [];
+    }
+
+    const findings = [];
+    lines.forEach(({ line, content }) => {
+        // An allowlisted value doesn't hide a real secret later on the same line
+        const secret = detectSecrets(content).find(candidate => !isAllowlisted(candidate, allowlist));
+        if (!secret) {
+            return;
+        }
+
+        const masked = secret.showValue ? secret.value : REDACTED;
+        findings.push(createFinding({
+            ruleId: SECRET_RULE_ID,
+            severity: COMMENT_TYPES.SECURITY,
+            path: filePath,
+            line,
+            message: `Possible ${secret.name} committed to the repository`,
+            comment: {
+                issue: `Possible ${secret.name} committed to the repository`,
+                context: `This line contains a value that looks like a ${secret.name} (\`${masked}\`, ${secret.value.length} characters, detected by \`${secret.id}\`). Anything pushed to git history should be treated as leaked, even if a later commit removes it.`,
+                suggestion: 'Revoke and rotate this credential, then load it from an environment variable or a secret manager',
+                codeExamples: [`const apiKey = process.env.API_KEY;`],
+                actionItems: ['Revoke and rotate the exposed credential', 'Load the value from the environment instead of source'],
+                tldr: 'Remove the hardcoded secret and rotate it'
+            },
+            // Keep the raw value out of exports and baselines
+            snippet: maskLine(content, allowlist)
+        }));
+    });
+
+    return findings;
+}
+
+module.exports = {
+    SECRET_RULE_ID,
+    SECRET_PATTERNS,
+    REDACTED,
+    shannonEntropy,
+    detectSecrets,
+    maskSecrets,
+    scrubFindings,
+    scanForSecrets
+};
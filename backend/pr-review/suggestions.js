@@ -0,0 +1,166 @@
+/**
+ * Suggestion Blocks
+ * Turns the fixes findings propose into GitHub suggestions that replace an exact range
+ * of lines, and checks that each one applies cleanly before it is posted
+ *
+ * A comment can propose a fix in two ways:
+ * - `fix: { startLine, endLine, lines }` replaces lines startLine..endLine of the head file
+ *   with `lines`; the range defaults to the commented line, and an empty `lines` deletes it
+ * - `lineSuggestions: { fragment: replacement }` rewrites the commented line, replacing the
+ *   first fragment that occurs in it
+ */
+
+const { isParsable, parsesCleanly } = require('./ast-analysis');
+
+/**
+ * Rewrite a line by replacing a fragment of it
+ * @param {string} content - Line content
+ * @param {Object} lineSuggestions - Replacements keyed by the fragment they replace
+ * @returns {string|null} - Rewritten line, or null when no fragment occurs in the line
+ */
+function rewriteLine(content, lineSuggestions) {
+    const fragment = Object.keys(lineSuggestions || {}).find(key => content.includes(key));
+    if (fragment === undefined) {
+        return null;
+    }
+    const rewritten = content.replace(fragment, () => lineSuggestions[fragment]);
+    return rewritten !== content ? rewritten : null;
+}
+
+/**
+ * Work out the suggestion a finding proposes
+ * @param {Object} finding - Review finding
+ * @returns {Object|null} - `{ startLine, endLine, lines }`, or null if the finding proposes no fix
+ */
+function buildSuggestion(finding) {
+    const comment = finding.comment;
+    if (!comment || !finding.line) {
+        return null;
+    }
+
+    if (comment.fix) {
+        const startLine = comment.fix.startLine || finding.line;
+        return {
+            startLine,
+            endLine: comment.fix.endLine || startLine,
+            lines: comment.fix.lines
+        };
+    }
+    if (comment.lineSuggestions && typeof comment.lineContent === 'string') {
+        const rewritten = rewriteLine(comment.lineContent, comment.lineSuggestions);
+        return rewritten !== null ? { startLine: finding.line, endLine: finding.line, lines: rewritten.split('\n') } : null;
+    }
+    return null;
+}
+
+/**
+ * Check that a suggestion can be committed as posted
+ * GitHub only accepts a suggestion on lines of a single hunk, and it must still match the
+ * head version of the file; for JS/TS files the result has to parse as well, so without the
+ * head version their suggestions are rejected
+ * @param {Object} suggestion - Suggestion from buildSuggestion
+ * @param {Object} file - File the suggestion is for
+ * @param {string} file.path - File path
+ * @param {Object} file.diff - File entry from the diff parser (or `{ hunks }`)
+ * @param {string|null} [file.source] - Head version of the file, when known
+ * @returns {string|null} - Why the suggestion doesn't apply, or null if it does
+ */
+function checkSuggestion(suggestion, { path: filePath, diff, source = null }) {
+    const { startLine, endLine, lines } = suggestion;
+    if (!Number.isInteger(startLine) || !Number.isInteger(endLine) || endLine < startLine) {
+        return `invalid line range ${startLine}-${endLine}`;
+    }
+    if (!Array.isArray(lines) || lines.some(line => typeof line !== 'string' || line.includes('\n'))) {
+        return 'replacement must be a list of lines';
+    }
+
+    // Every line of the range has to be on the RIGHT side of one hunk
+    const hunk = diff.hunks.find(candidate => candidate.lines.some(diffLine => diffLine.newLine === startLine));
+    const rangeLines = hunk
+        ? hunk.lines.filter(diffLine => diffLine.newLine !== null && diffLine.newLine >= startLine && diffLine.newLine <= endLine)
+        : [];
+    if (rangeLines.length !== endLine - startLine + 1) {
+        return `lines ${startLine}-${endLine} are not all in one hunk of the diff`;
+    }
+    const original = rangeLines.map(diffLine => diffLine.content);
+
+    if (original.length === lines.length && original.every((line, index) => line === lines[index])) {
+        return 'replacement is identical to the current lines';
+    }
+
+    if (source === null && isParsable(filePath)) {
+        return 'the head version of the file could not be read to check that it still parses';
+    }
+    if (source !== null) {
+        const sourceLines = source.split('\n');
+        const current = sourceLines.slice(startLine - 1, endLine).map(line => line.replace(/\r$/, ''));
+        if (current.length !== original.length || current.some((line, index) => line !== original[index])) {
+            return `lines ${startLine}-${endLine} changed since the diff was taken`;
+        }
+        if (isParsable(filePath) && parsesCleanly(filePath, source)) {
+            const patched = [...sourceLines.slice(0, startLine - 1), ...lines, ...sourceLines.slice(endLine)].join('\n');
+            if (!parsesCleanly(filePath, patched)) {
+                return 'the file would no longer parse';
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Attach checked suggestions to findings
+ * A finding whose suggestion applies gets `comment.replacement` and, for ranges of more than
+ * one line, `startLine`, with `line` moved to the end of the range as GitHub expects. A
+ * suggestion that doesn't apply is dropped; a non-empty one is shown as an example instead
+ * @param {Object[]} findings - Review findings
+ * @param {Function} getFile - Async function returning `{ path, diff, source }` for a path
+ * @returns {Promise<Object[]>} - Findings, with suggestions where they apply
+ */
+async function attachSuggestions(findings, getFile) {
+    const result = [];
+    for (const finding of findings) {
+        const suggestion = buildSuggestion(finding);
+        if (!suggestion) {
+            result.push(finding);
+            continue;
+        }
+
+        const problem = checkSuggestion(suggestion, await getFile(finding.path));
+        const { fix, lineSuggestions, ...comment } = finding.comment;
+        if (problem) {
+            console.log(`Dropping suggestion for ${finding.path}:${finding.line} (${finding.ruleId}): ${problem}`);
+            if (suggestion.lines.length > 0 && !(comment.codeExamples && comment.codeExamples.length > 0)) {
+                comment.codeExamples = [suggestion.lines.join('\n')];
+            }
+            result.push({ ...finding, comment });
+            continue;
+        }
+
+        result.push({
+            ...finding,
+            line: suggestion.endLine,
+            startLine: suggestion.startLine < suggestion.endLine ? suggestion.startLine : null,
+            comment: { ...comment, replacement: suggestion.lines }
+        });
+    }
+    return result;
+}
+
+/**
+ * Render a GitHub suggestion block
+ * @param {string[]} lines - Replacement lines; none deletes the commented lines
+ * @returns {string} - Markdown block, fenced so backticks in the code can't close it
+ */
+function formatSuggestionBlock(lines) {
+    const longestRun = Math.max(2, ...lines.map(line => Math.max(0, ...(line.match(/`+/g) || []).map(run => run.length))));
+    const fence = '`'.repeat(longestRun + 1);
+    return `${fence}suggestion\n${lines.map(line => `${line}\n`).join('')}${fence}`;
+}
+
+module.exports = {
+    rewriteLine,
+    buildSuggestion,
+    checkSuggestion,
+    attachSuggestions,
+    formatSuggestionBlock
+};
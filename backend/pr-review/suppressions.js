@@ -0,0 +1,157 @@
+/**
+ * Inline Suppressions
+ * Reads `windlens-ignore-next-line` and `windlens-disable` directives from source
+ * so authors can waive specific findings, and keeps track of what was waived
+ */
+
+const { COMMENT_TYPES } = require('./comment-types');
+
+// A directive inside a line or block comment, e.g.
+//   // windlens-ignore-next-line console-log, todo-comment -- logged on purpose
+//   /* windlens-disable */
+//   <!-- windlens-disable query-selector -->
+// The directive name has to end at whitespace or the end of the comment, so a misspelled one
+// like `windlens-disable-next-line` isn't read as `windlens-disable` for a rule `-next-line`
+const DIRECTIVE_PATTERN = /(?:\/\/|\/\*|#|<!--)\s*windlens-(ignore-next-line|disable)(?=\s|\*\/|-->|$)(.*?)(?:\*\/|-->|$)/;
+
+/**
+ * Parse a single source line for a suppression directive
+ * @param {string} content - Source line
+ * @returns {Object|null} - `{ kind, ruleIds, reason }`, or null if the line has no directive;
+ *   an empty `ruleIds` list means every rule
+ */
+function parseDirective(content) {
+    const match = DIRECTIVE_PATTERN.exec(content);
+    if (!match) {
+        return null;
+    }
+
+    const [ruleText, ...reasonParts] = match[2].split(' -- ');
+    return {
+        kind: match[1],
+        ruleIds: ruleText.split(/[\s,]+/).filter(Boolean),
+        reason: reasonParts.join(' -- ').trim() || null
+    };
+}
+
+/**
+ * Collect the directives of a file
+ * @param {Object[]} lines - Source lines as `{ line, content }` (RIGHT-side line numbers)
+ * @param {Set<number>} [addedLines] - Lines the PR adds; directives on them are marked `added`
+ * @returns {Object[]} - Directives with the line they appear on
+ */
+function collectDirectives(lines, addedLines = new Set()) {
+    const directives = [];
+    lines.forEach(({ line, content }) => {
+        const directive = parseDirective(content);
+        if (directive) {
+            directives.push({ ...directive, line, added: addedLines.has(line) });
+        }
+    });
+    return directives;
+}
+
+/**
+ * Keep only the directives that are inside a comment of a parsed JS/TS file
+ * The line patterns also match directive text in string literals, e.g. `'// windlens-disable'`
+ * @param {Object[]} directives - Directives from collectDirectives
+ * @param {Object} ast - Babel File node of the same file
+ * @returns {Object[]} - Directives on lines covered by a comment mentioning windlens
+ */
+function filterCommentDirectives(directives, ast) {
+    const commentLines = new Set();
+    (ast.comments || [])
+        .filter(comment => comment.value.includes('windlens-'))
+        .forEach(comment => {
+            for (let line = comment.loc.start.line; line <= comment.loc.end.line; line++) {
+                commentLines.add(line);
+            }
+        });
+    return directives.filter(directive => commentLines.has(directive.line));
+}
+
+/**
+ * Split a file's text into numbered lines for collectDirectives
+ * @param {string} text - File contents
+ * @returns {Object[]} - Lines as `{ line, content }`
+ */
+function numberLines(text) {
+    return text.split('\n').map((content, index) => ({ line: index + 1, content }));
+}
+
+/**
+ * Find the directive that waives a finding, if any
+ * @param {Object} finding - Review finding
+ * @param {Object[]} directives - Directives of the finding's file
+ * @returns {Object|null} - Matching directive
+ */
+function findSuppression(finding, directives) {
+    const coversRule = directive =>
+        directive.ruleIds.length === 0 || directive.ruleIds.includes(finding.ruleId);
+
+    return directives.find(directive => {
+        if (!coversRule(directive)) {
+            return false;
+        }
+        // Security findings block the PR, so a PR can't waive them itself: only a directive that
+        // names the rule and was already there before the PR counts
+        if (finding.severity === COMMENT_TYPES.SECURITY && (directive.ruleIds.length === 0 || directive.added)) {
+            return false;
+        }
+        if (directive.kind === 'disable') {
+            return true;
+        }
+        return finding.line !== null && directive.line === finding.line - 1;
+    }) || null;
+}
+
+/**
+ * Drop the findings waived by inline directives
+ * @param {Object[]} findings - Review findings
+ * @param {Map<string, Object[]>} directivesByPath - Directives of each file
+ * @returns {{ kept: Object[], suppressed: Object[] }} - Remaining findings, and the waived
+ *   ones as `{ finding, directive }`
+ */
+function applySuppressions(findings, directivesByPath) {
+    const kept = [];
+    const suppressed = [];
+
+    findings.forEach(finding => {
+        const directive = findSuppression(finding, directivesByPath.get(finding.path) || []);
+        if (directive) {
+            suppressed.push({ finding, directive });
+        } else {
+            kept.push(finding);
+        }
+    });
+
+    return { kept, suppressed };
+}
+
+/**
+ * Render the list of waived findings for the review summary
+ * @param {Object[]} suppressed - Waived findings from applySuppressions
+ * @returns {string} - Markdown section, or an empty string if nothing was waived
+ */
+function formatSuppressionSummary(suppressed) {
+    if (suppressed.length === 0) {
+        return '';
+    }
+
+    let output = `### Suppressed Findings\n`;
+    suppressed.forEach(({ finding, directive }) => {
+        const location = finding.line ? `${finding.path}:${finding.line}` : finding.path;
+        const reason = directive.reason ? `: ${directive.reason}` : '';
+        output += `- \`${finding.ruleId}\` at ${location} (\`windlens-${directive.kind}\` on line ${directive.line}${reason})\n`;
+    });
+    return output;
+}
+
+module.exports = {
+    parseDirective,
+    collectDirectives,
+    filterCommentDirectives,
+    numberLines,
+    applySuppressions,
+    formatSuppressionSummary
+};
@@ -0,0 +1,136 @@
+/**
+ * Test Coverage Heuristic
+ * Flags production files a PR changes without touching any of their tests, and checks
+ * the PR template's tests checkbox against the test files the PR actually contains
+ */
+
+const path = require('path');
+const { minimatch } = require('minimatch');
+
+const { COMMENT_TYPES } = require('./comment-types');
+const { createFinding } = require('./findings');
+const { parseSections } = require('./pr-template');
+
+const MISSING_TESTS_RULE_ID = 'missing-tests';
+
+// Checkbox of the PR template that claims tests were written
+const TESTS_CHECKBOX = /\btests?\b/i;
+
+/**
+ * Check whether a path matches any of some globs
+ * @param {string} filePath - File path
+ * @param {string[]} globs - Glob patterns
+ * @returns {boolean} - True on the first match
+ */
+function matchesAny(filePath, globs) {
+    return globs.some(glob => minimatch(filePath, glob, { dot: true }));
+}
+
+/**
+ * Check whether a file is a test
+ * @param {string} filePath - File path
+ * @param {Object} testsConfig - `tests` section of the review config
+ * @returns {boolean} - True for test files
+ */
+function isTestFile(filePath, testsConfig) {
+    return matchesAny(filePath, testsConfig.testFiles);
+}
+
+/**
+ * Check whether a file is production code that should come with tests
+ * @param {string} filePath - File path
+ * @param {Object} testsConfig - `tests` section of the review config
+ * @returns {boolean} - True for source files that aren't tests or ignored
+ */
+function isSourceFile(filePath, testsConfig) {
+    return matchesAny(filePath, testsConfig.sources) &&
+        !matchesAny(filePath, testsConfig.ignore) &&
+        !isTestFile(filePath, testsConfig);
+}
+
+/**
+ * Build the globs a source file's tests are expected to match
+ * @param {string} filePath - Source file path
+ * @param {string[]} mappings - Mapping templates
+ * @returns {string[]} - Globs with {dir}, {name} and {ext} filled in
+ */
+function expectedTestGlobs(filePath, mappings) {
+    const dir = path.posix.dirname(filePath);
+    const ext = path.posix.extname(filePath);
+    const name = path.posix.basename(filePath, ext);
+
+    return mappings.map(mapping => mapping
+        // Files at the repository root have no directory to prefix
+        .replace(/^\{dir\}\//, dir === '.' ? '' : '{dir}/')
+        .replace(/\{dir\}/g, dir)
+        .replace(/\{name\}/g, name)
+        .replace(/\{ext\}/g, ext.slice(1)));
+}
+
+/**
+ * Find the production files of a PR that changed without a matching test change
+ * @param {Object[]} files - PR files from get_pull_request_files
+ * @param {Object} testsConfig - `tests` section of the review config
+ * @returns {{ findings: Object[], testFiles: string[] }} - One finding per untested file, and the
+ *   test files the PR changes
+ */
+function checkTestCoverage(files, testsConfig) {
+    const changed = files.filter(file => file.status !== 'removed');
+    const testFiles = changed.map(file => file.filename).filter(filePath => isTestFile(filePath, testsConfig));
+
+    const findings = changed
+        .filter(file => file.additions > 0 && isSourceFile(file.filename, testsConfig))
+        .filter(file => {
+            const globs = expectedTestGlobs(file.filename, testsConfig.mappings);
+            return !testFiles.some(testFile => matchesAny(testFile, globs));
+        })
+        .map(file => createFinding({
+            ruleId: MISSING_TESTS_RULE_ID,
+            severity: COMMENT_TYPES.BEST_PRACTICE,
+            path: file.filename,
+            message: testFiles.length > 0
+                ? `This file changed, but none of the test files in this PR cover it. Please add or update its tests.`
+                : `This file changed without any test changes in this PR. Please add or update its tests.`
+        }));
+
+    return { findings, testFiles };
+}
+
+/**
+ * Compare the PR template's tests checkbox with the test files the PR changes
+ * @param {string} body - PR description
+ * @param {string[]} testFiles - Test files changed by the PR
+ * @returns {Object[]} - Problems as `{ section, problem }`, for the PR template report
+ */
+function checkTestsCheckbox(body, testFiles) {
+    const checkboxes = parseSections(body)
+        .flatMap(section => section.checkboxes.map(checkbox => ({ ...checkbox, section: section.title })))
+        .filter(checkbox => TESTS_CHECKBOX.test(checkbox.label));
+    if (checkboxes.length === 0) {
+        return [];
+    }
+
+    const checked = checkboxes.find(checkbox => checkbox.checked);
+    if (checked && testFiles.length === 0) {
+        return [{
+            section: checked.section || 'Tests',
+            problem: `"${checked.label}" is checked, but the PR changes no test files`
+        }];
+    }
+    if (!checked && testFiles.length > 0) {
+        return [{
+            section: checkboxes[0].section || 'Tests',
+            problem: `The PR changes ${testFiles.length} test file${testFiles.length > 1 ? 's' : ''}, but "${checkboxes[0].label}" is not checked`
+        }];
+    }
+    return [];
+}
+
+module.exports = {
+    MISSING_TESTS_RULE_ID,
+    isTestFile,
+    isSourceFile,
+    expectedTestGlobs,
+    checkTestCoverage,
+    checkTestsCheckbox
+};
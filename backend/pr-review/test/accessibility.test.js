@@ -0,0 +1,87 @@
+/**
+ * Tests for the accessibility rule pack and its review summary
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { citeWcag, formatAccessibilitySummary } = require('../accessibility');
+const { loadRules, runRules } = require('../rule-engine');
+const { parseSource } = require('../ast-analysis');
+const { createFinding } = require('../findings');
+const { COMMENT_TYPES } = require('../comment-types');
+
+/**
+ * Run the accessibility rules on a file whose every line was added
+ * @param {string} filePath - File path
+ * @param {string} source - File contents
+ * @returns {Object[]} - Findings as `[ruleId, line]` pairs
+ */
+function review(filePath, source) {
+    const lines = source.split('\n').map((content, index) => ({ line: index + 1, content }));
+    return runRules(loadRules({ packages: [] }), filePath, lines, () => ({ before: [], after: [] }), parseSource(filePath, source), source)
+        .filter(finding => finding.ruleId.startsWith('a11y-'))
+        .map(finding => [finding.ruleId, finding.line]);
+}
+
+test('the accessibility rules check JSX elements', () => {
+    const findings = review('src/Form.jsx', [
+        'export function Form({ onSave }) {',
+        '    return (',
+        '        <form>',
+        '            <input type="text" />',
+        '            <label>Name <input type="text" /></label>',
+        '            <div onClick={onSave}>Save</div>',
+        '            <div role="button" tabIndex={0} onClick={onSave} onKeyDown={onSave}>Save</div>',
+        '            <button tabIndex={3} autoFocus>Go</button>',
+        '        </form>',
+        '    );',
+        '}'
+    ].join('\n'));
+    assert.deepEqual(findings.sort(), [
+        ['a11y-autofocus', 8],
+        ['a11y-click-non-interactive', 6],
+        ['a11y-click-without-keyboard', 6],
+        ['a11y-missing-label', 4],
+        ['a11y-tabindex', 8]
+    ]);
+});
+
+test('the accessibility rules check HTML markup', () => {
+    const findings = review('public/search.html', [
+        '<label for="q">Search</label>',
+        '<input id="q">',
+        '<input id="r">',
+        '<div onclick="go()">Go</div>'
+    ].join('\n'));
+    assert.deepEqual(findings.sort(), [
+        ['a11y-click-non-interactive', 4],
+        ['a11y-click-without-keyboard', 4],
+        ['a11y-missing-label', 3]
+    ]);
+});
+
+test('a11y-color-only-status flags a color that switches with the state', () => {
+    const findings = review('src/Budget.jsx', 'export const Budget = ({ over, total }) => (\n    <span style={{ color: over ? "red" : "green" }}>{total}</span>\n);');
+    assert.deepEqual(findings, [['a11y-color-only-status', 2]]);
+});
+
+test('citeWcag links each success criterion', () => {
+    assert.equal(citeWcag(['2.1.1']),
+        'WCAG 2.1 [SC 2.1.1 Keyboard](https://www.w3.org/WAI/WCAG21/Understanding/keyboard.html) (Level A)');
+});
+
+test('formatAccessibilitySummary counts findings per success criterion and checks the checkbox claim', () => {
+    const findings = [
+        createFinding({ ruleId: 'a11y-missing-label', severity: COMMENT_TYPES.ACCESSIBILITY, path: 'a.jsx', line: 1, message: 'x', wcag: ['1.3.1', '4.1.2'] }),
+        createFinding({ ruleId: 'a11y-click-non-interactive', severity: COMMENT_TYPES.ACCESSIBILITY, path: 'a.jsx', line: 2, message: 'x', wcag: ['4.1.2'] }),
+        createFinding({ ruleId: 'console-log', severity: COMMENT_TYPES.NITPICK, path: 'a.jsx', line: 3, message: 'x' })
+    ];
+    const claimed = '## Checklist\n- [x] Accessibility checked\n';
+
+    const summary = formatAccessibilitySummary(findings, claimed);
+    assert.match(summary, /⚠️ The description checks Accessibility, but the added lines have 2 WCAG issues/);
+    assert.match(summary, /\| 1\.3\.1 Info and Relationships \(A\) \| 1 \|\n\| 4\.1\.2 Name, Role, Value \(A\) \| 2 \|/);
+    assert.match(formatAccessibilitySummary([], claimed), /no WCAG issues were found/);
+    assert.equal(formatAccessibilitySummary(findings.slice(2), '- [ ] Accessibility checked'), '');
+});
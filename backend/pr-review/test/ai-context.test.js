@@ -0,0 +1,87 @@
+/**
+ * Tests for the AI review context
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { estimateTokens, describePullRequest, describeReviewConfig, renderPrompt, buildAiContext } = require('../ai-context');
+const { parsePatch } = require('../diff-parser');
+const { DEFAULT_CONFIG } = require('../review-config');
+
+const SOURCE = [
+    'function load(id) {',
+    '    const url = `/api/${id}`;',
+    '    const response = fetch(url);',
+    '    return response;',
+    '}',
+    ''
+].join('\n');
+
+const PATCH = [
+    '@@ -2,2 +2,3 @@ function load(id) {',
+    '     const url = `/api/${id}`;',
+    '-    return fetch(url);',
+    '+    const response = fetch(url);',
+    '+    return response;'
+].join('\n');
+
+/**
+ * Build a review config with its own AI budget
+ * @param {Object} ai - Overrides for the `ai` section
+ * @returns {Object} - Review config
+ */
+function configWith(ai) {
+    return { ...DEFAULT_CONFIG, ai: { ...DEFAULT_CONFIG.ai, ...ai } };
+}
+
+test('describePullRequest drops template instructions and untouched sections', () => {
+    const template = '## Summary\n<!-- What does this change? -->\n\n## Testing\n- [ ] Unit tests\n';
+    const body = '## Summary\nAdds caching.\n<!-- What does this change? -->\n\n## Testing\n- [ ] Unit tests\n';
+    assert.deepEqual(describePullRequest(body, template), [{ title: 'Summary', text: 'Adds caching.' }]);
+});
+
+test('describeReviewConfig lists disabled checks and severity overrides', () => {
+    const settings = describeReviewConfig({
+        ...DEFAULT_CONFIG,
+        rules: { 'console-log': { enabled: false }, 'todo-comment': { severity: 'SECURITY' } }
+    });
+    assert.match(settings[0], /turned off these checks.*console-log/);
+    assert.match(settings[1], /todo-comment as SECURITY/);
+});
+
+test('buildAiContext shows the enclosing function and the numbered hunk', () => {
+    const { batches, omitted } = buildAiContext({
+        pullRequest: { title: 'Cache responses', body: 'Adds caching.' },
+        files: [{ path: 'src/api.js', hunks: parsePatch(PATCH), source: SOURCE }],
+        config: DEFAULT_CONFIG
+    });
+    assert.equal(batches.length, 1);
+    assert.deepEqual(omitted, []);
+
+    const prompt = renderPrompt(batches[0]);
+    assert.match(prompt, /^PR title: Cache responses\n\nPR description:\nAdds caching\./);
+    assert.match(prompt, /Function load in src\/api\.js \(lines 1-5, as of the PR head\):/);
+    assert.match(prompt, /\n {4}3 \+ {4}const response = fetch\(url\);\n/);
+    assert.match(prompt, /\n {6}- {4}return fetch\(url\);\n/);
+});
+
+test('buildAiContext skips generated files and hunks past the token budget', () => {
+    const files = [
+        { path: 'package-lock.json', hunks: parsePatch('@@ -1 +1 @@\n-{}\n+{ }'), source: null },
+        { path: 'src/a.js', hunks: parsePatch(`@@ -0,0 +1,40 @@\n${'+const a = 1;\n'.repeat(40)}`.trimEnd()), source: null },
+        { path: 'test/a.test.js', hunks: parsePatch(`@@ -0,0 +1,40 @@\n${'+expect(a).toBe(1);\n'.repeat(40)}`.trimEnd()), source: null }
+    ];
+    const { batches, omitted, tokens } = buildAiContext({
+        pullRequest: { title: 'Add a', body: '' },
+        files,
+        config: configWith({ batchTokens: 400, maxTokens: 400 })
+    });
+
+    // Production code is ranked before tests
+    assert.equal(batches[0].hunks[0].path, 'src/a.js');
+    assert.ok(tokens <= 400);
+    batches.forEach(batch => assert.ok(batch.tokens <= 400 && estimateTokens(renderPrompt(batch)) <= batch.tokens));
+    assert.deepEqual(omitted.find(hunk => hunk.path === 'package-lock.json'), { path: 'package-lock.json', startLine: 1, endLine: 1, reason: 'generated file' });
+    assert.ok(omitted.some(hunk => hunk.path === 'test/a.test.js' && hunk.reason === 'token budget'));
+});
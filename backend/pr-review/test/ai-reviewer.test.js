@@ -0,0 +1,137 @@
+/**
+ * Tests for the AI reviewer and its built-in providers
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { AI_RULE_ID, loadAiProvider, toAiFinding, reviewWithAi } = require('../ai-reviewer');
+const { parseAnswer, create: createOpenAiProvider } = require('../ai-providers/openai-compatible');
+const { COMMENT_TYPES } = require('../comment-types');
+
+// A request for one hunk that adds lines 11 and 12 after an unchanged line 10
+const REQUEST = {
+    pullRequest: { title: 'Add totals', sections: [] },
+    reviewSettings: [],
+    hunks: [{
+        path: 'src/totals.js',
+        section: 'function total(items) {',
+        startLine: 10,
+        endLine: 12,
+        lines: [
+            { type: 'context', content: 'let sum = 0;', line: 10 },
+            { type: 'add', content: 'if (items.length == 0) return 0;', line: 11 },
+            { type: 'add', content: 'try { sum = add(items); } catch (e) {}', line: 12 },
+            { type: 'remove', content: 'return 0;', line: null }
+        ]
+    }]
+};
+
+test('toAiFinding anchors the finding on the last added line of its range', () => {
+    const finding = toAiFinding({ path: 'src/totals.js', startLine: 9, endLine: 12, severity: 'best-practice', issue: ' Simplify this ' }, REQUEST);
+    assert.equal(finding.ruleId, AI_RULE_ID);
+    assert.equal(finding.line, 12);
+    assert.equal(finding.severity, COMMENT_TYPES.BEST_PRACTICE);
+    assert.equal(finding.message, 'Simplify this');
+    assert.equal(finding.snippet, 'try { sum = add(items); } catch (e) {}');
+});
+
+test('toAiFinding drops findings that miss the added lines or have no issue', () => {
+    assert.equal(toAiFinding({ path: 'src/totals.js', startLine: 10, issue: 'Unchanged line' }, REQUEST), null);
+    assert.equal(toAiFinding({ path: 'src/other.js', startLine: 11, issue: 'Wrong file' }, REQUEST), null);
+    assert.equal(toAiFinding({ path: 'src/totals.js', startLine: 12, endLine: 11, issue: 'Backwards' }, REQUEST), null);
+    assert.equal(toAiFinding({ path: 'src/totals.js', startLine: 11, issue: '  ' }, REQUEST), null);
+});
+
+test('toAiFinding maps unknown severities to BEST_PRACTICE and keeps replacements as fixes', () => {
+    const finding = toAiFinding({ path: 'src/totals.js', startLine: '11', severity: 'catastrophic', issue: 'x', replacement: 'a\nb\n' }, REQUEST);
+    assert.equal(finding.severity, COMMENT_TYPES.BEST_PRACTICE);
+    assert.deepEqual(finding.comment.fix, { startLine: 11, endLine: 11, lines: ['a', 'b'] });
+    assert.deepEqual(toAiFinding({ path: 'src/totals.js', startLine: 11, issue: 'x', replacement: '' }, REQUEST).comment.fix.lines, []);
+});
+
+test('reviewWithAi skips batches whose review fails', async () => {
+    let calls = 0;
+    const provider = {
+        name: 'flaky',
+        review: async () => {
+            calls++;
+            if (calls === 1) {
+                throw new Error('timeout');
+            }
+            return [{ path: 'src/totals.js', startLine: 11, severity: 'WARNING', issue: 'Loose equality' }];
+        }
+    };
+    const findings = await reviewWithAi(provider, [REQUEST, REQUEST]);
+    assert.deepEqual(findings.map(finding => [finding.line, finding.severity]), [[11, COMMENT_TYPES.WARNING]]);
+});
+
+test('loadAiProvider rejects modules that are not providers', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'windlens-ai-'));
+    try {
+        const modulePath = path.join(dir, 'not-a-provider.js');
+        fs.writeFileSync(modulePath, 'module.exports = { review() {} };\n');
+        assert.throws(() => loadAiProvider(modulePath), /must export a create\(options\) function/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the stub provider flags loose equality and empty catch blocks', async () => {
+    const provider = loadAiProvider('stub');
+    const findings = await provider.review(REQUEST);
+    assert.deepEqual(findings.map(finding => [finding.startLine, finding.issue]), [
+        [11, 'Loose equality `==` converts types before comparing'],
+        [12, 'Empty catch block swallows the error']
+    ]);
+    assert.equal(findings[0].replacement, 'if (items.length === 0) return 0;');
+});
+
+test('the recorded provider replays saved answers and records new ones', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'windlens-ai-'));
+    try {
+        const recordings = path.join(dir, 'recordings.json');
+        const recorder = loadAiProvider('recorded', { recordings, recordWith: 'stub' });
+        const recorded = await recorder.review(REQUEST);
+        assert.equal(recorded.length, 2);
+
+        const saved = JSON.parse(fs.readFileSync(recordings, 'utf8'));
+        assert.equal(Object.values(saved)[0].hunks, 'src/totals.js:10');
+
+        const replay = loadAiProvider('recorded', { recordings });
+        assert.deepEqual(await replay.review(REQUEST), recorded);
+        assert.deepEqual(await replay.review({ ...REQUEST, hunks: [{ ...REQUEST.hunks[0], startLine: 11 }] }), []);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('parseAnswer reads findings from fenced or bare JSON answers', () => {
+    const finding = { path: 'a.js', startLine: 1, issue: 'x' };
+    assert.deepEqual(parseAnswer('```json\n{"findings": [{"path": "a.js", "startLine": 1, "issue": "x"}]}\n```'), [finding]);
+    assert.deepEqual(parseAnswer('[{"path": "a.js", "startLine": 1, "issue": "x"}]'), [finding]);
+    assert.throws(() => parseAnswer('Looks good to me!'), /Model answer is not valid JSON/);
+    assert.throws(() => parseAnswer('{"comments": []}'), /Model answer has no "findings" list/);
+});
+
+test('the openai-compatible provider posts the prompt to the chat completions endpoint', async (t) => {
+    const requests = [];
+    t.mock.method(global, 'fetch', async (url, init) => {
+        requests.push({ url, init });
+        return {
+            ok: true,
+            json: async () => ({ choices: [{ message: { content: '{"findings": []}' } }] })
+        };
+    });
+
+    const provider = createOpenAiProvider({ baseUrl: 'http://localhost:11434/v1/', model: 'llama3', apiKey: 'local' });
+    assert.deepEqual(await provider.review(REQUEST), []);
+    assert.equal(requests[0].url, 'http://localhost:11434/v1/chat/completions');
+    assert.equal(requests[0].init.headers.Authorization, 'Bearer local');
+    const body = JSON.parse(requests[0].init.body);
+    assert.equal(body.model, 'llama3');
+    assert.match(body.messages[1].content, /src\/totals\.js/);
+});
@@ -0,0 +1,114 @@
+/**
+ * Tests for autofix
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Stand in for the GitHub client before autofix.js loads it
+const calls = [];
+const fakeOctokit = {
+    rest: {
+        git: {
+            getCommit: async params => (calls.push(['getCommit', params]), { data: { tree: { sha: 'base-tree' } } }),
+            getTree: async params => (calls.push(['getTree', params]), { data: { tree: [{ path: 'bin/run.js', mode: '100755' }] } }),
+            createTree: async params => (calls.push(['createTree', params]), { data: { sha: 'new-tree' } }),
+            createCommit: async params => (calls.push(['createCommit', params]), { data: { sha: 'fixed1234567' } }),
+            updateRef: async params => (calls.push(['updateRef', params]), { data: {} }),
+            createRef: async params => (calls.push(['createRef', params]), { data: {} })
+        },
+        pulls: {
+            create: async params => (calls.push(['pulls.create', params]), { data: { html_url: 'https://github.com/o/r/pull/8' } })
+        }
+    }
+};
+const clientPath = path.join(__dirname, '..', 'github-client.js');
+require.cache[clientPath] = { id: clientPath, filename: clientPath, loaded: true, exports: { getOctokit: async () => fakeOctokit } };
+
+const { selectAutofixes, applyFixes, collectFixes, pushAutofix } = require('../autofix');
+const { createFinding } = require('../findings');
+const { COMMENT_TYPES } = require('../comment-types');
+
+/**
+ * Create a finding with a checked replacement
+ * @param {number} line - Last line of the range
+ * @param {string[]} replacement - Replacement lines
+ * @param {Object} [fields] - Other finding fields
+ * @returns {Object} - Finding
+ */
+function fixAt(line, replacement, fields = {}) {
+    return createFinding({
+        ruleId: 'console-log',
+        severity: COMMENT_TYPES.NITPICK,
+        path: 'src/app.js',
+        line,
+        message: 'Remove it',
+        comment: { issue: 'Remove it', replacement },
+        ...fields
+    });
+}
+
+const PR = { number: 7, head: { sha: 'abc1234def', ref: 'feature', repo: { full_name: 'o/r' } } };
+
+test('selectAutofixes keeps checked fixes from rules marked autofix', () => {
+    const registry = new Map([['console-log', { autofix: true }], ['query-selector', {}]]);
+    const fixable = fixAt(2, []);
+    const findings = [
+        fixable,
+        fixAt(3, [], { ruleId: 'query-selector' }),
+        createFinding({ ruleId: 'console-log', severity: COMMENT_TYPES.NITPICK, path: 'src/app.js', line: 4, message: 'x', comment: { issue: 'x' } })
+    ];
+    assert.deepEqual(selectAutofixes(findings, registry), [fixable]);
+});
+
+test('applyFixes applies fixes bottom up and skips overlapping ones', () => {
+    const source = 'a\r\nb\r\nc\r\nd\r\ne';
+    const result = applyFixes('notes.txt', source, [
+        fixAt(2, ['B']),
+        fixAt(5, []),
+        fixAt(3, ['C'], { startLine: 2 })
+    ]);
+    assert.equal(result.content, 'a\r\nC\r\nd');
+    assert.deepEqual(result.applied.map(finding => finding.line), [5, 3]);
+    assert.deepEqual(result.skipped.map(finding => finding.line), [2]);
+});
+
+test('applyFixes keeps the file when the fixes together break the syntax', () => {
+    // Each rename is fine on its own, but together they declare `b` twice
+    const source = 'let a = 1;\nlet c = 2;\n';
+    const result = applyFixes('src/app.js', source, [fixAt(1, ['let b = 1;']), fixAt(2, ['let b = 2;'])]);
+    assert.equal(result.content, source);
+    assert.equal(result.applied.length, 0);
+    assert.equal(result.skipped.length, 2);
+});
+
+test('collectFixes skips files whose head version could not be read', async () => {
+    const findings = [fixAt(2, []), fixAt(1, ['x'], { path: 'src/missing.js' })];
+    const { files, applied } = await collectFixes(findings, async filePath =>
+        filePath === 'src/app.js' ? 'one\nconsole.log(1);\nthree' : null
+    );
+    assert.deepEqual(files, [{ path: 'src/app.js', content: 'one\nthree' }]);
+    assert.deepEqual(applied, [findings[0]]);
+});
+
+test('pushAutofix commits onto the PR branch without forcing', async () => {
+    calls.length = 0;
+    const result = await pushAutofix(PR, [{ path: 'bin/run.js', content: 'run()' }], { mode: 'commit', fixCount: 1 });
+
+    assert.deepEqual(result, { sha: 'fixed1234567', url: 'https://github.com/o/r/commit/fixed1234567' });
+    const createTree = calls.find(([name]) => name === 'createTree')[1];
+    assert.equal(createTree.tree[0].mode, '100755');
+    assert.deepEqual(calls.find(([name]) => name === 'createCommit')[1].parents, ['abc1234def']);
+    assert.deepEqual(calls.find(([name]) => name === 'updateRef')[1], { owner: 'o', repo: 'r', ref: 'heads/feature', sha: 'fixed1234567', force: false });
+});
+
+test('pushAutofix opens a stacked PR against the PR branch', async () => {
+    calls.length = 0;
+    const result = await pushAutofix(PR, [{ path: 'src/app.js', content: '' }], { mode: 'pr', fixCount: 2 });
+
+    assert.equal(result.url, 'https://github.com/o/r/pull/8');
+    assert.equal(calls.find(([name]) => name === 'createRef')[1].ref, 'refs/heads/windlens/autofix-7-abc1234');
+    assert.equal(calls.find(([name]) => name === 'pulls.create')[1].base, 'feature');
+    await assert.rejects(pushAutofix(PR, [], { mode: 'force', fixCount: 1 }), /Unknown autofix mode/);
+});
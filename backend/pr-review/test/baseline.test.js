@@ -0,0 +1,60 @@
+/**
+ * Tests for the findings baseline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { contentFingerprint, createBaseline, parseBaseline, filterBaselined, loadBaseline } = require('../baseline');
+const { createFinding } = require('../findings');
+const { COMMENT_TYPES } = require('../comment-types');
+
+/**
+ * Create a finding on a line of source
+ * @param {number} line - Line number
+ * @param {string} snippet - Source line
+ * @returns {Object} - Finding
+ */
+function finding(line, snippet) {
+    return createFinding({ ruleId: 'console-log', severity: COMMENT_TYPES.NITPICK, path: 'src/app.js', line, message: 'Remove this console.log', snippet });
+}
+
+test('contentFingerprint ignores the line number and whitespace, but not the text', () => {
+    const fingerprint = contentFingerprint(finding(3, "console.log('x');"));
+    assert.equal(contentFingerprint(finding(40, "    console.log('x');  ")), fingerprint);
+    assert.notEqual(contentFingerprint(finding(3, "console.log('y');")), fingerprint);
+    assert.equal(contentFingerprint(createFinding({ ruleId: 'missing-tests', severity: COMMENT_TYPES.NITPICK, path: 'src/app.js', message: 'No tests' })), null);
+});
+
+test('createBaseline counts repeated lines and skips file-level findings', () => {
+    const baseline = createBaseline([
+        finding(1, "console.log('x');"),
+        finding(9, "console.log('x');"),
+        createFinding({ ruleId: 'missing-tests', severity: COMMENT_TYPES.NITPICK, path: 'src/app.js', message: 'No tests' })
+    ], { ref: 'main' });
+    assert.equal(baseline.version, 1);
+    assert.equal(baseline.ref, 'main');
+    assert.equal(baseline.findings.length, 1);
+    assert.equal(baseline.findings[0].count, 2);
+});
+
+test('filterBaselined absorbs at most as many findings as were recorded', () => {
+    const baseline = createBaseline([finding(1, "console.log('x');")]);
+    const { fresh, baselined } = filterBaselined([finding(5, "console.log('x');"), finding(6, "console.log('x');"), finding(7, 'console.log(y);')], baseline);
+    assert.deepEqual(baselined.map(kept => kept.line), [5]);
+    assert.deepEqual(fresh.map(kept => kept.line), [6, 7]);
+    assert.deepEqual(filterBaselined([finding(5, 'a')], null), { fresh: [finding(5, 'a')], baselined: [] });
+});
+
+test('parseBaseline rejects malformed files', () => {
+    assert.throws(() => parseBaseline('{', 'ci/baseline.json'), /Failed to parse ci\/baseline\.json/);
+    assert.throws(() => parseBaseline('{"version": 2, "findings": []}'), /expected a version 1 baseline/);
+});
+
+test('loadBaseline returns null when the repository has no baseline', async () => {
+    const missing = async () => {
+        throw new Error('Not Found');
+    };
+    assert.equal(await loadBaseline(missing, { owner: 'o', repo: 'r', ref: 'main' }), null);
+    assert.equal(await loadBaseline(null, { owner: 'o', repo: 'r', ref: 'main' }), null);
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests for matching findings against the comments already on a PR
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatFindingComment, extractFingerprint, extractRuleId, reconcileFindings } = require('../comment-dedup');
+const { createFinding, fingerprintFinding } = require('../findings');
+const { COMMENT_TYPES } = require('../comment-types');
+
+/**
+ * Create a finding
+ * @param {number} line - Line number
+ * @param {string} [message] - Finding message
+ * @returns {Object} - Finding
+ */
+function finding(line, message = 'Remove this console.log') {
+    return createFinding({ ruleId: 'console-log', severity: COMMENT_TYPES.NITPICK, path: 'src/app.js', line, message });
+}
+
+test('formatFindingComment ends with a marker holding the fingerprint and rule id', () => {
+    const posted = finding(3);
+    const body = formatFindingComment(posted);
+    assert.equal(extractFingerprint(body), fingerprintFinding(posted));
+    assert.equal(extractRuleId(body), 'console-log');
+});
+
+test('markers without a rule id and comments without a marker are told apart', () => {
+    assert.equal(extractFingerprint('Nice!'), null);
+    assert.equal(extractFingerprint(null), null);
+    assert.equal(extractRuleId('Old comment\n\n<!-- windlens:finding=0123456789abcdef -->'), null);
+    assert.equal(extractFingerprint('Old comment\n\n<!-- windlens:finding=0123456789abcdef -->'), '0123456789abcdef');
+});
+
+test('reconcileFindings posts new findings, updates reworded ones and skips unchanged ones', () => {
+    const comments = [
+        { id: 1, body: formatFindingComment(finding(3)) },
+        { id: 2, body: formatFindingComment(finding(5, 'Old wording')) },
+        { id: 3, body: 'A human comment' }
+    ];
+    const { toPost, toUpdate, unchanged } = reconcileFindings([finding(3), finding(5), finding(8)], comments);
+    assert.deepEqual(toPost.map(posted => posted.line), [8]);
+    assert.deepEqual(unchanged.map(posted => posted.line), [3]);
+    assert.equal(toUpdate.length, 1);
+    assert.equal(toUpdate[0].comment.id, 2);
+    assert.equal(toUpdate[0].body, formatFindingComment(finding(5)));
+});
+
+test('reconcileFindings posts a finding reported twice in one run only once', () => {
+    const { toPost } = reconcileFindings([finding(3), finding(3, 'Same place, other text')], []);
+    assert.equal(toPost.length, 1);
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for coverage report ingestion
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseLcov, parseCobertura, computePatchCoverage } = require('../coverage-report');
+
+/**
+ * Write an LCOV record for a file
+ * @param {string} filePath - Path as the report names it
+ * @param {number[][]} lines - `[line, hits]` pairs
+ * @returns {string} - LCOV record
+ */
+function lcovRecord(filePath, lines) {
+    return `SF:${filePath}\n${lines.map(([line, hits]) => `DA:${line},${hits}`).join('\n')}\nend_of_record\n`;
+}
+
+test('computePatchCoverage matches absolute report paths on the whole repository path', () => {
+    const report = parseLcov(
+        lcovRecord('/ci/work/repo/src/a/index.js', [[1, 1], [2, 0]]) +
+        lcovRecord('/ci/work/repo/src/b/index.js', [[1, 3], [2, 4]])
+    );
+    const results = computePatchCoverage(report, new Map([['src/b/index.js', [1, 2]], ['lib/index.js', [1]]]));
+    assert.deepEqual(results.map(({ path, covered, total }) => [path, covered, total]), [['src/b/index.js', 2, 2]]);
+});
+
+test('computePatchCoverage does not match a file on a shorter trailing path', () => {
+    // Relative to some other directory; it could be src/a/index.js as well as src/b/index.js
+    const report = parseLcov(lcovRecord('index.js', [[1, 0]]) + lcovRecord('a/index.js', [[1, 0]]));
+    assert.deepEqual(computePatchCoverage(report, new Map([['src/a/index.js', [1]], ['src/b/index.js', [1]]])), []);
+});
+
+test('computePatchCoverage leaves out files the report has more than one entry for', () => {
+    const report = parseLcov(
+        lcovRecord('/ci/repo/src/util.js', [[1, 1]]) +
+        lcovRecord('/ci/repo/vendor/lib/src/util.js', [[1, 0]]) +
+        lcovRecord('src/main.js', [[1, 0]])
+    );
+    const results = computePatchCoverage(report, new Map([['src/util.js', [1]], ['src/main.js', [1]]]));
+    assert.deepEqual(results.map(({ path, uncoveredLines }) => [path, uncoveredLines]), [['src/main.js', [1]]]);
+});
+
+test('parseCobertura resolves class filenames against the source root', () => {
+    const report = parseCobertura([
+        '<coverage><sources><source>/ci/repo/src</source></sources><packages><package><classes>',
+        '<class filename="a/index.js"><lines>',
+        '<line number="1" hits="2"/>',
+        '<line number="2" hits="0" branch="true" condition-coverage="50% (1/2)"/>',
+        '</lines></class>',
+        '</classes></package></packages></coverage>'
+    ].join('\n'));
+    const [result] = computePatchCoverage(report, new Map([['src/a/index.js', [1, 2, 3]]]));
+    assert.deepEqual(result, {
+        path: 'src/a/index.js',
+        covered: 1,
+        total: 2,
+        uncoveredLines: [2],
+        uncoveredBranches: [{ line: 2, covered: 1, total: 2 }]
+    });
+});
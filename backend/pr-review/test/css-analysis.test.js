@@ -0,0 +1,39 @@
+/**
+ * Tests for the stylesheet parser
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseStylesheet } = require('../css-analysis');
+
+const SOURCE = [
+    '.hero {',
+    '  background: url(//cdn.example.com/hero.png) no-repeat;',
+    '  color: #fff;',
+    '}'
+].join('\n');
+
+test('parseStylesheet keeps protocol-relative URLs in plain CSS', () => {
+    const { declarations } = parseStylesheet(SOURCE, 'src/hero.css');
+    assert.deepEqual(declarations.map(({ property, line }) => [property, line]), [['background', 2], ['color', 3]]);
+    assert.equal(declarations[0].value, 'url(//cdn.example.com/hero.png) no-repeat');
+});
+
+test('parseStylesheet drops // line comments only in SCSS and Less', () => {
+    const commented = SOURCE.replace('no-repeat;', 'no-repeat; // banner');
+    ['src/hero.scss', 'src/hero.less'].forEach(filePath => {
+        const { declarations } = parseStylesheet(commented, filePath);
+        assert.deepEqual(declarations.map(({ property, line }) => [property, line]), [['background', 2], ['color', 3]]);
+        assert.equal(declarations[0].value, 'url(//cdn.example.com/hero.png) no-repeat');
+    });
+
+    const scss = parseStylesheet('// .old { color: red; }\n.new {\n  color: blue;\n}\n', 'a.scss');
+    assert.deepEqual(scss.rules.map(({ selector, line }) => [selector, line]), [['.new', 2]]);
+});
+
+test('parseStylesheet counts lines through block comments and quoted URLs', () => {
+    const { rules, declarations } = parseStylesheet('/* a\n b */\n.a {\n  background: url("//cdn/a.png");\n}\n.a { color: red; }\n', 'a.css');
+    assert.deepEqual(rules.map(({ selector, line }) => [selector, line]), [['.a', 3], ['.a', 6]]);
+    assert.equal(declarations[0].line, 4);
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for the unified diff parser
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseUnifiedDiff, parsePatch, getAddedLines, getSurroundingLines, indexByPath } = require('../diff-parser');
+
+const DIFF = [
+    'diff --git a/src/app.js b/src/app.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -1,4 +1,5 @@ function init() {',
+    ' const a = 1;',
+    '-const b = 2;',
+    '+const b = 3;',
+    '+const c = 4;',
+    ' const d = 5;',
+    ' const e = 6;',
+    '@@ -20,2 +21,2 @@',
+    ' keep();',
+    '-old();',
+    '+updated();',
+    '\\ No newline at end of file',
+    'diff --git a/docs/old.md b/docs/new.md',
+    'similarity index 100%',
+    'rename from docs/old.md',
+    'rename to docs/new.md',
+    'diff --git a/logo.png b/logo.png',
+    'new file mode 100644',
+    'Binary files /dev/null and b/logo.png differ',
+    'diff --git a/gone.js b/gone.js',
+    'deleted file mode 100644',
+    '--- a/gone.js',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-bye();'
+].join('\n');
+
+test('parseUnifiedDiff splits the diff into files', () => {
+    const files = parseUnifiedDiff(DIFF);
+    assert.deepEqual(files.map(file => file.path), ['src/app.js', 'docs/new.md', 'logo.png', 'gone.js']);
+
+    const [app, renamed, logo, gone] = files;
+    assert.equal(app.hunks.length, 2);
+    assert.equal(app.hunks[0].section, 'function init() {');
+    assert.equal(renamed.isRenamed, true);
+    assert.equal(renamed.oldPath, 'docs/old.md');
+    assert.equal(logo.isNew, true);
+    assert.equal(logo.isBinary, true);
+    assert.equal(gone.isDeleted, true);
+    assert.equal(gone.oldPath, 'gone.js');
+});
+
+test('parseUnifiedDiff numbers lines on both sides', () => {
+    const [app] = parseUnifiedDiff(DIFF);
+    const [first, second] = app.hunks;
+
+    assert.deepEqual(first.lines.map(line => [line.type, line.oldLine, line.newLine]), [
+        ['context', 1, 1],
+        ['del', 2, null],
+        ['add', null, 2],
+        ['add', null, 3],
+        ['context', 3, 4],
+        ['context', 4, 5]
+    ]);
+    assert.deepEqual(second.lines.map(line => [line.type, line.oldLine, line.newLine]), [
+        ['context', 20, 21],
+        ['del', 21, null],
+        ['add', null, 22]
+    ]);
+    assert.equal(second.lines[2].noNewline, true);
+});
+
+test('parseUnifiedDiff reads removed lines that look like file headers as content', () => {
+    const [file] = parseUnifiedDiff([
+        'diff --git a/notes.md b/notes.md',
+        '--- a/notes.md',
+        '+++ b/notes.md',
+        '@@ -1,2 +1,1 @@',
+        '--- a list item',
+        ' kept'
+    ].join('\n'));
+
+    assert.deepEqual(file.hunks[0].lines.map(line => [line.type, line.content]), [
+        ['del', '-- a list item'],
+        ['context', 'kept']
+    ]);
+});
+
+test('parseUnifiedDiff handles CRLF line endings and quoted paths', () => {
+    const [file] = parseUnifiedDiff([
+        'diff --git "a/my file.js" "b/my file.js"',
+        '--- "a/my file.js"',
+        '+++ "b/my file.js"',
+        '@@ -1 +1 @@',
+        '-a',
+        '+b'
+    ].join('\r\n'));
+
+    assert.equal(file.path, 'my file.js');
+    assert.deepEqual(getAddedLines(file).map(line => [line.newLine, line.content]), [[1, 'b']]);
+});
+
+test('parsePatch parses the patch field of the files API', () => {
+    const hunks = parsePatch('@@ -5 +5,2 @@\n-x\n+y\n+z');
+    assert.equal(hunks.length, 1);
+    assert.deepEqual(getAddedLines({ hunks }).map(line => line.newLine), [5, 6]);
+    assert.deepEqual(parsePatch(''), []);
+});
+
+test('getSurroundingLines reads the new version around a line', () => {
+    const [app] = parseUnifiedDiff(DIFF);
+    assert.deepEqual(getSurroundingLines(app, 3, 2), {
+        before: ['const a = 1;', 'const b = 3;'],
+        after: ['const d = 5;', 'const e = 6;']
+    });
+    assert.deepEqual(getSurroundingLines(app, 99, 2), { before: [], after: [] });
+});
+
+test('indexByPath keys file diffs by their current path', () => {
+    const byPath = indexByPath(parseUnifiedDiff(DIFF));
+    assert.equal(byPath.get('docs/new.md').isRenamed, true);
+    assert.equal(byPath.has('docs/old.md'), false);
+});
@@ -0,0 +1,90 @@
+/**
+ * Tests for review findings and their JSON and SARIF exports
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFinding, fingerprintFinding, toJSONReport, toSarif } = require('../findings');
+const { COMMENT_TYPES } = require('../comment-types');
+
+const PULL_REQUEST = { owner: 'octocat', repo: 'hello-world', number: 7, headSha: 'abc1234' };
+
+/**
+ * Create the findings of a small review
+ * @returns {Object[]} - A line finding with a comment, a range finding and a file-level finding
+ */
+function sampleFindings() {
+    return [
+        createFinding({
+            ruleId: 'hardcoded-secret',
+            severity: COMMENT_TYPES.SECURITY,
+            path: 'src/api.js',
+            line: 3,
+            message: 'Possible GitHub token committed to the repository',
+            comment: { context: 'Anything pushed is leaked', suggestion: 'Rotate the token' }
+        }),
+        createFinding({ ruleId: 'a11y-missing-label', severity: COMMENT_TYPES.ACCESSIBILITY, path: 'src/form.jsx', startLine: 4, line: 6, message: 'Input has no label', wcag: ['1.3.1'] }),
+        createFinding({ ruleId: 'missing-tests', severity: COMMENT_TYPES.NITPICK, path: 'src/api.js', message: 'No test changes' })
+    ];
+}
+
+test('createFinding rejects unknown severities', () => {
+    assert.throws(() => createFinding({ ruleId: 'x', severity: 'FATAL', path: 'a.js', message: 'x' }),
+        /Unknown severity "FATAL" for finding from rule "x"/);
+});
+
+test('createFinding makes findings without a line file-level', () => {
+    const [lineFinding, , fileFinding] = sampleFindings();
+    assert.equal(lineFinding.subjectType, 'LINE');
+    assert.equal(fileFinding.subjectType, 'FILE');
+    assert.equal(fileFinding.line, null);
+});
+
+test('fingerprintFinding depends on the rule, path and line only', () => {
+    const [finding] = sampleFindings();
+    assert.equal(fingerprintFinding(finding), fingerprintFinding({ ...finding, message: 'Reworded' }));
+    assert.notEqual(fingerprintFinding(finding), fingerprintFinding({ ...finding, line: 4 }));
+    assert.match(fingerprintFinding(finding), /^[0-9a-f]{16}$/);
+});
+
+test('toJSONReport counts findings per severity and flattens their comments', () => {
+    const report = toJSONReport(sampleFindings(), PULL_REQUEST);
+    assert.equal(report.tool.name, 'WindLens AI');
+    assert.deepEqual(report.pullRequest, PULL_REQUEST);
+    assert.equal(report.summary.total, 3);
+    assert.equal(report.summary.bySeverity[COMMENT_TYPES.SECURITY], 1);
+    assert.equal(report.summary.bySeverity[COMMENT_TYPES.WARNING], 0);
+    assert.equal(report.findings[0].suggestion, 'Rotate the token');
+    assert.equal(report.findings[0].comment, undefined);
+    assert.equal(report.findings[1].context, null);
+});
+
+test('toSarif lists each rule once and maps severities to levels', () => {
+    const findings = sampleFindings();
+    const log = toSarif([...findings, { ...findings[0], line: 9 }], PULL_REQUEST);
+    assert.equal(log.version, '2.1.0');
+    const [run] = log.runs;
+    assert.deepEqual(run.tool.driver.rules.map(rule => rule.id), ['hardcoded-secret', 'a11y-missing-label', 'missing-tests']);
+    assert.deepEqual(run.tool.driver.rules[0].fullDescription, { text: 'Anything pushed is leaked' });
+    assert.deepEqual(run.tool.driver.rules[1].properties.tags, ['WCAG-1.3.1']);
+    assert.deepEqual(run.results.map(result => result.level), ['error', 'warning', 'note', 'error']);
+    assert.deepEqual(run.results.map(result => result.ruleIndex), [0, 1, 2, 0]);
+    assert.equal(run.results[0].message.text, 'Possible GitHub token committed to the repository. Rotate the token');
+});
+
+test('toSarif gives line, range and file-level results the matching region', () => {
+    const [line, range, file] = toSarif(sampleFindings(), PULL_REQUEST).runs[0].results
+        .map(result => result.locations[0].physicalLocation);
+    assert.deepEqual(line, { artifactLocation: { uri: 'src/api.js' }, region: { startLine: 3 } });
+    assert.deepEqual(range.region, { startLine: 4, endLine: 6 });
+    assert.deepEqual(file, { artifactLocation: { uri: 'src/api.js' } });
+});
+
+test('toSarif records the reviewed commit only when it is known', () => {
+    assert.deepEqual(toSarif([], PULL_REQUEST).runs[0].versionControlProvenance, [{
+        repositoryUri: 'https://github.com/octocat/hello-world',
+        revisionId: 'abc1234'
+    }]);
+    assert.equal(toSarif([]).runs[0].versionControlProvenance, undefined);
+});
@@ -0,0 +1,69 @@
+/**
+ * Tests for the HTML tag finder and the HTML rule pack
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isHtmlFile, createLineLocator, findTags, findElementSpans } = require('../html-analysis');
+const { loadRules, runRules } = require('../rule-engine');
+
+/**
+ * Run the built-in rules on an HTML file whose every line was added
+ * @param {string} source - File contents
+ * @returns {Object[]} - Findings as `[ruleId, line]` pairs
+ */
+function review(source) {
+    const lines = source.split('\n').map((content, index) => ({ line: index + 1, content }));
+    return runRules(loadRules({ packages: [] }), 'public/index.html', lines, () => ({ before: [], after: [] }), null, source)
+        .map(finding => [finding.ruleId, finding.line]);
+}
+
+test('isHtmlFile matches .html and .htm files only', () => {
+    assert.equal(isHtmlFile('public/index.HTML'), true);
+    assert.equal(isHtmlFile('docs/page.htm'), true);
+    assert.equal(isHtmlFile('src/App.jsx'), false);
+});
+
+test('createLineLocator maps offsets to 1-based lines', () => {
+    const lineAt = createLineLocator('ab\ncd\n\nef');
+    assert.deepEqual([0, 2, 3, 6, 7, 8].map(lineAt), [1, 1, 2, 3, 4, 4]);
+});
+
+test('findTags reads multi-line tags and all attribute forms', () => {
+    const [, tag] = findTags('<p>\n<INPUT\n  type="text" name=\'q\' size=10\n  required>\n');
+    assert.equal(tag.name, 'input');
+    assert.equal(tag.line, 2);
+    assert.deepEqual(Object.fromEntries(tag.attributes), { type: 'text', name: 'q', size: '10', required: true });
+});
+
+test('findTags skips comments and script and style bodies', () => {
+    const source = '<!-- <img src="old.png"> -->\n<script>const html = "<img src=x>";</script>\n<style>a { }</style>\n<img src="new.png">';
+    assert.deepEqual(findTags(source).map(tag => [tag.name, tag.line]), [['script', 2], ['style', 3], ['img', 4]]);
+});
+
+test('findElementSpans runs from the start tag to the matching end tag', () => {
+    const source = '<label for="q">Search <input id="q"></label>';
+    const [span] = findElementSpans(source, 'label');
+    assert.equal(source.slice(span.start, span.end), '<label for="q">Search <input id="q">');
+    assert.equal(span.attributes.get('for'), 'q');
+});
+
+test('the HTML rules report the line of the offending tag', () => {
+    const findings = review([
+        '<main>',
+        '  <img',
+        '    src="chart.png">',
+        '  <img src="divider.png" alt="">',
+        '  <button onclick="save()">Save</button>',
+        '  <div role="buton" aria-lable="x"></div>',
+        '  <a href="/home" aria-hidden="true">Home</a>',
+        '</main>'
+    ].join('\n'));
+    assert.deepEqual(findings.sort(), [
+        ['html-aria-misuse', 6],
+        ['html-aria-misuse', 7],
+        ['html-img-alt', 2],
+        ['html-inline-handler', 5]
+    ]);
+});
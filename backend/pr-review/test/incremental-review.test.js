@@ -0,0 +1,38 @@
+/**
+ * Tests for incremental re-reviews and the follow-up verdict
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { formatReviewMarker, extractReviewedSha, findLastReview } = require('../incremental-review');
+const { REVIEW_EVENTS, carryOverRequestedChanges } = require('../review-verdict');
+
+const REVIEWS = [
+    { user: { login: 'windlens-bot' }, state: 'CHANGES_REQUESTED', submitted_at: '2026-01-01T10:00:00Z', body: `Review\n\n${formatReviewMarker('aaaaaaa1')}` },
+    { user: { login: 'windlens-bot' }, state: 'COMMENTED', submitted_at: '2026-01-02T10:00:00Z', body: 'A reply without a marker' },
+    { user: { login: 'author' }, state: 'COMMENTED', submitted_at: '2026-01-03T10:00:00Z', body: formatReviewMarker('bbbbbbb2') }
+];
+
+test('extractReviewedSha reads the marker of a review body', () => {
+    assert.equal(extractReviewedSha(`Done\n${formatReviewMarker('0123abc')}`), '0123abc');
+    assert.equal(extractReviewedSha('no marker'), null);
+});
+
+test('findLastReview only trusts markers in the bot\'s own reviews', () => {
+    assert.deepEqual(findLastReview(REVIEWS, 'windlens-bot'), { sha: 'aaaaaaa1', state: 'CHANGES_REQUESTED' });
+    assert.deepEqual(findLastReview(REVIEWS, 'author'), { sha: 'bbbbbbb2', state: 'COMMENTED' });
+    assert.equal(findLastReview(REVIEWS, null), null);
+    assert.equal(findLastReview(REVIEWS, 'someone-else'), null);
+});
+
+test('carryOverRequestedChanges keeps requesting changes while earlier threads are open', () => {
+    const approve = { event: REVIEW_EVENTS.APPROVE, reason: 'no issues found' };
+    const previous = { state: 'CHANGES_REQUESTED' };
+
+    assert.equal(carryOverRequestedChanges(approve, previous, [{ id: 't1' }]).event, REVIEW_EVENTS.REQUEST_CHANGES);
+    assert.equal(carryOverRequestedChanges(approve, previous, null).event, REVIEW_EVENTS.REQUEST_CHANGES);
+    assert.deepEqual(carryOverRequestedChanges(approve, previous, []), approve);
+    assert.deepEqual(carryOverRequestedChanges(approve, { state: 'COMMENTED' }, [{ id: 't1' }]), approve);
+    assert.deepEqual(carryOverRequestedChanges(approve, null, [{ id: 't1' }]), approve);
+});
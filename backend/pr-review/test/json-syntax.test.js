@@ -0,0 +1,61 @@
+/**
+ * Tests for the JSON syntax rule
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const rule = require('../rules/json-syntax');
+
+/**
+ * Run the rule on a file whose every line was added
+ * @param {string} source - File contents
+ * @param {string} [filePath] - File path
+ * @returns {Object[]} - Matches as `{ line, details }`
+ */
+function scan(source, filePath = 'config/app.json') {
+    const lines = new Set(source.split('\n').map((line, index) => index + 1));
+    return rule.scan(source, { filePath, lines });
+}
+
+test('json-syntax accepts valid JSON and skips JSONC files', () => {
+    assert.deepEqual(scan('{\n  "a": [1, 2]\n}\n'), []);
+    assert.deepEqual(scan('{\n  // comment\n  "a": 1,\n}\n', 'tsconfig.json'), []);
+});
+
+test('json-syntax reports the line parsing fails on', () => {
+    const cases = [
+        // Node 20 and later report these without a position
+        ['{\n  "a": 1,\n  "b": tru\n}\n', 3],
+        ['{\n  "a": tru}', 2],
+        ['{\n  "a": 1,\n}\n', 3],
+        ['{\n  "a": 1\n  "b": 2\n}\n', 3],
+        ['{\n  "a": 1\n}\n}\n', 4],
+        ['{\n  "a": [1, 2\n', 2]
+    ];
+    cases.forEach(([source, expected]) => {
+        const [match] = scan(source);
+        assert.equal(match.line, expected, JSON.stringify(source));
+        assert.equal(match.details.failedAt, expected, JSON.stringify(source));
+    });
+});
+
+test('json-syntax keeps the message on one line without the quoted input', () => {
+    const [match] = scan('{\n  "a": tru\n}\n');
+    assert.doesNotMatch(match.details.message, /\n|is not valid JSON|position/);
+    assert.match(rule.comment(match.line, match.details).issue, /^Invalid JSON: Unexpected token/);
+});
+
+test('json-syntax comments on the last added line before an unchanged failing line', () => {
+    const [match] = rule.scan('{\n  "a": 1,\n  "b": 2,\n}\n', { filePath: 'a.json', lines: new Set([2]) });
+    assert.equal(match.line, 2);
+    assert.equal(match.details.failedAt, 4);
+});
+
+test('json-syntax strips the excerpt Node quotes from longer inputs', () => {
+    const entries = Array.from({ length: 30 }, (value, index) => `  "key${index}": ${index},`);
+    const source = `{\n  "a": nul,\n${entries.join('\n')}\n  "end": true\n}\n`;
+    const [match] = scan(source);
+    assert.equal(match.line, 2);
+    assert.doesNotMatch(match.details.message, /\.\.\.|key|is not valid JSON|"a"/);
+});
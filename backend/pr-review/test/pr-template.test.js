@@ -0,0 +1,100 @@
+/**
+ * Tests for checking PR descriptions against the PR template
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkTemplateCompliance, formatTemplateReport, loadPullRequestTemplate } = require('../pr-template');
+
+const TEMPLATE = `Ticket: [STRY#](https://tracker.example.com/browse/STRY#)
+
+## Summary
+<!-- What does this PR change? -->
+
+## Change Type
+<!-- Select one and delete the sections that don't apply to your PR -->
+- [ ] Frontend
+- [ ] Backend
+
+<!-- DELETE THIS SECTION IF YOUR PR IS BACKEND-ONLY -->
+## Screenshots
+Add screenshots of the UI changes
+`;
+
+/**
+ * Build a PR description from the template
+ * @param {Object} [fields] - Parts the author filled in
+ * @param {string} [fields.ticket] - Ticket link line
+ * @param {string} [fields.summary] - Summary text
+ * @param {string} [fields.types] - Change Type checkboxes
+ * @param {boolean} [fields.screenshots] - Whether the Screenshots section is kept
+ * @returns {string} - PR description
+ */
+function description({ ticket = 'Ticket: [STRY0012345](https://tracker.example.com/browse/STRY0012345)', summary = 'Adds the thing', types = '- [x] Frontend\n- [ ] Backend', screenshots = true } = {}) {
+    return `${ticket}\n\n## Summary\n${summary}\n\n## Change Type\n${types}\n${screenshots ? '\n## Screenshots\n![ui](ui.png)\n' : ''}`;
+}
+
+/**
+ * Summarize compliance problems for comparison
+ * @param {Object[]} issues - Problems from checkTemplateCompliance
+ * @returns {string[]} - `section: problem` strings
+ */
+function problems(issues) {
+    return issues.map(({ section, problem }) => `${section}: ${problem}`);
+}
+
+test('checkTemplateCompliance accepts a filled-in description', () => {
+    assert.deepEqual(checkTemplateCompliance(TEMPLATE, description(), { requiredSections: ['summary'] }), []);
+});
+
+test('checkTemplateCompliance reports an empty description', () => {
+    assert.deepEqual(problems(checkTemplateCompliance(TEMPLATE, '<!-- nothing -->\n')),
+        ['Description: The PR description is empty; fill in the PR template']);
+});
+
+test('checkTemplateCompliance reports required sections that are missing or left as in the template', () => {
+    const untouched = description({ summary: '<!-- What does this PR change? -->' });
+    assert.deepEqual(problems(checkTemplateCompliance(TEMPLATE, untouched, { requiredSections: ['Summary', 'Testing'] })),
+        ['Summary: Section is not filled in']);
+    const missing = description().replace('## Summary\nAdds the thing\n', '');
+    assert.deepEqual(problems(checkTemplateCompliance(TEMPLATE, missing, { requiredSections: ['Summary'] })),
+        ['Summary: Section is missing']);
+});
+
+test('checkTemplateCompliance reports placeholder links and unanswered choices', () => {
+    const body = description({ ticket: 'Ticket: [STRY#](https://tracker.example.com/browse/STRY#)', types: '- [ ] Frontend\n- [ ] Backend' });
+    assert.deepEqual(problems(checkTemplateCompliance(TEMPLATE, body)), [
+        'Top of description: `[STRY#]` link still points at the template placeholder',
+        'Change Type: No option selected'
+    ]);
+});
+
+test('checkTemplateCompliance reports sections to delete only for the matching change type', () => {
+    const backendOnly = description({ types: '- [ ] Frontend\n- [x] Backend' });
+    assert.deepEqual(problems(checkTemplateCompliance(TEMPLATE, backendOnly)),
+        ['Screenshots: Should be deleted for a backend-only PR']);
+    assert.deepEqual(checkTemplateCompliance(TEMPLATE, description({ types: '- [x] Frontend\n- [x] Backend' })), []);
+    assert.deepEqual(checkTemplateCompliance(TEMPLATE, description({ types: '- [ ] Frontend\n- [x] Backend', screenshots: false })), []);
+});
+
+test('formatTemplateReport lists the problems in a table', () => {
+    assert.match(formatTemplateReport([], '.github/pull_request_template.md'), /✅ The description follows `\.github\/pull_request_template\.md`/);
+    const report = formatTemplateReport([{ section: 'A | B', problem: 'Section is missing' }], 'PULL_REQUEST_TEMPLATE.md');
+    assert.match(report, /missing 1 item from `PULL_REQUEST_TEMPLATE\.md`/);
+    assert.match(report, /\| A \\\| B \| Section is missing \|/);
+});
+
+test('loadPullRequestTemplate tries each template location in order', async () => {
+    const requested = [];
+    const getFileContents = async ({ path }) => {
+        requested.push(path);
+        if (path !== 'PULL_REQUEST_TEMPLATE.md') {
+            throw new Error('Not Found');
+        }
+        return TEMPLATE;
+    };
+    assert.deepEqual(await loadPullRequestTemplate(getFileContents, { owner: 'o', repo: 'r', ref: 'main' }),
+        { path: 'PULL_REQUEST_TEMPLATE.md', text: TEMPLATE });
+    assert.deepEqual(requested, ['.github/PULL_REQUEST_TEMPLATE.md', '.github/pull_request_template.md', 'PULL_REQUEST_TEMPLATE.md']);
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests for the repository review config
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { DEFAULT_CONFIG, POLICY_SETTINGS, parseReviewConfig, loadPullRequestConfig, isPathIncluded } = require('../review-config');
+
+const PR = { head: { sha: 'head1' }, base: { sha: 'base1' } };
+
+/**
+ * Fake get_file_contents serving one .windlens.yml per ref
+ * @param {Object<string, string>} filesByRef - Config text by ref
+ * @returns {Function} - Lookup that throws for refs without a config, like a 404
+ */
+function configFiles(filesByRef) {
+    return async ({ path, ref }) => {
+        if (path !== '.windlens.yml' || !(ref in filesByRef)) {
+            throw new Error('Not Found');
+        }
+        return filesByRef[ref];
+    };
+}
+
+test('parseReviewConfig reads rule overrides and fills in defaults', () => {
+    const config = parseReviewConfig('rules:\n  console-log: off\n  todo-comment: SECURITY\n', '.windlens.yml');
+    assert.deepEqual(config.rules['console-log'], { enabled: false });
+    assert.equal(config.rules['todo-comment'].severity, 'SECURITY');
+    assert.deepEqual(config.paths, DEFAULT_CONFIG.paths);
+    assert.throws(() => parseReviewConfig('rules:\n  console-log: [1]\n', '.windlens.yml'), /Invalid setting for rule "console-log"/);
+});
+
+test('loadPullRequestConfig takes the settings that decide findings and the verdict from the base', async () => {
+    const head = [
+        'rules:',
+        '  hardcoded-secret: off',
+        'paths:',
+        "  exclude: ['**']",
+        'thresholds:',
+        '  maxFileChanges: 100000',
+        'verdict:',
+        '  requestChanges: []',
+        'tests:',
+        '  enabled: false',
+        'template:',
+        '  enabled: false',
+        'tickets:',
+        '  required: false'
+    ].join('\n');
+    const base = "rules:\n  todo-comment: SECURITY\npaths:\n  exclude: ['vendor/**']\n";
+    const config = await loadPullRequestConfig(configFiles({ head1: head, base1: base }), { owner: 'o', repo: 'r', pr: PR });
+
+    assert.deepEqual(Object.keys(config.rules), ['todo-comment']);
+    assert.ok(isPathIncluded(config, 'src/app.js'));
+    assert.ok(!isPathIncluded(config, 'vendor/lib.js'));
+    assert.equal(config.thresholds.maxFileChanges, DEFAULT_CONFIG.thresholds.maxFileChanges);
+    assert.deepEqual(config.verdict, DEFAULT_CONFIG.verdict);
+    assert.equal(config.tests.enabled, true);
+    // Summary-only settings still follow the PR
+    assert.equal(config.template.enabled, false);
+    assert.equal(config.tickets.required, false);
+});
+
+test('loadPullRequestConfig uses the defaults for policy settings when the base has no config', async () => {
+    const config = await loadPullRequestConfig(configFiles({ head1: 'rules:\n  console-log: off\n' }), { owner: 'o', repo: 'r', pr: PR });
+    POLICY_SETTINGS.forEach(key => assert.deepEqual(config[key], DEFAULT_CONFIG[key], key));
+});
@@ -0,0 +1,96 @@
+/**
+ * Tests for the review verdict policy
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { REVIEW_EVENTS, DEFAULT_VERDICT_POLICY, normalizeVerdictPolicy, decideVerdict, applyCoverageGate, carryOverRequestedChanges } = require('../review-verdict');
+const { createFinding } = require('../findings');
+const { COMMENT_TYPES } = require('../comment-types');
+
+/**
+ * Create a finding
+ * @param {string} severity - One of COMMENT_TYPES
+ * @returns {Object} - Finding
+ */
+function finding(severity) {
+    return createFinding({ ruleId: 'some-rule', severity, path: 'src/app.js', line: 1, message: 'Something' });
+}
+
+test('decideVerdict requests changes for any blocking finding', () => {
+    const verdict = decideVerdict([finding(COMMENT_TYPES.NITPICK), finding(COMMENT_TYPES.SECURITY)]);
+    assert.deepEqual(verdict, { event: REVIEW_EVENTS.REQUEST_CHANGES, reason: '1 blocking finding (SECURITY)' });
+});
+
+test('decideVerdict approves a clean review and one with only approving severities', () => {
+    assert.deepEqual(decideVerdict([]), { event: REVIEW_EVENTS.APPROVE, reason: 'no issues found' });
+    assert.deepEqual(decideVerdict([finding(COMMENT_TYPES.NITPICK)]),
+        { event: REVIEW_EVENTS.APPROVE, reason: 'only NITPICK findings' });
+});
+
+test('decideVerdict comments when findings neither block nor approve', () => {
+    const verdict = decideVerdict([finding(COMMENT_TYPES.NITPICK), finding(COMMENT_TYPES.WARNING)]);
+    assert.deepEqual(verdict, { event: REVIEW_EVENTS.COMMENT, reason: '2 findings to consider' });
+});
+
+test('decideVerdict comments on a clean review when the policy does not auto-approve', () => {
+    const policy = normalizeVerdictPolicy({ approveWhenClean: false });
+    assert.equal(decideVerdict([], policy).event, REVIEW_EVENTS.COMMENT);
+});
+
+test('decideVerdict never approves PRs into protected branches, but still blocks them', () => {
+    const policy = normalizeVerdictPolicy({ neverApproveBranches: ['release/*'] });
+    assert.deepEqual(decideVerdict([], policy, 'release/2.0'), {
+        event: REVIEW_EVENTS.COMMENT,
+        reason: 'no issues found, but PRs into release/2.0 are never auto-approved'
+    });
+    assert.equal(decideVerdict([], policy, 'main').event, REVIEW_EVENTS.APPROVE);
+    assert.equal(decideVerdict([finding(COMMENT_TYPES.SECURITY)], policy, 'release/2.0').event, REVIEW_EVENTS.REQUEST_CHANGES);
+});
+
+test('normalizeVerdictPolicy merges the defaults and upper-cases severities', () => {
+    const policy = normalizeVerdictPolicy({ requestChanges: ['security', 'warning'] });
+    assert.deepEqual(policy.requestChanges, [COMMENT_TYPES.SECURITY, COMMENT_TYPES.WARNING]);
+    assert.deepEqual(policy.approve, DEFAULT_VERDICT_POLICY.approve);
+    assert.equal(decideVerdict([finding(COMMENT_TYPES.WARNING)], policy).event, REVIEW_EVENTS.REQUEST_CHANGES);
+});
+
+test('normalizeVerdictPolicy rejects unknown severities and non-list settings', () => {
+    assert.throws(() => normalizeVerdictPolicy({ approve: ['TRIVIAL'] }, '.windlens.yml'),
+        /Invalid \.windlens\.yml: unknown severity "TRIVIAL" in "verdict\.approve"/);
+    assert.throws(() => normalizeVerdictPolicy({ neverApproveBranches: 'main' }),
+        /"verdict\.neverApproveBranches" must be a list/);
+});
+
+test('carryOverRequestedChanges keeps requesting changes while the earlier blocking threads are open', () => {
+    const approval = decideVerdict([]);
+    const previous = { state: 'CHANGES_REQUESTED' };
+    assert.deepEqual(carryOverRequestedChanges(approval, previous, [{ id: 't1' }]), {
+        event: REVIEW_EVENTS.REQUEST_CHANGES,
+        reason: '1 thread from the previous review, which requested changes, is still open'
+    });
+    assert.equal(carryOverRequestedChanges(approval, previous, null).event, REVIEW_EVENTS.REQUEST_CHANGES);
+    assert.deepEqual(carryOverRequestedChanges(approval, previous, []), approval);
+});
+
+test('carryOverRequestedChanges leaves the verdict alone when the last review did not request changes', () => {
+    const approval = decideVerdict([]);
+    assert.deepEqual(carryOverRequestedChanges(approval, { state: 'APPROVED' }, [{ id: 't1' }]), approval);
+    assert.deepEqual(carryOverRequestedChanges(approval, null, [{ id: 't1' }]), approval);
+});
+
+test('applyCoverageGate requests changes when patch coverage is below the minimum', () => {
+    const approval = decideVerdict([]);
+    assert.deepEqual(applyCoverageGate(approval, { percent: 62.5 }, 80), {
+        event: REVIEW_EVENTS.REQUEST_CHANGES,
+        reason: 'patch coverage 62.5% is below the required 80%'
+    });
+    assert.deepEqual(applyCoverageGate(approval, { percent: 80 }, 80), approval);
+});
+
+test('applyCoverageGate leaves the verdict alone without measured coverage', () => {
+    const approval = decideVerdict([]);
+    assert.deepEqual(applyCoverageGate(approval, null, 80), approval);
+    assert.deepEqual(applyCoverageGate(approval, { percent: null }, 80), approval);
+});
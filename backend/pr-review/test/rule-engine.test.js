@@ -0,0 +1,74 @@
+/**
+ * Tests for the review rule engine
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRuleRegistry, loadRules, runRules } = require('../rule-engine');
+const { parseSource } = require('../ast-analysis');
+const { COMMENT_TYPES } = require('../comment-types');
+
+/**
+ * Run the built-in rules on a file whose every line was added
+ * @param {string} filePath - File path
+ * @param {string} source - File contents
+ * @returns {Object[]} - Findings as `[ruleId, line]` pairs
+ */
+function review(filePath, source) {
+    const lines = source.split('\n').map((content, index) => ({ line: index + 1, content }));
+    const context = () => ({ before: [], after: [] });
+    return runRules(loadRules({ packages: [] }), filePath, lines, context, parseSource(filePath, source), source)
+        .map(finding => [finding.ruleId, finding.line]);
+}
+
+test('runRules matches JS syntax nodes, not text in strings or comments', () => {
+    const findings = review('src/app.js', [
+        "const help = 'call console.log(x) to debug';",
+        '// console.log(value) used to be here',
+        'console.log(help);',
+        '// TODO: handle errors'
+    ].join('\n'));
+    assert.deepEqual(findings.filter(([ruleId]) => ruleId === 'console-log'), [['console-log', 3]]);
+    assert.deepEqual(findings.filter(([ruleId]) => ruleId === 'todo-comment'), [['todo-comment', 4]]);
+});
+
+test('runRules keeps only matches on the given lines', () => {
+    const source = 'console.log(1);\nconsole.log(2);\n';
+    const lines = [{ line: 2, content: 'console.log(2);' }];
+    const findings = runRules(loadRules({ packages: [] }), 'a.js', lines, () => ({ before: [], after: [] }), parseSource('a.js', source), source);
+    assert.deepEqual(findings.map(finding => [finding.ruleId, finding.line, finding.snippet]), [['console-log', 2, 'console.log(2);']]);
+});
+
+test('runRules falls back to match rules and passes them the requested context', () => {
+    const registry = createRuleRegistry();
+    registry.register({
+        id: 'no-var',
+        severity: COMMENT_TYPES.NITPICK,
+        contextLines: 1,
+        match: (line, { before }) => line.startsWith('var ') && before.length === 1,
+        comment: { issue: 'Use let or const', tldr: 'Avoid var' }
+    });
+    registry.register({ id: 'off', severity: COMMENT_TYPES.NITPICK, enabled: false, match: () => true, comment: { issue: 'Off' } });
+
+    const calls = [];
+    const findings = runRules(registry, 'a.js', [{ line: 4, content: 'var a = 1;' }, { line: 9, content: 'let b;' }], (line, count) => {
+        calls.push([line, count]);
+        return { before: ['x'], after: [] };
+    });
+    assert.deepEqual(calls, [[4, 1], [9, 1]]);
+    assert.deepEqual(findings.map(finding => [finding.ruleId, finding.line, finding.message]), [['no-var', 4, 'Use let or const']]);
+    assert.equal(findings[0].comment.lineContent, 'var a = 1;');
+});
+
+test('runRules applies rules only to the files their globs match', () => {
+    assert.deepEqual(review('styles/site.css', '.a { color: red !important; }'), [['css-important', 1]]);
+    assert.deepEqual(review('docs/notes.md', 'console.log(1);'), []);
+});
+
+test('createRuleRegistry rejects invalid rules and unknown overrides', () => {
+    const registry = createRuleRegistry();
+    assert.throws(() => registry.register({ id: 'x', severity: 'loud', match: () => true, comment: {} }, 'x.js'), /unknown severity "loud"/);
+    assert.throws(() => registry.register({ id: 'x', severity: COMMENT_TYPES.NITPICK, comment: {} }, 'x.js'), /needs a "match" function/);
+    assert.throws(() => registry.configure('missing', { enabled: false }), /Unknown review rule "missing"/);
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for suggestion blocks
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePatch } = require('../diff-parser');
+const { rewriteLine, buildSuggestion, checkSuggestion, attachSuggestions, formatSuggestionBlock } = require('../suggestions');
+const { createFinding } = require('../findings');
+const { COMMENT_TYPES } = require('../comment-types');
+
+const SOURCE = [
+    'function init() {',
+    '    console.log(\'ready\');',
+    '    const title = document.getElementById(\'title\');',
+    '    return title;',
+    '}'
+].join('\n');
+
+const DIFF = { hunks: parsePatch('@@ -1,3 +1,5 @@\n function init() {\n+    console.log(\'ready\');\n+    const title = document.getElementById(\'title\');\n+    return title;\n }') };
+
+/**
+ * Create a finding proposing a fix
+ * @param {Object} comment - Comment fields, with `fix` or `lineSuggestions`
+ * @param {Object} [fields] - Other finding fields
+ * @returns {Object} - Finding
+ */
+function findingWith(comment, fields = {}) {
+    return createFinding({
+        ruleId: 'console-log',
+        severity: COMMENT_TYPES.NITPICK,
+        path: 'src/app.js',
+        line: 2,
+        message: 'Remove it',
+        comment: { issue: 'Remove it', ...comment },
+        ...fields
+    });
+}
+
+test('rewriteLine replaces the first fragment found in the line', () => {
+    assert.equal(rewriteLine('var a = 1;', { 'let ': 'const ', 'var ': 'let ' }), 'let a = 1;');
+    assert.equal(rewriteLine('const a = 1;', { 'var ': 'let ' }), null);
+    assert.equal(rewriteLine('a $& b', { a: '$&$&' }), '$&$& $& b');
+});
+
+test('buildSuggestion reads fixes and line suggestions', () => {
+    assert.deepEqual(buildSuggestion(findingWith({ fix: { lines: [] } })), { startLine: 2, endLine: 2, lines: [] });
+    assert.deepEqual(buildSuggestion(findingWith({ fix: { startLine: 2, endLine: 3, lines: ['x'] } })), { startLine: 2, endLine: 3, lines: ['x'] });
+    assert.deepEqual(
+        buildSuggestion(findingWith({ lineSuggestions: { log: 'info' }, lineContent: '    console.log(1);' })),
+        { startLine: 2, endLine: 2, lines: ['    console.info(1);'] }
+    );
+    assert.equal(buildSuggestion(findingWith({})), null);
+});
+
+test('checkSuggestion accepts a fix that applies to the head version', () => {
+    assert.equal(checkSuggestion({ startLine: 2, endLine: 2, lines: [] }, { path: 'src/app.js', diff: DIFF, source: SOURCE }), null);
+});
+
+test('checkSuggestion rejects fixes that would not apply', () => {
+    const file = { path: 'src/app.js', diff: DIFF, source: SOURCE };
+    assert.match(checkSuggestion({ startLine: 1, endLine: 7, lines: [] }, file), /not all in one hunk/);
+    assert.match(checkSuggestion({ startLine: 2, endLine: 2, lines: ['    console.log(\'ready\');'] }, file), /identical/);
+    assert.match(checkSuggestion({ startLine: 2, endLine: 2, lines: ['    console.log('] }, file), /no longer parse/);
+    assert.match(checkSuggestion({ startLine: 2, endLine: 2, lines: [] }, { ...file, source: SOURCE.replace('ready', 'set') }), /changed since the diff/);
+    assert.match(checkSuggestion({ startLine: 3, endLine: 2, lines: [] }, file), /invalid line range/);
+});
+
+test('checkSuggestion rejects JS/TS fixes when the head version is unavailable', () => {
+    const suggestion = { startLine: 2, endLine: 2, lines: [] };
+    assert.match(checkSuggestion(suggestion, { path: 'src/app.js', diff: DIFF, source: null }), /could not be read/);
+    // Other files have no parse check, so the diff is enough
+    assert.equal(checkSuggestion(suggestion, { path: 'docs/notes.md', diff: DIFF, source: null }), null);
+});
+
+test('attachSuggestions keeps fixes that apply and falls back to examples', async () => {
+    const getFile = async filePath => ({ path: filePath, diff: DIFF, source: SOURCE });
+    const [deleted, multiLine, broken] = await attachSuggestions([
+        findingWith({ fix: { lines: [] } }),
+        findingWith({ fix: { startLine: 3, endLine: 4, lines: ['    return document.getElementById(\'title\');'] } }, { line: 3 }),
+        findingWith({ fix: { lines: ['    console.log('] } })
+    ], getFile);
+
+    assert.deepEqual(deleted.comment.replacement, []);
+    assert.equal(deleted.startLine, null);
+    assert.equal('fix' in deleted.comment, false);
+
+    assert.equal(multiLine.startLine, 3);
+    assert.equal(multiLine.line, 4);
+
+    assert.equal(broken.comment.replacement, undefined);
+    assert.deepEqual(broken.comment.codeExamples, ['    console.log(']);
+});
+
+test('formatSuggestionBlock fences code that holds backticks', () => {
+    assert.equal(formatSuggestionBlock([]), '```suggestion\n```');
+    assert.equal(formatSuggestionBlock(['a ``` b']), '````suggestion\na ``` b\n````');
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for inline suppression directives
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDirective, collectDirectives, filterCommentDirectives, numberLines, applySuppressions } = require('../suppressions');
+const { parseSource } = require('../ast-analysis');
+const { COMMENT_TYPES } = require('../comment-types');
+
+test('parseDirective reads the kind, rule ids and reason', () => {
+    assert.deepEqual(parseDirective('// windlens-ignore-next-line console-log, todo-comment -- logged on purpose'), {
+        kind: 'ignore-next-line',
+        ruleIds: ['console-log', 'todo-comment'],
+        reason: 'logged on purpose'
+    });
+    assert.deepEqual(parseDirective('/* windlens-disable*/'), { kind: 'disable', ruleIds: [], reason: null });
+    assert.deepEqual(parseDirective('<!-- windlens-disable html-img-alt -->'), { kind: 'disable', ruleIds: ['html-img-alt'], reason: null });
+    assert.deepEqual(parseDirective('# windlens-disable -- generated file'), { kind: 'disable', ruleIds: [], reason: 'generated file' });
+});
+
+test('parseDirective rejects unknown directive names', () => {
+    assert.equal(parseDirective('// windlens-disable-next-line console-log'), null);
+    assert.equal(parseDirective('// windlens-disabled console-log'), null);
+    assert.equal(parseDirective('// windlens-ignore-next-lines'), null);
+    assert.equal(parseDirective('const note = "windlens-disable";'), null);
+});
+
+test('applySuppressions waives the next line or the whole file', () => {
+    const directives = collectDirectives(numberLines([
+        '// windlens-disable-next-line console-log',
+        'console.log(1);',
+        '// windlens-ignore-next-line console-log',
+        'console.log(2);',
+        '/* windlens-disable todo-comment */'
+    ].join('\n')));
+    assert.deepEqual(directives.map(({ kind, line, added }) => [kind, line, added]), [['ignore-next-line', 3, false], ['disable', 5, false]]);
+
+    const findings = [
+        { ruleId: 'console-log', path: 'a.js', line: 2 },
+        { ruleId: 'console-log', path: 'a.js', line: 4 },
+        { ruleId: 'todo-comment', path: 'a.js', line: 9 },
+        { ruleId: 'file-size', path: 'a.js', line: null }
+    ];
+    const { kept, suppressed } = applySuppressions(findings, new Map([['a.js', directives]]));
+    assert.deepEqual(kept, [findings[0], findings[3]]);
+    assert.deepEqual(suppressed.map(({ finding }) => finding), [findings[1], findings[2]]);
+});
+
+test('applySuppressions keeps security findings waived by a blanket or newly added directive', () => {
+    const source = [
+        '/* windlens-disable */',
+        '// windlens-ignore-next-line hardcoded-secret -- test key',
+        "const a = 'secret-a';",
+        '// windlens-ignore-next-line hardcoded-secret -- test key',
+        "const b = 'secret-b';"
+    ].join('\n');
+    // The PR adds lines 1, 4 and 5; lines 2 and 3 were already on the base branch
+    const directives = collectDirectives(numberLines(source), new Set([1, 4, 5]));
+    const secret = line => ({ ruleId: 'hardcoded-secret', severity: COMMENT_TYPES.SECURITY, path: 'a.js', line });
+    const findings = [secret(3), secret(5), { ruleId: 'console-log', severity: COMMENT_TYPES.NITPICK, path: 'a.js', line: 5 }];
+
+    const { kept, suppressed } = applySuppressions(findings, new Map([['a.js', directives]]));
+    assert.deepEqual(kept, [findings[1]]);
+    assert.deepEqual(suppressed.map(({ finding, directive }) => [finding.line, directive.line]), [[3, 2], [5, 1]]);
+});
+
+test('filterCommentDirectives ignores directive text in string literals', () => {
+    const source = [
+        "const help = '// windlens-disable';",
+        '/*',
+        ' * windlens-disable todo-comment',
+        ' */',
+        'const el = <div>{/* windlens-ignore-next-line a11y-tabindex */}</div>;'
+    ].join('\n');
+    const directives = filterCommentDirectives(collectDirectives(numberLines(source)), parseSource('a.jsx', source));
+    assert.deepEqual(directives.map(({ kind, line }) => [kind, line]), [['ignore-next-line', 5]]);
+});
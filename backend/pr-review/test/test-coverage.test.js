@@ -0,0 +1,64 @@
+/**
+ * Tests for flagging source changes without matching test changes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isSourceFile, expectedTestGlobs, checkTestCoverage, checkTestsCheckbox } = require('../test-coverage');
+const { DEFAULT_CONFIG } = require('../review-config');
+
+const TESTS = DEFAULT_CONFIG.tests;
+
+/**
+ * Create a PR file entry
+ * @param {string} filename - File path
+ * @param {Object} [fields] - Other fields of the entry
+ * @returns {Object} - File as returned by get_pull_request_files
+ */
+function prFile(filename, fields = {}) {
+    return { filename, status: 'modified', additions: 3, deletions: 1, ...fields };
+}
+
+test('isSourceFile leaves out tests and ignored files', () => {
+    assert.equal(isSourceFile('src/app.js', TESTS), true);
+    assert.equal(isSourceFile('src/app.test.js', TESTS), false);
+    assert.equal(isSourceFile('webpack.config.js', TESTS), false);
+    assert.equal(isSourceFile('README.md', TESTS), false);
+});
+
+test('expectedTestGlobs fills in the directory, name and extension', () => {
+    assert.deepEqual(expectedTestGlobs('src/util/format.js', ['{dir}/{name}.test.{ext}', 'test/**/{name}.*']),
+        ['src/util/format.test.js', 'test/**/format.*']);
+    assert.deepEqual(expectedTestGlobs('index.js', ['{dir}/{name}.test.{ext}']), ['index.test.js']);
+});
+
+test('checkTestCoverage flags source files whose tests did not change', () => {
+    const { findings, testFiles } = checkTestCoverage([
+        prFile('src/app.js'),
+        prFile('src/app.test.js'),
+        prFile('src/format.js'),
+        prFile('src/old.js', { status: 'removed' }),
+        prFile('src/moved.js', { additions: 0 })
+    ], TESTS);
+    assert.deepEqual(testFiles, ['src/app.test.js']);
+    assert.deepEqual(findings.map(finding => finding.path), ['src/format.js']);
+    assert.equal(findings[0].subjectType, 'FILE');
+    assert.match(findings[0].message, /none of the test files in this PR cover it/);
+});
+
+test('checkTestCoverage matches tests in a separate test directory', () => {
+    const { findings } = checkTestCoverage([prFile('src/app.js'), prFile('test/unit/app.test.js')], TESTS);
+    assert.deepEqual(findings, []);
+});
+
+test('checkTestsCheckbox compares the tests checkbox with the changed test files', () => {
+    const checked = '## Checklist\n- [x] Unit tests added\n';
+    const unchecked = '## Checklist\n- [ ] Unit tests added\n';
+    assert.deepEqual(checkTestsCheckbox(checked, []),
+        [{ section: 'Checklist', problem: '"Unit tests added" is checked, but the PR changes no test files' }]);
+    assert.deepEqual(checkTestsCheckbox(unchecked, ['src/app.test.js']),
+        [{ section: 'Checklist', problem: 'The PR changes 1 test file, but "Unit tests added" is not checked' }]);
+    assert.deepEqual(checkTestsCheckbox(checked, ['src/app.test.js']), []);
+    assert.deepEqual(checkTestsCheckbox('No checklist here', []), []);
+});
@@ -0,0 +1,102 @@
+/**
+ * Tests for picking the review threads to resolve
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { findResolvableThreads } = require('../thread-resolver');
+const { formatFindingComment } = require('../comment-dedup');
+const { createFinding } = require('../findings');
+const { COMMENT_TYPES } = require('../comment-types');
+
+/**
+ * Create a finding
+ * @param {string} ruleId - Rule id
+ * @param {number} line - Line number
+ * @returns {Object} - Finding
+ */
+function finding(ruleId, line) {
+    return createFinding({ ruleId, severity: COMMENT_TYPES.WARNING, path: 'src/app.js', line, message: `${ruleId} at ${line}` });
+}
+
+/**
+ * Create an open thread posted for a finding
+ * @param {Object} posted - Finding the thread was posted for
+ * @param {Object} [fields] - Other thread fields
+ * @returns {Object} - Review thread
+ */
+function threadFor(posted, fields = {}) {
+    return {
+        id: `thread-${posted.ruleId}-${posted.line}`,
+        isResolved: false,
+        isOutdated: false,
+        path: posted.path,
+        line: posted.line,
+        commentId: 1,
+        body: formatFindingComment(posted),
+        ...fields
+    };
+}
+
+const REVIEW = {
+    reviewedPaths: ['src/app.js'],
+    fullReview: true,
+    evaluatedRules: new Set(['console-log', 'todo-comment'])
+};
+
+test('findResolvableThreads resolves threads whose finding is gone', () => {
+    const fixed = threadFor(finding('console-log', 3));
+    const outdated = threadFor(finding('todo-comment', 9), { isOutdated: true });
+    const resolutions = findResolvableThreads([fixed, outdated], { ...REVIEW, findings: [] });
+
+    assert.deepEqual(resolutions.map(thread => [thread.id, thread.reason]), [
+        [fixed.id, 'fixed'],
+        [outdated.id, 'outdated']
+    ]);
+});
+
+test('findResolvableThreads keeps threads whose finding is still produced or only moved', () => {
+    const still = threadFor(finding('console-log', 3));
+    const moved = threadFor(finding('console-log', 5));
+    const findings = [finding('console-log', 3), finding('todo-comment', 5)];
+
+    assert.deepEqual(findResolvableThreads([still, moved], { ...REVIEW, findings }), []);
+});
+
+test('findResolvableThreads leaves threads of rules that did not run alone', () => {
+    const ai = threadFor(finding('ai-review', 3));
+    const coverage = threadFor(finding('uncovered-branch', 4), { isOutdated: true });
+    const legacy = threadFor(finding('console-log', 6), { body: 'Old comment\n\n<!-- windlens:finding=0123456789abcdef -->' });
+
+    assert.deepEqual(findResolvableThreads([ai, coverage, legacy], { ...REVIEW, findings: [] }), []);
+});
+
+test('findResolvableThreads only resolves outdated threads in a follow-up review', () => {
+    const unchanged = threadFor(finding('console-log', 3));
+    const outdated = threadFor(finding('console-log', 7), { isOutdated: true });
+    const resolved = threadFor(finding('console-log', 8), { isResolved: true, isOutdated: true });
+    const human = { ...threadFor(finding('console-log', 9)), body: 'Please rename this', isOutdated: true };
+
+    const resolutions = findResolvableThreads([unchanged, outdated, resolved, human], { ...REVIEW, fullReview: false, findings: [] });
+    assert.deepEqual(resolutions.map(thread => thread.id), [outdated.id]);
+});
+
+test('findResolvableThreads keeps outdated threads whose finding moved within the hunk', () => {
+    // GitHub drops the current line of an outdated thread and keeps the one it was posted on
+    const moved = threadFor(finding('console-log', 12), { isOutdated: true, line: null, originalLine: 12 });
+    const fixed = threadFor(finding('todo-comment', 20), { isOutdated: true, line: null, originalLine: 20 });
+    const farAway = threadFor(finding('console-log', 80), { isOutdated: true, line: null, originalLine: 80 });
+    const findings = [finding('console-log', 15), finding('todo-comment', 40)];
+
+    const resolutions = findResolvableThreads([moved, fixed, farAway], { ...REVIEW, fullReview: false, findings });
+    assert.deepEqual(resolutions.map(thread => [thread.id, thread.reason]), [
+        [fixed.id, 'outdated'],
+        [farAway.id, 'outdated']
+    ]);
+});
+
+test('findResolvableThreads leaves outdated threads in files this review did not look at', () => {
+    const outdated = threadFor(finding('console-log', 3), { isOutdated: true, line: null, originalLine: 3 });
+    assert.deepEqual(findResolvableThreads([outdated], { ...REVIEW, reviewedPaths: ['src/other.js'], findings: [] }), []);
+});
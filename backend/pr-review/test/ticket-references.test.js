@@ -0,0 +1,39 @@
+/**
+ * Tests for ticket references in PR titles and descriptions
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { extractTicketIds, getPullRequestTickets, validateTicketReferences } = require('../ticket-references');
+
+test('extractTicketIds finds whole ids, uppercased and without repeats', () => {
+    assert.deepEqual(extractTicketIds('stry0012345 fixes DEF0004567, see STRY0012345 and XSTRY1'), ['STRY0012345', 'DEF0004567']);
+    assert.deepEqual(extractTicketIds('Fixes PROJ-12', ['PROJ-\\d+']), ['PROJ-12']);
+    assert.deepEqual(extractTicketIds(null), []);
+});
+
+test('getPullRequestTickets separates the title, body and link ids', () => {
+    const tickets = getPullRequestTickets({
+        title: 'STRY0012345 Add export',
+        body: 'Follow-up to DEF0000001\n\n[Ticket](https://tracker.example.com/browse/STRY0012345)'
+    });
+    assert.deepEqual(tickets, {
+        title: ['STRY0012345'],
+        body: ['DEF0000001', 'STRY0012345'],
+        links: ['STRY0012345'],
+        all: ['STRY0012345', 'DEF0000001']
+    });
+});
+
+test('validateTicketReferences reports a PR without a ticket', () => {
+    assert.deepEqual(validateTicketReferences({ title: 'Add export', body: '' }),
+        [{ problem: 'The PR does not reference a ticket in its title or description' }]);
+    assert.deepEqual(validateTicketReferences({ title: 'Add export', body: 'For DEF0000001' }), []);
+});
+
+test('validateTicketReferences reports a description linking another ticket than the title', () => {
+    const pullRequest = { title: 'STRY0012345 Add export', body: '[STRY0099999](https://tracker.example.com/browse/STRY0099999)' };
+    assert.deepEqual(validateTicketReferences(pullRequest),
+        [{ problem: 'The description links STRY0099999, but the title references STRY0012345' }]);
+});
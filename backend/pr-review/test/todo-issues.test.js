@@ -0,0 +1,95 @@
+/**
+ * Tests for opening issues for new TODO comments
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Stand in for the GitHub client before todo-issues.js loads it
+const created = [];
+let existingIssues = [];
+const fakeOctokit = {
+    paginate: async (method, params) => (await method(params)).data,
+    rest: {
+        issues: {
+            listForRepo: async () => ({ data: existingIssues }),
+            create: async params => {
+                created.push(params);
+                return { data: { number: 100 + created.length, ...params } };
+            }
+        }
+    }
+};
+const clientPath = path.join(__dirname, '..', 'github-client.js');
+require.cache[clientPath] = { id: clientPath, filename: clientPath, loaded: true, exports: { getOctokit: async () => fakeOctokit } };
+
+const { linkTodoReference, formatTodoIssue, linkTodoIssues } = require('../todo-issues');
+const { contentFingerprint } = require('../baseline');
+const { createFinding } = require('../findings');
+const { COMMENT_TYPES } = require('../comment-types');
+
+const PR = { number: 7, head: { sha: 'abc1234def' } };
+
+/**
+ * Create a finding from the todo-comment rule
+ * @param {number} line - Line number
+ * @param {string} snippet - Line holding the TODO
+ * @returns {Object} - Finding
+ */
+function todoAt(line, snippet) {
+    return createFinding({
+        ruleId: 'todo-comment',
+        severity: COMMENT_TYPES.NITPICK,
+        path: 'src/app.js',
+        line,
+        message: 'TODO comment',
+        comment: { issue: 'TODO comment', codeExamples: ['// TODO(#123): ...'] },
+        snippet
+    });
+}
+
+test('linkTodoReference adds the issue number, keeping an owner', () => {
+    assert.equal(linkTodoReference('// TODO: retry', 45), '// TODO(#45): retry');
+    assert.equal(linkTodoReference('  // FIXME(alice) flaky', 45), '  // FIXME(alice, #45) flaky');
+    assert.equal(linkTodoReference(' * and more details', 45), null);
+});
+
+test('formatTodoIssue titles the issue with the note and marks it with the fingerprint', () => {
+    const finding = todoAt(12, '    // TODO: handle rate limits');
+    const { title, body } = formatTodoIssue(finding, { owner: 'o', repo: 'r', pr: PR });
+    assert.equal(title, 'TODO: handle rate limits');
+    assert.match(body, /added in #7/);
+    assert.match(body, /https:\/\/github\.com\/o\/r\/blob\/abc1234def\/src\/app\.js#L12/);
+    assert.ok(body.endsWith(`<!-- windlens:todo=${contentFingerprint(finding)} -->`));
+    assert.equal(formatTodoIssue(todoAt(3, '// TODO'), { owner: 'o', repo: 'r', pr: PR }).title, 'TODO in src/app.js:3');
+});
+
+test('linkTodoIssues reuses existing issues and opens one per new TODO line', async () => {
+    const known = todoAt(2, '// TODO: handle errors');
+    existingIssues = [
+        { number: 45, body: `tracked\n<!-- windlens:todo=${contentFingerprint(known)} -->` },
+        { number: 46, body: 'A pull request', pull_request: {} }
+    ];
+    created.length = 0;
+
+    const findings = [known, todoAt(5, '// TODO: cache'), todoAt(9, '// TODO: cache')];
+    const result = await linkTodoIssues(findings, { owner: 'o', repo: 'r', pr: PR });
+    assert.deepEqual(result.existing.map(issue => issue.number), [45]);
+    assert.deepEqual(result.created.map(issue => issue.number), [101]);
+    assert.deepEqual(created[0].labels, ['windlens-todo']);
+    assert.deepEqual(result.findings.map(finding => finding.comment.fix.lines[0]),
+        ['// TODO(#45): handle errors', '// TODO(#101): cache', '// TODO(#101): cache']);
+    assert.equal(result.findings[0].comment.codeExamples, undefined);
+});
+
+test('linkTodoIssues opens no issues in a dry run', async () => {
+    existingIssues = [];
+    created.length = 0;
+
+    const finding = todoAt(5, '// TODO: cache');
+    const result = await linkTodoIssues([finding], { owner: 'o', repo: 'r', pr: PR, dryRun: true });
+    assert.deepEqual(created, []);
+    assert.deepEqual(result.pending, [finding]);
+    assert.deepEqual(result.findings, [finding]);
+});
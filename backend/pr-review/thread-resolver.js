@@ -0,0 +1,182 @@
+/**
+ * Review Thread Resolver
+ * Resolves WindLens review threads once the code they flagged has been fixed,
+ * replying with the commit the fix landed in
+ */
+
+const { getOctokit } = require('./github-client');
+const { extractFingerprint, extractRuleId } = require('./comment-dedup');
+const { fingerprintFinding } = require('./findings');
+
+const REVIEW_THREADS_QUERY = `
+    query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+        repository(owner: $owner, name: $repo) {
+            pullRequest(number: $number) {
+                reviewThreads(first: 100, after: $cursor) {
+                    pageInfo { hasNextPage endCursor }
+                    nodes {
+                        id
+                        isResolved
+                        isOutdated
+                        path
+                        line
+                        originalLine
+                        comments(first: 1) {
+                            nodes { databaseId body createdAt }
+                        }
+                    }
+                }
+            }
+        }
+    }
+`;
+
+// How far a finding may have moved from an outdated thread's original line and still be taken
+// for the same issue; edits above it in the same hunk shift it by a few lines
+const MOVED_FINDING_LINES = 10;
+
+const RESOLVE_THREAD_MUTATION = `
+    mutation($threadId: ID!) {
+        resolveReviewThread(input: { threadId: $threadId }) {
+            thread { id isResolved }
+        }
+    }
+`;
+
+/**
+ * Fetch the review threads of a PR, with the first comment of each
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} prNumber - Pull request number
+ * @returns {Promise<Object[]>} - Review threads
+ */
+async function fetchReviewThreads(owner, repo, prNumber) {
+    const octokit = await getOctokit();
+    const threads = [];
+    let cursor = null;
+
+    do {
+        const result = await octokit.graphql(REVIEW_THREADS_QUERY, { owner, repo, number: prNumber, cursor });
+        const page = result.repository.pullRequest.reviewThreads;
+        page.nodes.forEach(thread => {
+            const [firstComment] = thread.comments.nodes;
+            threads.push({
+                id: thread.id,
+                isResolved: thread.isResolved,
+                isOutdated: thread.isOutdated,
+                path: thread.path,
+                line: thread.line,
+                originalLine: thread.originalLine,
+                commentId: firstComment ? firstComment.databaseId : null,
+                body: firstComment ? firstComment.body : '',
+                createdAt: firstComment ? firstComment.createdAt : null
+            });
+        });
+        cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (cursor);
+
+    return threads;
+}
+
+/**
+ * Pick the open WindLens threads whose issue is gone
+ * A thread is resolvable when its finding is no longer produced and either GitHub marks it
+ * outdated (the commented line was changed or removed) and the same rule flags nothing near
+ * its original line, or a full review of its file finds nothing at the line the thread now
+ * points to
+ * @param {Object[]} threads - Review threads from fetchReviewThreads
+ * @param {Object} review - Current review
+ * @param {Object[]} review.findings - Findings of this run
+ * @param {string[]} review.reviewedPaths - Files analyzed in this run
+ * @param {boolean} review.fullReview - Whether whole files were analyzed (not a follow-up review)
+ * @param {Set<string>} review.evaluatedRules - Ids of the rules that ran in this review; a thread
+ *   from any other rule (or one that doesn't record its rule) is left alone, since its finding
+ *   is only missing because the rule didn't look
+ * @returns {Object[]} - Threads to resolve, each with a `reason`
+ */
+function findResolvableThreads(threads, { findings, reviewedPaths, fullReview, evaluatedRules }) {
+    const currentFingerprints = new Set(findings.map(fingerprintFinding));
+
+    return threads
+        .filter(thread => !thread.isResolved && extractFingerprint(thread.body) &&
+            evaluatedRules.has(extractRuleId(thread.body)))
+        .map(thread => {
+            if (currentFingerprints.has(extractFingerprint(thread.body))) {
+                return null;
+            }
+            if (thread.isOutdated) {
+                // An outdated thread has no current line; a finding of its rule close to where it
+                // was means the code only moved within the changed hunk
+                const ruleId = extractRuleId(thread.body);
+                const anchor = thread.line || thread.originalLine;
+                const moved = findings.some(finding =>
+                    finding.ruleId === ruleId && finding.path === thread.path && finding.line &&
+                    (!anchor || Math.abs(finding.line - anchor) <= MOVED_FINDING_LINES)
+                );
+                return reviewedPaths.includes(thread.path) && !moved ? { ...thread, reason: 'outdated' } : null;
+            }
+            // GitHub keeps a thread's line in step with later pushes, so a finding there
+            // means the flagged code only moved rather than being fixed
+            const stillFlagged = findings.some(finding =>
+                finding.path === thread.path && thread.line && finding.line === thread.line
+            );
+            if (fullReview && reviewedPaths.includes(thread.path) && !stillFlagged) {
+                return { ...thread, reason: 'fixed' };
+            }
+            return null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Find the latest commit that touched a file since a comment was posted
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} head - PR head SHA
+ * @param {Object} thread - Review thread
+ * @returns {Promise<string>} - Commit SHA (the head SHA if none is found)
+ */
+async function findFixingCommit(octokit, owner, repo, head, thread) {
+    try {
+        const { data } = await octokit.rest.repos.listCommits({
+            owner,
+            repo,
+            sha: head,
+            path: thread.path,
+            since: thread.createdAt,
+            per_page: 1
+        });
+        return data.length > 0 ? data[0].sha : head;
+    } catch (error) {
+        return head;
+    }
+}
+
+/**
+ * Reply to a thread with the fixing commit and mark it resolved
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} prNumber - Pull request number
+ * @param {Object} thread - Thread from findResolvableThreads
+ * @param {string} head - PR head SHA
+ */
+async function resolveThread(owner, repo, prNumber, thread, head) {
+    const octokit = await getOctokit();
+    const sha = await findFixingCommit(octokit, owner, repo, head, thread);
+
+    await octokit.rest.pulls.createReplyForReviewComment({
+        owner,
+        repo,
+        pull_number: prNumber,
+        comment_id: thread.commentId,
+        body: `✅ This no longer applies as of ${sha.slice(0, 7)}. Resolving.`
+    });
+    await octokit.graphql(RESOLVE_THREAD_MUTATION, { threadId: thread.id });
+}
+
+module.exports = {
+    fetchReviewThreads,
+    findResolvableThreads,
+    resolveThread
+};
@@ -0,0 +1,84 @@
+/**
+ * Ticket References
+ * Extracts story, defect and issue tracker ids (STRY0012345, DEF0004567, PROJ-123) from
+ * PR titles and descriptions, and checks that every PR references its ticket consistently
+ */
+
+// Ticket id patterns used when the review config doesn't list its own
+const DEFAULT_TICKET_PATTERNS = ['STRY\\d+', 'DEF\\d+'];
+
+const MARKDOWN_LINK = /\[([^\]]*)\]\(([^)\s]+)\)/g;
+
+/**
+ * Compile ticket patterns into a single global matcher
+ * @param {string[]} patterns - Regular expression sources, e.g. `STRY\d+` or `PROJ-\d+`
+ * @returns {RegExp} - Case-insensitive matcher for whole ticket ids
+ */
+function compileTicketPattern(patterns) {
+    return new RegExp(`\\b(?:${patterns.map(pattern => `(?:${pattern})`).join('|')})\\b`, 'gi');
+}
+
+/**
+ * Extract the ticket ids mentioned in some text
+ * @param {string} text - Text to search
+ * @param {string[]} [patterns] - Ticket id patterns
+ * @returns {string[]} - Unique ids, uppercased, in order of appearance
+ */
+function extractTicketIds(text, patterns = DEFAULT_TICKET_PATTERNS) {
+    const matches = (text || '').match(compileTicketPattern(patterns)) || [];
+    return Array.from(new Set(matches.map(id => id.toUpperCase())));
+}
+
+/**
+ * Extract the ticket ids of a pull request
+ * @param {Object} pullRequest - Pull request with `title` and `body`
+ * @param {string[]} [patterns] - Ticket id patterns
+ * @returns {{ title: string[], body: string[], links: string[], all: string[] }} - Ids found in the
+ *   title, the body, the body's markdown links, and all of them together
+ */
+function getPullRequestTickets(pullRequest, patterns = DEFAULT_TICKET_PATTERNS) {
+    const body = pullRequest.body || '';
+    const linkText = Array.from(body.matchAll(MARKDOWN_LINK))
+        .map(match => `${match[1]} ${match[2]}`)
+        .join('\n');
+
+    const title = extractTicketIds(pullRequest.title, patterns);
+    const bodyIds = extractTicketIds(body, patterns);
+    return {
+        title,
+        body: bodyIds,
+        links: extractTicketIds(linkText, patterns),
+        all: Array.from(new Set([...title, ...bodyIds]))
+    };
+}
+
+/**
+ * Check the ticket references of a pull request
+ * @param {Object} pullRequest - Pull request with `title` and `body`
+ * @param {string[]} [patterns] - Ticket id patterns
+ * @returns {Object[]} - Problems as `{ problem }`; empty when the references are fine
+ */
+function validateTicketReferences(pullRequest, patterns = DEFAULT_TICKET_PATTERNS) {
+    const tickets = getPullRequestTickets(pullRequest, patterns);
+
+    if (tickets.all.length === 0) {
+        return [{ problem: 'The PR does not reference a ticket in its title or description' }];
+    }
+
+    // A ticket link in the description should point at the ticket named in the title
+    if (tickets.title.length > 0 && tickets.links.length > 0 &&
+        !tickets.links.some(id => tickets.title.includes(id))) {
+        return [{
+            problem: `The description links ${tickets.links.join(', ')}, but the title references ${tickets.title.join(', ')}`
+        }];
+    }
+
+    return [];
+}
+
+module.exports = {
+    DEFAULT_TICKET_PATTERNS,
+    extractTicketIds,
+    getPullRequestTickets,
+    validateTicketReferences
+};
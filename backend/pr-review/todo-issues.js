@@ -0,0 +1,165 @@
+/**
+ * TODO Issues
+ * Opens a GitHub issue for every new TODO/FIXME comment, or finds the one opened by an
+ * earlier review, and proposes rewriting the comment to reference it
+ *
+ * Issues are labeled `windlens-todo` and carry a hidden marker with the content fingerprint
+ * of the TODO's line, so a later review of the same line finds the issue instead of opening
+ * another one
+ */
+
+const { getOctokit } = require('./github-client');
+const { contentFingerprint } = require('./baseline');
+
+const TODO_RULE_ID = 'todo-comment';
+
+const TODO_ISSUE_LABEL = 'windlens-todo';
+
+const TODO_MARKER_PATTERN = /<!-- windlens:todo=([0-9a-f]+) -->/;
+
+// The TODO/FIXME keyword, with the name or issue some teams put after it, e.g. TODO(alice)
+const TODO_KEYWORD = /\b(TODO|FIXME)\b(?:\(([^)]*)\))?/;
+
+/**
+ * Rewrite a line so its TODO references an issue
+ * @param {string} content - Line holding the TODO/FIXME keyword
+ * @param {number} issueNumber - Issue tracking the TODO
+ * @returns {string|null} - Rewritten line, e.g. `// TODO(#45): ...`, or null when the keyword
+ *   isn't on this line (e.g. further down a block comment)
+ */
+function linkTodoReference(content, issueNumber) {
+    if (!TODO_KEYWORD.test(content)) {
+        return null;
+    }
+    return content.replace(TODO_KEYWORD, (match, keyword, owner) =>
+        owner ? `${keyword}(${owner}, #${issueNumber})` : `${keyword}(#${issueNumber})`
+    );
+}
+
+/**
+ * Write the issue for a TODO finding
+ * @param {Object} finding - Finding from the todo-comment rule
+ * @param {Object} context - Where the TODO was found
+ * @param {string} context.owner - Repository owner
+ * @param {string} context.repo - Repository name
+ * @param {Object} context.pr - Pull request from get_pull_request
+ * @returns {{ title: string, body: string }} - Issue title and body, with the fingerprint marker
+ */
+function formatTodoIssue(finding, { owner, repo, pr }) {
+    const snippet = (finding.snippet || '').trim();
+    const keywordMatch = snippet.match(TODO_KEYWORD);
+    const note = keywordMatch
+        ? snippet.slice(keywordMatch.index + keywordMatch[0].length).replace(/^[\s:-]+/, '').replace(/\s*\*\/\s*$/, '')
+        : '';
+    const keyword = keywordMatch ? keywordMatch[1] : 'TODO';
+    const location = `${finding.path}:${finding.line}`;
+    const title = note ? `${keyword}: ${note.length > 80 ? `${note.slice(0, 77)}...` : note}` : `${keyword} in ${location}`;
+    const permalink = `https://github.com/${owner}/${repo}/blob/${pr.head.sha}/${finding.path}#L${finding.line}`;
+
+    const body = `A ${keyword} comment was added in #${pr.number}:\n\n` +
+        `${permalink}\n\n` +
+        `\`\`\`\n${snippet}\n\`\`\`\n\n` +
+        `Close this issue once the ${keyword} is resolved and the comment is removed.\n\n` +
+        `<!-- windlens:todo=${contentFingerprint(finding)} -->`;
+    return { title, body };
+}
+
+/**
+ * Fetch the TODO issues opened by earlier reviews, open or closed
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Map<string, Object>>} - Issues keyed by the fingerprint in their marker
+ */
+async function fetchTodoIssues(owner, repo) {
+    const octokit = await getOctokit();
+    const issues = await octokit.paginate(octokit.rest.issues.listForRepo, {
+        owner,
+        repo,
+        labels: TODO_ISSUE_LABEL,
+        state: 'all',
+        per_page: 100
+    });
+
+    const byFingerprint = new Map();
+    issues
+        .filter(issue => !issue.pull_request)
+        .forEach(issue => {
+            const marker = (issue.body || '').match(TODO_MARKER_PATTERN);
+            if (marker && !byFingerprint.has(marker[1])) {
+                byFingerprint.set(marker[1], issue);
+            }
+        });
+    return byFingerprint;
+}
+
+/**
+ * Link every TODO finding to an issue, opening the issues that don't exist yet
+ * A linked finding gets a fix rewriting its comment to reference the issue. In a dry run
+ * existing issues are still looked up, but none are opened
+ * @param {Object[]} findings - Review findings
+ * @param {Object} context - Where the findings come from
+ * @param {string} context.owner - Repository owner
+ * @param {string} context.repo - Repository name
+ * @param {Object} context.pr - Pull request from get_pull_request
+ * @param {boolean} [context.dryRun] - Only look up existing issues
+ * @returns {Promise<Object>} - `{ findings, created, existing, pending }`: the findings with
+ *   links, the issues opened, the issues that already existed, and the findings that would
+ *   get a new issue in a dry run
+ */
+async function linkTodoIssues(findings, { owner, repo, pr, dryRun = false }) {
+    const todos = findings.filter(finding => finding.ruleId === TODO_RULE_ID && finding.line && finding.snippet !== null);
+    const result = { findings, created: [], existing: [], pending: [] };
+    if (todos.length === 0) {
+        return result;
+    }
+
+    const issues = await fetchTodoIssues(owner, repo);
+    const octokit = await getOctokit();
+    const linked = new Map();
+    for (const finding of todos) {
+        const fingerprint = contentFingerprint(finding);
+        let issue = issues.get(fingerprint);
+        if (issue) {
+            // An issue this run opened for an identical line isn't an existing one
+            if (!result.existing.includes(issue) && !result.created.includes(issue)) {
+                result.existing.push(issue);
+            }
+        } else if (dryRun) {
+            result.pending.push(finding);
+            continue;
+        } else {
+            const { title, body } = formatTodoIssue(finding, { owner, repo, pr });
+            ({ data: issue } = await octokit.rest.issues.create({ owner, repo, title, body, labels: [TODO_ISSUE_LABEL] }));
+            // Identical TODO lines in one file share the issue
+            issues.set(fingerprint, issue);
+            result.created.push(issue);
+            console.log(`Opened issue #${issue.number} for the TODO at ${finding.path}:${finding.line}`);
+        }
+        linked.set(finding, issue);
+    }
+
+    result.findings = findings.map(finding => {
+        const issue = linked.get(finding);
+        if (!issue) {
+            return finding;
+        }
+        const rewritten = linkTodoReference(finding.snippet, issue.number);
+        const { codeExamples, ...comment } = finding.comment;
+        return {
+            ...finding,
+            comment: {
+                ...comment,
+                suggestion: `This is tracked in #${issue.number}. Reference the issue in the comment so the TODO can be traced back to it`,
+                ...(rewritten ? { fix: { lines: [rewritten] } } : {})
+            }
+        };
+    });
+    return result;
+}
+
+module.exports = {
+    TODO_ISSUE_LABEL,
+    linkTodoReference,
+    formatTodoIssue,
+    linkTodoIssues
+};
@@ -10,9 +10,13 @@ const {
     mcp0_get_pull_request,
     mcp0_get_pull_request_files,
     mcp0_get_pull_request_comments,
-    mcp0_get_pull_request_reviews
+    mcp0_get_pull_request_reviews,
+    mcp0_get_file_contents
 } = globalThis;
 
+const { extractTicketIds } = require('../pr-review/ticket-references');
+const { loadReviewConfig } = require('../pr-review/review-config');
+
 /**
  * Get repository-level statistics
  * @param {string} owner - Repository owner
@@ -51,6 +55,9 @@ async function getRepoStats(owner, repo) {
             console.log(`  PR #${pr.number}: "${pr.title}"`);
         });
         
+        // The repository's ticket id patterns, from the review config on its default branch
+        const config = await loadReviewConfig(mcp0_get_file_contents, { owner, repo });
+        
         // 2. Get all commits in the repository (limited to 100 most recent)
         const commits = await mcp0_list_commits({
             owner,
@@ -65,6 +72,18 @@ async function getRepoStats(owner, repo) {
         const prTimeOpen = {};
         const filesChanged = {};
         const defectAreas = {};
+        const defectPRs = [];
+        const prGuidelines = {
+            exceedsSizeLimit: [],
+            openTooLong: [],
+            slowFirstReview: [],
+            unresolvedComments: []
+        };
+        // Story/defect tickets referenced by each PR
+        const ticketStats = {
+            prs: [],
+            withoutTicket: []
+        };
         
         // Process each PR to gather statistics
         for (const pr of allPRs.items) {
@@ -97,6 +116,20 @@ async function getRepoStats(owner, repo) {
                 (contributors[author].avgTimeOpen * (contributors[author].prCount - 1) + timeOpenHours) / 
                 contributors[author].prCount;
             
+            // Collect the ticket ids from the title and description
+            const tickets = extractTicketIds(`${pr.title || ''}\n${prDetails.body || pr.body || ''}`, config.tickets.patterns);
+            ticketStats.prs.push({
+                number: pr.number,
+                title: pr.title,
+                tickets
+            });
+            if (tickets.length === 0) {
+                ticketStats.withoutTicket.push({
+                    number: pr.number,
+                    title: pr.title
+                });
+            }
+            
             // First check if this is a DEF PR
             const title = pr.title || '';
             // Check if this is a DEF PR (title starts with "DEF")
@@ -117,6 +150,7 @@ async function getRepoStats(owner, repo) {
                 defectPRs.push({
                     number: pr.number,
                     title: pr.title,
+                    tickets,
                     files: files.map(f => f.filename)
                 });
             }
@@ -196,6 +230,7 @@ async function getRepoStats(owner, repo) {
             contributors[author].prs.push({
                 number: pr.number,
                 title: pr.title,
+                tickets,
                 linesChanged: totalChanges,
                 timeOpen: timeOpenHours.toFixed(1)
             });
@@ -433,6 +468,7 @@ async function getRepoStats(owner, repo) {
                 slowFirstReview: prGuidelines.slowFirstReview || [],
                 unresolvedComments: prGuidelines.unresolvedComments || []
             },
+            ticketStats,
             commitStats: {
                 totalCommits: commits && commits.length ? commits.length : 0
             }
@@ -554,6 +590,19 @@ function formatRepoStats(stats) {
         });
     }
     
+    output += `\n### PRs Without a Ticket Reference\n\n`;
+    
+    if (!stats.ticketStats || stats.ticketStats.withoutTicket.length === 0) {
+        output += `All PRs reference a ticket.\n\n`;
+    } else {
+        output += `| PR | Title |\n`;
+        output += `|----|-------|\n`;
+        
+        stats.ticketStats.withoutTicket.forEach(pr => {
+            output += `| #${pr.number} | ${pr.title} |\n`;
+        });
+    }
+    
     // Commit Statistics
     output += `\n## Commit Statistics\n\n`;
     output += `- **Total Commits:** ${commitStats.totalCommits}\n`;